@@ -0,0 +1,567 @@
+/**
+ * 재사용 테스트 계정 풀
+ *
+ * 왜 필요한가?
+ * - load-test2.js를 제외한 모든 테스트가 반복마다 signup()을 호출하고 있었음
+ *   → "부하" 결과가 bcrypt 해싱 비용에 지배되고, 운영 사용자 테이블에 loadtest_* 계정이 계속 쌓임
+ * - 실제 트래픽의 대부분은 이미 가입한 사용자의 로그인 후 조회/수정
+ *
+ * 사용자 모드 (K6_USER_MODE):
+ * - signup (기본): 반복마다 신규 회원가입 (기존 동작, 신규 유입 시나리오)
+ * - returning: 풀의 기존 계정으로 로그인 (재방문 사용자, 회원가입 없음)
+ *
+ * 계정 출처 (returning 모드):
+ * - K6_ACCOUNTS=<파일>: CSV(헤더 email,password[,nickname]) 또는 JSON 배열을 init 단계에서
+ *   SharedArray로 한 번만 읽음 (모든 VU가 같은 메모리를 공유)
+ * - 미설정: setup()에서 poolAccount(i) 규칙의 계정을 준비하여 setup 데이터로 전달
+ *
+ * 스케줄 이력 (seedScheduleHistory):
+ * - 풀 계정마다 최근 며칠의 스케줄을 채워 재방문 사용자의 조회가 실제 데이터를 읽도록 함
+ *
+ * 분할:
+ * - 분산 실행(--execution-segment)에서는 인스턴스마다 풀의 다른 구간을 사용
+ * - 구간 안에서는 VU마다 겹치지 않는 계정 집합을 배정하고 반복마다 순환
+ *   (VU 수가 계정 수보다 많으면 계정을 나눠 씀)
+ *
+ * 사용 방법:
+ *   export function setup() {
+ *       enforceSafetyGuard('load', options, accountGuardLoad(options, { signupsPerIteration: 1, iterationSeconds: 14 }));
+ *       return { accounts: prepareAccountPool(accountPoolSize(options)) };
+ *   }
+ *
+ *   export default function (data) {
+ *       const session = startSession(data.accounts);
+ *   }
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import exec from 'k6/execution';
+import { SharedArray } from 'k6/data';
+import { PROFILE, envNumber } from './config.js';
+import { ENDPOINTS } from './endpoints.js';
+import { parseResponse, recordResponse, describeError, isDuplicateError, isUnknownAccountError } from './errors.js';
+import {
+    testUserLoginRequest,
+    testUserSignupRequest,
+    testUserDayPlanRequest,
+    testUserScheduleRequest,
+    retryDelayMs,
+} from './helpers.js';
+import { MolipSession } from './session.js';
+import { getMaxVUs } from './safety-guard.js';
+
+// ============================================================================
+// 사용자 모드
+// ============================================================================
+
+const ENV = typeof __ENV !== 'undefined' ? __ENV : {};
+
+export const USER_MODES = ['signup', 'returning'];
+
+/**
+ * 현재 실행의 사용자 모드
+ */
+export const USER_MODE = ENV.K6_USER_MODE || 'signup';
+
+if (USER_MODES.indexOf(USER_MODE) === -1) {
+    throw new Error(`Unknown K6_USER_MODE "${USER_MODE}" (available: ${USER_MODES.join(', ')})`);
+}
+
+/**
+ * K6_ACCOUNT_COUNT로 지정한 풀 크기 (미설정이면 null, 잘못된 값은 init 단계에서 중단)
+ */
+const ACCOUNT_COUNT = envNumber(ENV, 'K6_ACCOUNT_COUNT', null, { min: 1 });
+
+// ============================================================================
+// 계정 규칙과 파일
+// ============================================================================
+
+/**
+ * setup()에서 준비하는 풀 계정
+ *
+ * 이메일 규칙은 기존 load-test2.js 계정과 같음 → 이미 가입된 계정을 그대로 재사용
+ *
+ * @param {number} index - 계정 인덱스
+ * @returns {object} - { email, password, nickname }
+ */
+export function poolAccount(index) {
+    return {
+        email: `loadtest_prod_${index}@test.com`,
+        password: 'Test1234!',
+        nickname: `LoadUser${index}`,
+    };
+}
+
+/**
+ * K6_ACCOUNTS 파일의 계정 (미설정 시 null)
+ *
+ * open()과 SharedArray는 init 단계에서만 사용 가능하므로 모듈 로드 시 읽음
+ */
+const FILE_ACCOUNTS = ENV.K6_ACCOUNTS
+    ? new SharedArray('account-pool', () => loadAccountsFile(ENV.K6_ACCOUNTS))
+    : null;
+
+function loadAccountsFile(path) {
+    const content = open(path);
+    const accounts = /\.json$/i.test(path) ? parseAccountsJson(content) : parseAccountsCsv(content);
+
+    const invalid = accounts.findIndex(account => !account.email || !account.password);
+    if (invalid !== -1) {
+        throw new Error(`K6_ACCOUNTS ${path}: account #${invalid + 1} has no email or password`);
+    }
+    if (accounts.length === 0) {
+        throw new Error(`K6_ACCOUNTS ${path}: no accounts`);
+    }
+    return accounts;
+}
+
+/**
+ * JSON 계정 목록 ([{ email, password, nickname }] 또는 { accounts: [...] })
+ */
+export function parseAccountsJson(content) {
+    const parsed = JSON.parse(content);
+    return Array.isArray(parsed) ? parsed : (parsed.accounts || []);
+}
+
+/**
+ * CSV 계정 목록 (첫 줄은 헤더, 빈 줄과 #으로 시작하는 줄은 무시)
+ *
+ * 예:
+ *   email,password,nickname
+ *   loadtest_prod_0@test.com,Test1234!,LoadUser0
+ */
+export function parseAccountsCsv(content) {
+    const lines = content.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const header = lines[0].split(',').map(column => column.trim());
+    return lines.slice(1).map(line => {
+        const fields = line.split(',').map(field => field.trim());
+        const account = {};
+        header.forEach((column, index) => {
+            account[column] = fields[index];
+        });
+        return account;
+    });
+}
+
+// ============================================================================
+// setup 단계
+// ============================================================================
+
+/**
+ * 준비할 풀 크기 (K6_ACCOUNT_COUNT, 기본: 생성될 수 있는 VU 수 = VU당 계정 하나)
+ *
+ * @param {object} options - 테스트 options
+ * @returns {number}
+ */
+export function accountPoolSize(options) {
+    return ACCOUNT_COUNT !== null ? ACCOUNT_COUNT : getMaxVUs(options);
+}
+
+/**
+ * 안전 가드에 넘길 회원가입 추정치
+ *
+ * returning 모드는 반복 중 회원가입이 없고, 파일 계정이 아니면 setup()의 풀 준비만 회원가입으로 계산
+ *
+ * @param {object} options - 테스트 options (returning 모드에서는 풀 크기 산정용)
+ * @param {object} signupLoad - signup 모드의 추정치 { signupsPerIteration, iterationSeconds, setupSignups }
+ * @param {string} mode - 사용자 모드 (기본: K6_USER_MODE)
+ * @returns {object} - enforceSafetyGuard()의 load 인자
+ */
+export function accountGuardLoad(options, signupLoad, mode = USER_MODE) {
+    if (mode === 'signup') {
+        return signupLoad;
+    }
+    return { setupSignups: FILE_ACCOUNTS ? 0 : accountPoolSize(options) };
+}
+
+/**
+ * returning 모드의 계정 풀 준비 (setup()에서 호출)
+ *
+ * @param {number} size - 준비할 계정 수
+ * @param {string} mode - 사용자 모드 (기본: K6_USER_MODE, 항상 로그인하는 테스트는 'returning')
+ * @returns {array|null} - setup 데이터로 전달할 계정 목록 (signup 모드이거나 파일 계정이면 null)
+ */
+export function prepareAccountPool(size, mode = USER_MODE) {
+    if (mode === 'signup') {
+        return null;
+    }
+    if (FILE_ACCOUNTS) {
+        console.log(`Account pool: ${FILE_ACCOUNTS.length} accounts from ${ENV.K6_ACCOUNTS}`);
+        return null;
+    }
+    return provisionAccounts(size);
+}
+
+/**
+ * 풀 계정 준비 (여러 번 실행해도 같은 결과)
+ *
+ * 1. 모든 계정을 먼저 로그인으로 확인 → 성공하면 그대로 재사용
+ * 2. 로그인이 "계정 없음"(401/404, *_NOT_FOUND)으로 실패한 계정만 회원가입
+ *    → 403·409·서버 오류·전송 실패, 재시도 후에도 429인 계정은 가입하지 않고 실패로 집계
+ *
+ * 요청은 PROFILE.provisioning의 concurrency개씩 http.batch로 보내고
+ * 초당 ratePerSecond를 넘지 않도록 배치 사이에 대기 (429는 Retry-After를 지켜 재전송)
+ *
+ * @param {number} count - 계정 수
+ * @param {object} policy - { concurrency, ratePerSecond } (기본: PROFILE.provisioning)
+ * @returns {array} - 사용 가능한 계정 [{ email, password, nickname }] (인덱스 순)
+ */
+export function provisionAccounts(count, policy = PROFILE.provisioning) {
+    const startedAt = Date.now();
+    console.log(`Account pool: provisioning ${count} accounts ` +
+        `(concurrency ${policy.concurrency}, ${policy.ratePerSecond} req/s)...`);
+
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+        candidates.push(poolAccount(i));
+    }
+
+    const status = {};
+    const missing = [];
+    const failures = [];
+
+    sendInBatches(candidates, testUserLoginRequest, policy).forEach(({ item: account, response }) => {
+        const result = parseResponse(ENDPOINTS.setup_login, response);
+        if (result.ok) {
+            status[account.email] = 'reused';
+        } else if (isUnknownAccountError(result)) {
+            missing.push(account);
+        } else {
+            status[account.email] = 'failed';
+            recordResponse(ENDPOINTS.setup_login, response);
+            failures.push(`${account.email}: login ${describeError(result)}`);
+        }
+    });
+
+    sendInBatches(missing, testUserSignupRequest, policy).forEach(({ item: account, response }) => {
+        const result = parseResponse(ENDPOINTS.setup_signup, response);
+        if (result.ok) {
+            status[account.email] = 'created';
+            return;
+        }
+        status[account.email] = 'failed';
+        recordResponse(ENDPOINTS.setup_signup, response);
+        failures.push(isDuplicateError(result)
+            ? `${account.email}: already exists but login was rejected (password mismatch?)`
+            : `${account.email}: signup ${describeError(result)}`);
+    });
+
+    const accounts = candidates.filter(account => status[account.email] !== 'failed');
+    const countOf = (state) => candidates.filter(account => status[account.email] === state).length;
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+
+    failures.slice(0, 5).forEach(failure => console.warn(`⚠️ ${failure}`));
+    if (failures.length > 5) {
+        console.warn(`⚠️ ... and ${failures.length - 5} more`);
+    }
+    console.log(`Account pool ready: ${accounts.length}/${count} ` +
+        `(created ${countOf('created')}, reused ${countOf('reused')}, failed ${failures.length}) in ${seconds}s`);
+
+    if (accounts.length === 0) {
+        throw new Error('Account pool provisioning failed - no usable accounts');
+    }
+    return accounts;
+}
+
+/**
+ * 항목마다 요청 하나를 concurrency개씩 묶어 전송 (계정 준비·이력 준비 공통)
+ *
+ * 429를 받은 항목은 Retry-After(없으면 백오프)만큼 기다렸다가 PROFILE.retry.maxRetries번까지 다시 보냄
+ * 그래도 429면 그 응답을 그대로 돌려주어 호출 측에서 실패로 처리
+ *
+ * @param {array} items - 요청을 만들 항목 (계정 등)
+ * @param {function} buildRequest - 항목 → http.batch 요청
+ * @param {object} policy - { concurrency, ratePerSecond }
+ * @returns {array} - [{ item, response }] (items 순서)
+ */
+function sendInBatches(items, buildRequest, policy) {
+    const results = new Array(items.length);
+    let pending = items.map((item, index) => index);
+
+    for (let attempt = 0; ; attempt++) {
+        const throttled = [];
+        let waitMs = 0;
+
+        sendChunks(pending.map(index => items[index]), buildRequest, policy).forEach((response, k) => {
+            const index = pending[k];
+            results[index] = { item: items[index], response: response };
+            if (response.status !== 429 || attempt >= PROFILE.retry.maxRetries) {
+                return;
+            }
+            const delayMs = retryDelayMs(response, attempt + 1, PROFILE.retry);
+            if (delayMs !== null) {
+                throttled.push(index);
+                waitMs = Math.max(waitMs, delayMs);
+            }
+        });
+
+        if (throttled.length === 0) {
+            return results;
+        }
+        console.warn(`Account pool: ${throttled.length} requests throttled (429), ` +
+            `retrying in ${(waitMs / 1000).toFixed(1)}s`);
+        sleep(waitMs / 1000);
+        pending = throttled;
+    }
+}
+
+/**
+ * concurrency개씩 http.batch로 보내고 ratePerSecond에 맞춰 간격 조절
+ *
+ * @returns {array} - 응답 (items 순서)
+ */
+function sendChunks(items, buildRequest, policy) {
+    const concurrency = Math.max(policy.concurrency, 1);
+    const responses = [];
+
+    for (let offset = 0; offset < items.length; offset += concurrency) {
+        const chunk = items.slice(offset, offset + concurrency);
+        const batchStart = Date.now();
+        http.batch(chunk.map(buildRequest)).forEach(response => responses.push(response));
+
+        // 초당 요청 수 제한: 이 배치가 차지해야 할 시간만큼 대기
+        const remaining = policy.ratePerSecond > 0
+            ? chunk.length / policy.ratePerSecond - (Date.now() - batchStart) / 1000
+            : 0;
+        if (remaining > 0 && offset + concurrency < items.length) {
+            sleep(remaining);
+        }
+    }
+
+    return responses;
+}
+
+// ============================================================================
+// 스케줄 이력
+// ============================================================================
+
+/**
+ * 이력을 채우는 날짜 (오늘부터 과거 순, YYYY-MM-DD)
+ *
+ * @param {number} days - 날짜 수 (기본: PROFILE.history.days)
+ * @returns {array} - [오늘, 어제, ...]
+ */
+export function historyDates(days = PROFILE.history.days) {
+    const dates = [];
+    for (let i = 0; i < days; i++) {
+        const date = new Date();
+        date.setUTCDate(date.getUTCDate() - i);
+        dates.push(date.toISOString().split('T')[0]);
+    }
+    return dates;
+}
+
+/**
+ * 이력 스케줄 (하루 일과처럼 09:00부터 2시간 간격)
+ */
+function historySchedule(slot) {
+    const hour = 9 + (slot * 2) % 14;
+    const pad = (value) => String(value).padStart(2, '0');
+    return {
+        type: 'FLEX',
+        title: `${HISTORY_TITLES[slot % HISTORY_TITLES.length]} ${slot + 1}`,
+        startAt: `${pad(hour)}:00`,
+        endAt: `${pad(hour + 1)}:00`,
+        estimatedTimeRange: 'HOUR_1_TO_2',
+        focusLevel: (slot % 5) + 1,
+        isUrgent: slot % 4 === 0,
+    };
+}
+
+const HISTORY_TITLES = ['Morning Review', 'Deep Work', 'Team Sync', 'Study', 'Workout', 'Reading'];
+
+/**
+ * 풀 계정마다 최근 며칠의 스케줄 이력 준비 (setup()에서 호출, 여러 번 실행해도 같은 결과)
+ *
+ * 계정을 concurrency개씩 로그인 → 날짜별 조회 → 부족한 스케줄만 생성
+ * (토큰이 만료되지 않도록 계정 묶음 단위로 끝까지 처리)
+ *
+ * @param {array} accounts - prepareAccountPool() 결과 (파일 계정을 쓰면 무시)
+ * @param {object} history - { days, schedulesPerDay } (기본: PROFILE.history)
+ * @param {object} policy - { concurrency, ratePerSecond } (기본: PROFILE.provisioning)
+ */
+export function seedScheduleHistory(accounts, history = PROFILE.history, policy = PROFILE.provisioning) {
+    const pool = FILE_ACCOUNTS || accounts;
+    if (!pool || pool.length === 0 || history.days <= 0 || history.schedulesPerDay <= 0) {
+        return;
+    }
+
+    const startedAt = Date.now();
+    const dates = historyDates(history.days);
+    const concurrency = Math.max(policy.concurrency, 1);
+    const totals = { created: 0, existing: 0, failed: 0 };
+    console.log(`Schedule history: ${pool.length} accounts × ${dates.length} days ` +
+        `(${history.schedulesPerDay} schedules/day)...`);
+
+    for (let offset = 0; offset < pool.length; offset += concurrency) {
+        const chunk = [];
+        for (let i = offset; i < Math.min(offset + concurrency, pool.length); i++) {
+            chunk.push(pool[i]);
+        }
+
+        const days = [];
+        sendInBatches(chunk, testUserLoginRequest, policy).forEach(({ response }) => {
+            const result = parseResponse(ENDPOINTS.setup_login, response);
+            if (!result.ok || !result.data) {
+                totals.failed++;
+                recordResponse(ENDPOINTS.setup_login, response);
+                return;
+            }
+            dates.forEach(date => days.push({ accessToken: result.data.accessToken, date: date }));
+        });
+
+        const missing = [];
+        sendInBatches(days, day => testUserDayPlanRequest(day.accessToken, day.date), policy)
+            .forEach(({ item, response }) => {
+                const result = parseResponse(ENDPOINTS.setup_day_plan, response);
+                if (!result.ok || !result.data || !result.data.dayPlanId) {
+                    totals.failed++;
+                    recordResponse(ENDPOINTS.setup_day_plan, response);
+                    return;
+                }
+                const count = (result.data.content || []).length;
+                totals.existing += Math.min(count, history.schedulesPerDay);
+                for (let slot = count; slot < history.schedulesPerDay; slot++) {
+                    missing.push({ accessToken: item.accessToken, dayPlanId: result.data.dayPlanId, slot: slot });
+                }
+            });
+
+        sendInBatches(missing, entry => testUserScheduleRequest(entry.accessToken, entry.dayPlanId, historySchedule(entry.slot)), policy)
+            .forEach(({ response }) => {
+                const result = parseResponse(ENDPOINTS.setup_create_schedule, response);
+                if (result.ok) {
+                    totals.created++;
+                } else {
+                    totals.failed++;
+                    recordResponse(ENDPOINTS.setup_create_schedule, response);
+                }
+            });
+    }
+
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+    console.log(`Schedule history ready: created ${totals.created}, existing ${totals.existing}, ` +
+        `failed requests ${totals.failed} in ${seconds}s`);
+}
+
+// ============================================================================
+// VU별 계정 배정
+// ============================================================================
+
+/**
+ * 이 인스턴스가 사용할 풀 구간 [start, end)
+ *
+ * --execution-segment 형식: '0:1/2', '1/2:1', '0.5:1', '50%:100%' (단일 값은 0부터)
+ */
+function segmentRange(poolSize) {
+    const segment = exec.test.options.executionSegment;
+    if (!segment) {
+        return [0, poolSize];
+    }
+
+    const points = String(segment).split(':');
+    const [from, to] = points.length === 1 ? ['0', points[0]] : points;
+    const start = Math.floor(parseSegmentPoint(from) * poolSize);
+    const end = Math.floor(parseSegmentPoint(to) * poolSize);
+    return end > start ? [start, end] : [0, poolSize];
+}
+
+function parseSegmentPoint(value) {
+    const text = value.trim();
+    if (text.endsWith('%')) {
+        return parseFloat(text) / 100;
+    }
+    if (text.indexOf('/') !== -1) {
+        const [numerator, denominator] = text.split('/');
+        return parseFloat(numerator) / parseFloat(denominator);
+    }
+    return parseFloat(text);
+}
+
+let cachedVuSlots = null;
+
+function vuSlots() {
+    if (cachedVuSlots === null) {
+        cachedVuSlots = Math.max(getMaxVUs(exec.test.options), 1);
+    }
+    return cachedVuSlots;
+}
+
+/**
+ * 현재 VU·반복에 배정된 계정
+ *
+ * VU n(인스턴스 내 1부터)은 구간의 n-1, n-1+VU수, n-1+2×VU수 ... 번째 계정을 소유하고 반복마다 순환
+ * VU수는 설정상 생성될 수 있는 VU 수(getMaxVUs)로 고정
+ * → 도착률 실행 중 VU가 추가로 생성되어도 이미 배정된 계정이 바뀌거나 겹치지 않음
+ *
+ * @param {array} accounts - setup 데이터의 계정 목록 (파일 계정을 쓰면 무시)
+ * @returns {object} - { email, password, nickname }
+ */
+export function pickAccount(accounts) {
+    const pool = FILE_ACCOUNTS || accounts;
+    if (!pool || pool.length === 0) {
+        throw new Error('Account pool is empty (set K6_ACCOUNTS or return prepareAccountPool() from setup)');
+    }
+
+    const [start, end] = segmentRange(pool.length);
+    const size = end - start;
+    const vuIndex = exec.vu.idInInstance - 1;
+    const stride = vuSlots();
+
+    if (vuIndex >= size) {
+        // 계정보다 VU가 많으면 나눠 씀
+        return pool[start + (vuIndex % size)];
+    }
+
+    const owned = Math.ceil((size - vuIndex) / stride);
+    return pool[start + vuIndex + (exec.vu.iterationInInstance % owned) * stride];
+}
+
+// ============================================================================
+// 세션 시작
+// ============================================================================
+
+/**
+ * 사용자 모드에 맞는 세션 생성
+ *
+ * - signup: MolipSession.signup()
+ * - returning: 배정된 풀 계정으로 MolipSession.login()
+ *
+ * @param {array} accounts - setup 데이터의 계정 목록
+ * @param {string} mode - 사용자 모드 (기본: K6_USER_MODE)
+ * @returns {MolipSession} - 세션 또는 null (실패 시)
+ */
+export function startSession(accounts, mode = USER_MODE) {
+    if (mode === 'signup') {
+        return MolipSession.signup();
+    }
+
+    const account = pickAccount(accounts);
+    const session = MolipSession.login(account.email, account.password);
+    if (!session) {
+        console.warn(`VU ${exec.vu.idInTest}: Login failed for ${account.email}`);
+    }
+    return session;
+}
+
+/**
+ * 사용자 모드에서 호출하는 인증·계정 준비 엔드포인트 (errorBreakdownThresholds()에 넘길 ENDPOINTS 키)
+ *
+ * - signup: 반복마다 회원가입
+ * - returning: 반복마다 로그인 + (파일 계정이 아니면) setup의 계정 확인·생성
+ *
+ * @param {string} mode - 사용자 모드 (기본: K6_USER_MODE)
+ * @returns {array}
+ */
+export function accountEndpoints(mode = USER_MODE) {
+    if (mode === 'signup') {
+        return ['signup'];
+    }
+    return FILE_ACCOUNTS ? ['login'] : ['login', 'setup_login', 'setup_signup'];
+}
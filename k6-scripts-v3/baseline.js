@@ -0,0 +1,466 @@
+/**
+ * 기준 실행(baseline) 비교 및 회귀 감지
+ *
+ * 왜 필요한가?
+ * - createReportOutput이 매 실행마다 JSON 요약을 남기지만 아무도 다시 읽지 않았음
+ * - 실행 간 비교를 HTML 두 개를 눈으로 대조하는 방식으로 하고 있었음
+ * - CI에서 성능 회귀를 자동으로 잡으려면 실패 종료 코드가 필요
+ *
+ * 동작 방식:
+ * 1. K6_BASELINE으로 지정한 요약 JSON을 init 단계에서 읽음
+ * 2. baselineThresholds()가 기준값 + 허용 범위로 임계값을 생성
+ *    → 회귀 시 k6 임계값 실패로 종료 코드 99 (CI 실패)
+ * 3. 보고서의 "기준 실행 비교" 섹션에 전체/엔드포인트별 p50·p95·p99, 에러율, RPS 변화 표시
+ *    (기준 JSON에 없는 지표는 행을 빼지 않고 "기준에 없음"으로 표시)
+ *
+ * RPS는 부하 형태에 따라 달라지므로 기준 실행의 run 정보(테스트, 프로필, 부하 모델)가
+ * 현재 실행과 같을 때만 비교 (다른 테스트의 보고서를 기준으로 쓰면 처리량 회귀로 실패하던 문제)
+ * run 정보가 없는 이전 보고서는 파일 이름(<테스트>-<시각>.json)의 테스트 이름으로만 비교
+ * 엔드포인트 RPS 하한은 테스트가 호출한다고 선언한 엔드포인트에만 걸어 호출하지 않는 엔드포인트는 실패하지 않음
+ *
+ * 사용 방법:
+ *   K6_BASELINE=reports/load-test-2026-02-12T11-31-43.json k6 run load-test.js
+ *
+ * 경로는 k6 open() 규칙을 따름 (절대 경로 권장)
+ */
+
+import { ENDPOINTS, metricLabel, hasSamples, isSetupTag } from './endpoints.js';
+import { BASELINE_TOLERANCES, PROFILE, resolveLoadModel } from './config.js';
+
+// ============================================================================
+// 기준 실행 로드
+// ============================================================================
+
+const ENV = typeof __ENV !== 'undefined' ? __ENV : {};
+
+/**
+ * 기준 실행 요약 (K6_BASELINE 미설정 시 null)
+ *
+ * open()은 init 단계에서만 호출 가능하므로 모듈 로드 시 읽음
+ */
+export const BASELINE = ENV.K6_BASELINE ? loadBaseline(ENV.K6_BASELINE) : null;
+
+/**
+ * 적용되는 허용 범위 (K6_BASELINE_TOLERANCE로 latency/throughput 비율 변경)
+ */
+export const TOLERANCES = ENV.K6_BASELINE_TOLERANCE
+    ? {
+        ...BASELINE_TOLERANCES,
+        latency: parseFloat(ENV.K6_BASELINE_TOLERANCE),
+        throughput: parseFloat(ENV.K6_BASELINE_TOLERANCE),
+    }
+    : BASELINE_TOLERANCES;
+
+function loadBaseline(path) {
+    const summary = JSON.parse(open(path));
+    if (!summary.metrics) {
+        throw new Error(`K6_BASELINE ${path} is not a k6 summary JSON (missing "metrics")`);
+    }
+    return { path: path, summary: summary };
+}
+
+/**
+ * 처리량을 비교할 수 있는 실행인지 판단하는 run 정보 (report-generator.js가 JSON에 저장)
+ */
+const RUN_IDENTITY_KEYS = ['test', 'profile', 'loadModel'];
+
+/**
+ * 현재 실행의 run 정보 중 기준 실행과 맞춰 볼 부분
+ *
+ * @param {string} testName - createReportOutput에 넘기는 테스트 이름 (예: 'load-test')
+ */
+export function runIdentity(testName) {
+    return {
+        test: testName,
+        profile: PROFILE.name,
+        loadModel: resolveLoadModel(),
+    };
+}
+
+/**
+ * 기준 실행의 run 정보
+ *
+ * run이 없는 이전 보고서(k6-secrips-v2 등)는 파일 이름(<테스트>-<시각>.json)에서 테스트 이름만 추정
+ * (trend-dashboard.mjs와 같은 규칙)
+ */
+function baselineRunOf(baseline) {
+    if (baseline.summary.run) {
+        return baseline.summary.run;
+    }
+    const match = /([^/\\]+)-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.json$/.exec(baseline.path || '');
+    return match ? { test: match[1] } : {};
+}
+
+/**
+ * 기준 실행과 같은 형태의 실행인지 (처리량 비교 가능 여부)
+ *
+ * 테스트 이름은 반드시 같아야 하고, 프로필·부하 모델은 기준 실행에 기록된 경우에만 비교
+ */
+function isSameRunShape(baseline, testName) {
+    const run = baselineRunOf(baseline);
+    const current = runIdentity(testName);
+    return run.test === current.test
+        && RUN_IDENTITY_KEYS.every(key => run[key] === undefined || run[key] === current[key]);
+}
+
+// ============================================================================
+// 실행 통계 추출
+// ============================================================================
+
+/**
+ * 비교 지표
+ *
+ * - direction: 'up'이면 증가가 회귀 (응답 시간, 에러율), 'down'이면 감소가 회귀 (RPS)
+ * - throughput(RPS)은 같은 형태의 실행끼리만 비교 (isSameRunShape)
+ */
+const COMPARED_STATS = [
+    { key: 'p50', label: 'P50', kind: 'latency', direction: 'up' },
+    { key: 'p95', label: 'P95', kind: 'latency', direction: 'up' },
+    { key: 'p99', label: 'P99', kind: 'latency', direction: 'up' },
+    { key: 'errorRate', label: '에러율', kind: 'errorRate', direction: 'up' },
+    { key: 'rps', label: 'RPS', kind: 'throughput', direction: 'down' },
+];
+
+/**
+ * 요약 데이터에서 전체 및 엔드포인트별 통계 추출
+ *
+ * 엔드포인트 응답 시간은 http_req_duration{name:...} 서브메트릭을 우선 사용하고,
+ * 없으면 카탈로그의 커스텀 Trend(login_duration 등)를 사용 (이전 버전 보고서 호환)
+ *
+ * @param {object} summary - handleSummary data 또는 저장된 JSON 요약
+ * @returns {object} - { overall: stats, endpoints: { tag: stats } }
+ *   stats = { p50, p95, p99, errorRate, rps } (없는 값은 null)
+ */
+export function extractRunStats(summary) {
+    const metrics = summary.metrics || {};
+
+    const overall = statsOf(
+        metrics.http_req_duration,
+        metrics.http_req_failed,
+        metrics.http_reqs
+    );
+
+    // setup 요청은 풀 재사용 여부에 따라 달라지므로 제외 (회귀로 잡히지 않도록)
+    const endpoints = {};
+    Object.values(ENDPOINTS).filter(endpoint => !isSetupTag(endpoint.tag)).forEach(endpoint => {
+        const duration = metrics[`http_req_duration{name:${endpoint.tag}}`]
+            || (endpoint.metric ? metrics[endpoint.metric] : null);
+        const stats = statsOf(
+            duration,
+            metrics[`http_req_failed{name:${endpoint.tag}}`],
+            metrics[`http_reqs{name:${endpoint.tag}}`]
+        );
+        if (Object.values(stats).some(value => value !== null)) {
+            endpoints[endpoint.tag] = stats;
+        }
+    });
+
+    return { overall: overall, endpoints: endpoints };
+}
+
+/**
+ * 샘플이 없는 서브메트릭(해당 실행에서 호출되지 않은 엔드포인트)은 null로 처리
+ */
+function statsOf(duration, failed, reqs) {
+    const values = (metric) => (metric && hasSamples(metric) ? metric.values : {});
+    const pick = (value) => (typeof value === 'number' ? value : null);
+
+    return {
+        p50: pick(values(duration).med),
+        p95: pick(values(duration)['p(95)']),
+        p99: pick(values(duration)['p(99)']),
+        errorRate: pick(values(failed).rate),
+        rps: pick(values(reqs).rate),
+    };
+}
+
+// ============================================================================
+// 임계값 생성
+// ============================================================================
+
+/**
+ * 기준 실행 비교용 임계값 생성
+ *
+ * - 항상: 엔드포인트별 http_req_duration / http_req_failed / http_reqs 서브메트릭을 요약에 포함
+ *   (항상 통과하는 >=0 임계값) → 모든 실행의 JSON이 다음 실행의 기준으로 쓰일 수 있음
+ * - K6_BASELINE 설정 시: 기준값 + 허용 범위를 넘으면 실패하는 임계값 추가
+ *   - 응답 시간·에러율: 전체 + 기준 실행에 있던 엔드포인트
+ *     (호출되지 않은 엔드포인트의 서브메트릭은 샘플이 없어 통과)
+ *   - RPS 하한: 기준 실행의 run 정보가 현재 실행과 같을 때만, 전체 + endpointKeys의 엔드포인트
+ *     (rate>X는 샘플이 없으면 실패하므로 401 때만 호출되는 토큰 갱신 등은 제외)
+ *
+ * 기존 임계값과 같은 서브메트릭을 쓰므로 config.js의 mergeThresholds()로 병합할 것
+ *
+ * @param {string} testName - createReportOutput에 넘기는 테스트 이름 (예: 'load-test')
+ * @param {array} endpointKeys - 테스트가 매 반복 호출하는 ENDPOINTS 키 (엔드포인트 RPS 비교 대상)
+ * @returns {object} - { 'http_req_duration{name:login}': ['p(95)>=0', 'p(95)<575', ...], ... }
+ */
+export function baselineThresholds(testName, endpointKeys = []) {
+    const thresholds = {};
+    const add = (metric, expression) => {
+        thresholds[metric] = [...(thresholds[metric] || []), expression];
+    };
+
+    Object.values(ENDPOINTS).forEach(endpoint => {
+        add(`http_req_duration{name:${endpoint.tag}}`, 'p(95)>=0');
+        add(`http_req_failed{name:${endpoint.tag}}`, 'rate>=0');
+        add(`http_reqs{name:${endpoint.tag}}`, 'count>=0');
+    });
+
+    if (!BASELINE) {
+        return thresholds;
+    }
+
+    const stats = extractRunStats(BASELINE.summary);
+    const compareThroughput = isSameRunShape(BASELINE, testName);
+    const calledTags = endpointKeys.map(key => ENDPOINTS[key].tag);
+
+    const addScope = (tagFilter, scopeStats, withThroughput) => {
+        const percentiles = { p50: 'med', p95: 'p(95)', p99: 'p(99)' };
+        Object.entries(percentiles).forEach(([key, aggregation]) => {
+            if (scopeStats[key] !== null) {
+                add(`http_req_duration${tagFilter}`, `${aggregation}<${round(limitOf('latency', scopeStats[key]))}`);
+            }
+        });
+        if (scopeStats.errorRate !== null) {
+            add(`http_req_failed${tagFilter}`, `rate<${round(limitOf('errorRate', scopeStats.errorRate), 4)}`);
+        }
+        if (withThroughput && scopeStats.rps !== null) {
+            add(`http_reqs${tagFilter}`, `rate>${round(limitOf('throughput', scopeStats.rps), 4)}`);
+        }
+    };
+
+    addScope('', stats.overall, compareThroughput);
+    Object.entries(stats.endpoints).forEach(([tag, endpointStats]) => {
+        addScope(`{name:${tag}}`, endpointStats, compareThroughput && calledTags.indexOf(tag) !== -1);
+    });
+
+    return thresholds;
+}
+
+/**
+ * 허용 한계값 (이 값을 넘으면 회귀)
+ */
+function limitOf(kind, baselineValue) {
+    switch (kind) {
+        case 'latency':
+            return Math.max(baselineValue * (1 + TOLERANCES.latency), baselineValue + TOLERANCES.latencyMinMs);
+        case 'errorRate':
+            return baselineValue + TOLERANCES.errorRate;
+        case 'throughput':
+            return baselineValue * (1 - TOLERANCES.throughput);
+        default:
+            return baselineValue;
+    }
+}
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// ============================================================================
+// 비교
+// ============================================================================
+
+/**
+ * 현재 실행과 기준 실행 비교 (baselineThresholds()와 같은 범위)
+ *
+ * 기준 JSON에 없는 지표(이전 보고서의 p99, 엔드포인트 RPS 등)는 baseline: null 행으로 남김
+ * 현재 실행에서 호출되지 않은 엔드포인트는 current: null (회귀로 보지 않음)
+ *
+ * @param {object} current - handleSummary data
+ * @param {string} testName - 현재 테스트 이름
+ * @param {object} baseline - { path, summary } (기본: K6_BASELINE)
+ * @returns {object} - { rows: [{ scope, label, stat, baseline, current, delta, regressed }], regressions, throughputCompared }
+ *   K6_BASELINE 미설정이면 null
+ */
+export function compareWithBaseline(current, testName, baseline = BASELINE) {
+    if (!baseline) {
+        return null;
+    }
+
+    const before = extractRunStats(baseline.summary);
+    const after = extractRunStats(current);
+    const throughputCompared = isSameRunShape(baseline, testName);
+    const rows = [];
+
+    const compareScope = (scope, label, beforeStats, afterStats) => {
+        COMPARED_STATS.forEach(stat => {
+            if (stat.kind === 'throughput' && !throughputCompared) {
+                return;
+            }
+            // 기준에 없는 지표는 "기준에 없음", 현재 실행에서 호출되지 않은 엔드포인트는 N/A (둘 다 회귀로 보지 않음)
+            const baseValue = beforeStats ? beforeStats[stat.key] : null;
+            const currentValue = afterStats ? afterStats[stat.key] : null;
+            if (baseValue === null && currentValue === null) {
+                return;
+            }
+            const limit = baseValue === null ? null : limitOf(stat.kind, baseValue);
+            const regressed = baseValue !== null && currentValue !== null
+                && (stat.direction === 'up' ? currentValue > limit : currentValue < limit);
+
+            rows.push({
+                scope: scope,
+                label: label,
+                stat: stat,
+                baseline: baseValue,
+                current: currentValue,
+                delta: baseValue === null || currentValue === null ? null : currentValue - baseValue,
+                deltaRatio: baseValue === null || currentValue === null || baseValue === 0 ? null : (currentValue - baseValue) / baseValue,
+                limit: limit,
+                regressed: regressed,
+            });
+        });
+    };
+
+    compareScope('overall', '전체', before.overall, after.overall);
+    Object.values(ENDPOINTS)
+        .filter(endpoint => before.endpoints[endpoint.tag] || after.endpoints[endpoint.tag])
+        .forEach(endpoint => {
+            compareScope(endpoint.tag, metricLabel(endpoint.tag), before.endpoints[endpoint.tag], after.endpoints[endpoint.tag]);
+        });
+
+    return {
+        rows: rows,
+        regressions: rows.filter(row => row.regressed),
+        throughputCompared: throughputCompared,
+    };
+}
+
+// ============================================================================
+// 보고서 섹션
+// ============================================================================
+
+/**
+ * Markdown 요약에 나열할 엔드포인트 회귀 최대 개수
+ */
+const MARKDOWN_MAX_REGRESSIONS = 8;
+
+/**
+ * 보고서 섹션 생성 ({ title, html, text, markdown })
+ *
+ * createReportOutput의 sections 형식
+ *
+ * @param {object} data - handleSummary data
+ * @param {string} testName - 현재 테스트 이름
+ * @returns {object} - 섹션 또는 null (기준 실행 없음)
+ */
+export function renderBaselineSection(data, testName) {
+    const comparison = compareWithBaseline(data, testName);
+    if (!comparison) {
+        return null;
+    }
+
+    const title = '⚖️ 기준 실행 비교';
+    const throughputNote = comparison.throughputCompared
+        ? null
+        : 'RPS 비교 생략: 기준 실행의 테스트·프로필·부하 모델이 현재 실행과 다름';
+    const verdict = comparison.regressions.length === 0
+        ? '<span class="status-badge status-pass">회귀 없음</span>'
+        : `<span class="status-badge status-fail">회귀 ${comparison.regressions.length}건</span>`;
+
+    const html = `
+            <p style="margin-bottom: 10px;">기준: <code>${BASELINE.path}</code> ${verdict}</p>
+            <p style="color: #666; margin-bottom: 15px;">
+                허용 범위: 응답 시간 +${(TOLERANCES.latency * 100).toFixed(0)}% (최소 ${TOLERANCES.latencyMinMs}ms),
+                에러율 +${(TOLERANCES.errorRate * 100).toFixed(1)}%p, RPS -${(TOLERANCES.throughput * 100).toFixed(0)}%
+            </p>
+            ${throughputNote ? `<p style="color: #666; margin-bottom: 15px;">${throughputNote}</p>` : ''}
+            <table>
+                <thead>
+                    <tr><th>대상</th><th>지표</th><th>기준</th><th>현재</th><th>변화</th><th>판정</th></tr>
+                </thead>
+                <tbody>
+                    ${comparison.rows.map(row => `
+                    <tr>
+                        <td>${row.label}</td>
+                        <td>${row.stat.label}</td>
+                        <td>${formatBaseline(row)}</td>
+                        <td>${formatStat(row.stat, row.current)}</td>
+                        <td class="${row.regressed ? 'danger-text' : ''}">${formatDelta(row)}</td>
+                        <td><span class="status-badge ${row.regressed ? 'status-fail' : 'status-pass'}">${verdictOf(row)}</span></td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+
+    const textLines = comparison.regressions.length === 0
+        ? ['    회귀 없음']
+        : comparison.regressions.map(row =>
+            `    ✗ ${row.label} ${row.stat.label}: ${formatStat(row.stat, row.baseline)} → ${formatStat(row.stat, row.current)} (${formatDelta(row)})`
+        );
+
+    // Markdown: 전체 지표 표 + 회귀 목록 (PR 본문에 붙이므로 엔드포인트는 회귀만 표시)
+    const overallRows = comparison.rows.filter(row => row.scope === 'overall');
+    const markdownLines = [
+        `기준: \`${BASELINE.path}\` — ${comparison.regressions.length === 0 ? '✅ 회귀 없음' : `❌ 회귀 ${comparison.regressions.length}건`}`,
+        '',
+        '| 지표 | 기준 | 현재 | 변화 |',
+        '|------|------|------|------|',
+        ...overallRows.map(row =>
+            `| ${row.regressed ? '❌ ' : ''}${row.stat.label} | ${formatBaseline(row)} | ${formatStat(row.stat, row.current)} | ${formatDelta(row)} |`
+        ),
+    ];
+    const endpointRegressions = comparison.regressions.filter(row => row.scope !== 'overall');
+    if (endpointRegressions.length > 0) {
+        markdownLines.push('', ...endpointRegressions.slice(0, MARKDOWN_MAX_REGRESSIONS).map(row =>
+            `- ❌ ${row.label} ${row.stat.label}: ${formatStat(row.stat, row.baseline)} → ${formatStat(row.stat, row.current)} (${formatDelta(row)})`
+        ));
+        if (endpointRegressions.length > MARKDOWN_MAX_REGRESSIONS) {
+            markdownLines.push(`- … 외 ${endpointRegressions.length - MARKDOWN_MAX_REGRESSIONS}건 (HTML 보고서 참고)`);
+        }
+    }
+    if (throughputNote) {
+        markdownLines.push('', `_${throughputNote}_`);
+    }
+
+    return {
+        title: title,
+        html: html,
+        text: [`    기준: ${BASELINE.path}`, ...textLines, ...(throughputNote ? [`    ${throughputNote}`] : [])].join('\n'),
+        markdown: markdownLines.join('\n'),
+    };
+}
+
+function formatStat(stat, value) {
+    if (value === null || value === undefined) {
+        return 'N/A';
+    }
+    if (stat.kind === 'latency') {
+        return `${value.toFixed(1)}ms`;
+    }
+    if (stat.kind === 'errorRate') {
+        return `${(value * 100).toFixed(2)}%`;
+    }
+    return `${value.toFixed(2)}/s`;
+}
+
+/**
+ * 기준값 표시 (기준 JSON에 없는 지표는 "기준에 없음")
+ */
+function formatBaseline(row) {
+    return row.baseline === null ? '기준에 없음' : formatStat(row.stat, row.baseline);
+}
+
+function verdictOf(row) {
+    if (row.baseline === null) {
+        return '기준에 없음';
+    }
+    if (row.current === null) {
+        return 'N/A';
+    }
+    return row.regressed ? 'REGRESSION' : 'OK';
+}
+
+function formatDelta(row) {
+    if (row.delta === null) {
+        return 'N/A';
+    }
+    const sign = row.delta >= 0 ? '+' : '';
+    if (row.stat.kind === 'errorRate') {
+        return `${sign}${(row.delta * 100).toFixed(2)}%p`;
+    }
+    const ratio = row.deltaRatio === null ? '' : ` (${sign}${(row.deltaRatio * 100).toFixed(1)}%)`;
+    return `${sign}${formatStat(row.stat, row.delta)}${ratio}`;
+}
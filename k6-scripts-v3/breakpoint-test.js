@@ -37,27 +37,124 @@
  */
 
 import { group, sleep } from 'k6';
+import exec from 'k6/execution';
 import {
+    PROFILE,
     randomString,
     getCurrentTime,
     getTimeAfterMinutes,
+    parseDuration,
+    mergeThresholds,
+    SUMMARY_TREND_STATS,
 } from './config.js';
 import {
-    signup,
-    getProfile,
-    createSchedule,
-    getSchedulesByDate,
-    getDayPlanId,
-    deleteSchedule,
     healthCheck,
     fullScenarioDuration,
     scenarioFailRate,
 } from './helpers.js';
+import { USER_MODE, prepareAccountPool, accountPoolSize, accountGuardLoad, startSession, accountEndpoints } from './account-pool.js';
+import { ENDPOINTS, hasSamples } from './endpoints.js';
+import { errorBreakdownThresholds } from './errors.js';
+import { baselineThresholds } from './baseline.js';
+import { sloThresholds } from './slo.js';
+import { createReportOutput, groupThresholds } from './report-generator.js';
+import { enforceSafetyGuard } from './safety-guard.js';
+
+// ============================================================================
+// Breaking Point 판정 기준
+// ============================================================================
+
+/**
+ * Breaking Point 판정 기준
+ *
+ * - p95: 전체 응답 시간 SLO (COMMON_THRESHOLDS의 p(95)<2000과 동일)
+ * - errorRate: 이 비율을 넘으면 장애 상태로 판단
+ * - safeRatio: 권장 운영 한계 = Breaking Point VU의 60~70%
+ */
+const BREAKPOINT_CRITERIA = {
+    p95: 2000,
+    errorRate: 0.10,
+    safeRatio: { min: 0.6, max: 0.7 },
+};
+
+/**
+ * 이 테스트가 호출하는 엔드포인트 (엔드포인트별 저하 시점 판정 대상)
+ *
+ * 세션은 사용자 모드에 따라 회원가입(signup) 또는 풀 계정 로그인(returning)으로 시작
+ */
+const BREAKPOINT_ENDPOINTS = [
+    USER_MODE === 'signup' ? 'signup' : 'login',
+    'get_profile',
+    'get_schedules_by_date',
+    'create_schedule',
+    'delete_schedule',
+];
+
+const BREAKPOINT_STAGES = PROFILE.stages.breakpoint;
+
+/**
+ * 단계별 종료 시점 (시나리오 시작 기준 초)
+ */
+const STAGE_ENDS = BREAKPOINT_STAGES.reduce((ends, stage) => {
+    const previous = ends.length > 0 ? ends[ends.length - 1] : 0;
+    return ends.concat(previous + parseDuration(stage.duration));
+}, []);
+
+/**
+ * 단계 중 최대 목표 VU
+ */
+function maxStageTarget() {
+    return BREAKPOINT_STAGES.reduce((max, stage) => Math.max(max, stage.target), 0);
+}
+
+/**
+ * 부하를 늘리는 단계인지 (마지막 회복 단계는 Breaking Point·엔드포인트 저하 판정에서 제외)
+ */
+function isRampingStage(index) {
+    const fromVUs = index > 0 ? BREAKPOINT_STAGES[index - 1].target : 0;
+    return BREAKPOINT_STAGES[index].target > fromVUs;
+}
+
+/**
+ * 단계별 서브메트릭 (항상 통과하는 임계값)
+ *
+ * 요청마다 bp_stage 태그(1부터 시작하는 단계 번호)를 붙이고,
+ * handleSummary에서 단계별 p95 / 에러율 / 요청 수를 읽어 Breaking Point를 판정
+ *
+ * analyzeBreakpoint()가 읽는 서브메트릭만 등록 (단계×엔드포인트 조합이 요약을 채우지 않도록)
+ * - 모든 단계: 요청 수, p95, 에러율
+ * - 증가 단계 × 엔드포인트: 에러율, SLO가 있는 엔드포인트만 p95
+ */
+function stageThresholds() {
+    const thresholds = {};
+    BREAKPOINT_STAGES.forEach((stage, index) => {
+        const tag = `bp_stage:${index + 1}`;
+        thresholds[`http_reqs{${tag}}`] = ['count>=0'];
+        thresholds[`http_req_duration{${tag}}`] = ['p(95)>=0'];
+        thresholds[`http_req_failed{${tag}}`] = ['rate>=0'];
+        if (!isRampingStage(index)) {
+            return;
+        }
+        BREAKPOINT_ENDPOINTS.forEach(key => {
+            const endpoint = ENDPOINTS[key];
+            if (endpoint.slo) {
+                thresholds[`http_req_duration{${tag},name:${endpoint.tag}}`] = ['p(95)>=0'];
+            }
+            thresholds[`http_req_failed{${tag},name:${endpoint.tag}}`] = ['rate>=0'];
+        });
+    });
+    return thresholds;
+}
 
 // ============================================================================
 // 테스트 설정
 // ============================================================================
 
+/**
+ * 이 테스트가 호출하는 엔드포인트 (에러 분석·기준 실행 비교 대상)
+ */
+const TEST_ENDPOINTS = [...accountEndpoints(), ...BREAKPOINT_ENDPOINTS];
+
 export const options = {
     /**
      * 브레이크포인트 테스트 단계 설정
@@ -73,24 +170,7 @@ export const options = {
      * - 1분 유지: 해당 부하에서 안정화 여부 확인
      * - 최대 1000 VU: 대부분의 서비스 한계 초과
      */
-    stages: [
-        { duration: '1m', target: 50 },
-        { duration: '1m', target: 100 },
-        { duration: '1m', target: 150 },
-        { duration: '1m', target: 200 },
-        { duration: '1m', target: 250 },
-        { duration: '1m', target: 300 },
-        { duration: '1m', target: 350 },
-        { duration: '1m', target: 400 },
-        { duration: '1m', target: 450 },
-        { duration: '1m', target: 500 },
-        { duration: '1m', target: 600 },
-        { duration: '1m', target: 700 },
-        { duration: '1m', target: 800 },
-        { duration: '1m', target: 900 },
-        { duration: '1m', target: 1000 },
-        { duration: '2m', target: 0 }, // 복구 관찰
-    ],
+    stages: PROFILE.stages.breakpoint,
 
     /**
      * Graceful 종료 설정
@@ -101,6 +181,9 @@ export const options = {
     gracefulStop: '60s',
     gracefulRampDown: '30s',
 
+    // 보고서용 통계 (p(99)와 count는 기준 실행 비교에 사용)
+    summaryTrendStats: SUMMARY_TREND_STATS,
+
     /**
      * 브레이크포인트 테스트 임계값
      *
@@ -108,11 +191,23 @@ export const options = {
      * - 목적이 실패 지점을 찾는 것이므로 실패를 허용
      * - 단, 데이터 수집을 위해 기본 메트릭은 유지
      */
-    thresholds: {
+    thresholds: mergeThresholds({
         // 매우 느슨한 임계값 - Breaking Point 찾기가 목적
         http_req_duration: ['p(95)<30000'], // 30초까지 허용
         http_req_failed: ['rate<0.50'],     // 50% 실패까지 허용
-    },
+
+        // 보고서 에러 분석용 서브메트릭 (항상 통과, 이 테스트가 호출하는 엔드포인트만)
+        ...errorBreakdownThresholds(TEST_ENDPOINTS),
+
+        // 보고서 SLO·에러 예산 섹션용 서브메트릭 (항상 통과)
+        ...sloThresholds(),
+
+        // 보고서 그룹 계층용 그룹 소요 시간 (항상 통과)
+        ...groupThresholds(['signup', 'core_operations']),
+
+        // Breaking Point 자동 판정용 단계별 서브메트릭 (항상 통과)
+        ...stageThresholds(),
+    }, baselineThresholds('breakpoint-test', TEST_ENDPOINTS)), // 기준 실행 대비 회귀 감지 (K6_BASELINE 설정 시)
 
     /**
      * 실패 시 중단하지 않음
@@ -140,26 +235,23 @@ export const options = {
  * - 복잡한 로직 없이 순수 시스템 성능 측정
  * - 최대 처리량 도달이 목적
  */
-export default function () {
+export default function (data) {
+    tagStage();
+
     const scenarioStart = new Date();
     let scenarioSuccess = true;
 
     // ========================================================================
-    // 1. 회원가입 (고유 이메일 자동 생성)
+    // 1. 세션 시작 (signup: 회원가입, returning: 풀 계정 로그인)
     // ========================================================================
 
-    let accessToken = null;
+    let session = null;
 
     group('signup', function () {
-        const signupResult = signup();
-        if (!signupResult) {
-            scenarioSuccess = false;
-            return;
-        }
-        accessToken = signupResult.accessToken;
+        session = startSession(data.accounts);
     });
 
-    if (!accessToken) {
+    if (!session) {
         scenarioFailRate.add(true);
         fullScenarioDuration.add(new Date() - scenarioStart);
         return; // 빠른 실패
@@ -169,21 +261,16 @@ export default function () {
     // 2. 핵심 작업만 수행 + DayPlan ID 조회
     // ========================================================================
 
-    let dayPlanId = null;
-
     group('core_operations', function () {
         // 프로필 조회 (읽기)
-        getProfile(accessToken);
+        session.getProfile();
 
-        // 오늘 스케줄 조회 (읽기) + dayPlanId 추출
-        const scheduleInfo = getSchedulesByDate(accessToken);
-        if (scheduleInfo && scheduleInfo.dayPlanId) {
-            dayPlanId = scheduleInfo.dayPlanId;
-        }
+        // 오늘 스케줄 조회 (읽기) + dayPlanId 캐시
+        session.getDayPlanId();
 
         // 스케줄 생성 (쓰기) - 50% 확률, dayPlanId가 있을 때만
-        if (dayPlanId && Math.random() < 0.5) {
-            const scheduleData = {
+        if (session.hasDayPlan() && Math.random() < 0.5) {
+            const schedule = session.createSchedule({
                 type: 'FLEX',
                 title: `BP_${__VU}_${randomString(4)}`,
                 startAt: getCurrentTime(),
@@ -191,14 +278,10 @@ export default function () {
                 estimatedTimeRange: 'MINUTES_30_TO_60',
                 focusLevel: 3,
                 isUrgent: false,
-            };
-
-            const schedule = createSchedule(accessToken, dayPlanId, scheduleData);
+            });
 
             // 생성 성공 시 즉시 삭제 (DB 정리)
-            if (schedule && schedule.scheduleId) {
-                deleteSchedule(accessToken, schedule.scheduleId);
-            }
+            session.deleteSchedules([schedule]);
         }
     });
 
@@ -209,6 +292,19 @@ export default function () {
     // Think Time 없음 - 최대 부하 생성
 }
 
+/**
+ * 현재 경과 시간에 맞는 bp_stage 태그 설정
+ *
+ * 이후 이 VU가 보내는 모든 요청에 태그가 붙음
+ * (gracefulRampDown 구간처럼 마지막 단계 이후의 요청은 마지막 단계로 집계)
+ */
+function tagStage() {
+    // 단계는 시나리오 시작(setup 이후)부터 흐르므로 테스트 실행 시간이 아닌 시나리오 경과 시간으로 판단
+    const elapsedSeconds = (Date.now() - exec.scenario.startTime) / 1000;
+    const index = STAGE_ENDS.findIndex(end => elapsedSeconds < end);
+    exec.vu.metrics.tags.bp_stage = String(index === -1 ? STAGE_ENDS.length : index + 1);
+}
+
 // ============================================================================
 // 라이프사이클 훅
 // ============================================================================
@@ -217,9 +313,9 @@ export function setup() {
     console.log('========================================');
     console.log('💥 Breakpoint Test Started');
     console.log('========================================');
-    console.log(`Target: ${__ENV.K6_BASE_URL || 'http://localhost:8080'}`);
-    console.log(`Max VUs: 1000`);
-    console.log(`Duration: ~17 minutes`);
+    console.log(`Target: ${PROFILE.apiUrl} (profile: ${PROFILE.name})`);
+    console.log(`Max VUs: ${maxStageTarget()}`);
+    console.log(`Duration: ~${Math.round(STAGE_ENDS[STAGE_ENDS.length - 1] / 60)} minutes`);
     console.log('');
     console.log('🎯 Goal: Find the Breaking Point!');
     console.log('');
@@ -234,13 +330,20 @@ export function setup() {
     console.log('   - Throughput plateau or drop');
     console.log('');
 
+    // 운영 환경 보호 가드 (정책 위반 시 테스트 중단)
+    enforceSafetyGuard('breakpoint', options, accountGuardLoad(options, { signupsPerIteration: 1, iterationSeconds: 0.5 }));
+
     // 서버 헬스체크
     const isHealthy = healthCheck();
     if (!isHealthy) {
         throw new Error('Server health check failed');
     }
 
+    // 재방문 사용자 모드의 계정 풀 준비 (K6_USER_MODE=returning)
+    const accounts = prepareAccountPool(accountPoolSize(options));
+
     return {
+        accounts: accounts,
         startTime: new Date().toISOString(),
         testType: 'breakpoint',
     };
@@ -271,7 +374,226 @@ export function teardown(data) {
     console.log('   - Check server logs for root cause');
     console.log('');
     console.log('4. Document Results:');
-    console.log('   - Max VUs before degradation: ??? VU');
-    console.log('   - Max RPS achieved: ??? req/s');
-    console.log('   - First error type: ???');
+    console.log('   - Breaking point, max sustained RPS, first degraded endpoint and safe limit');
+    console.log('     are detected automatically (see "Breaking Point 분석" in the summary and report)');
+}
+
+// ============================================================================
+// Breaking Point 분석
+// ============================================================================
+
+/**
+ * 단계별 요약으로 Breaking Point 판정
+ *
+ * - Breaking Point: p95가 SLO를 넘거나 에러율이 10%를 넘은 첫 증가 단계
+ * - 최대 지속 RPS: Breaking Point 이전(정상) 단계 중 가장 높은 RPS
+ * - 가장 먼저 저하된 엔드포인트: 엔드포인트 SLO(p95) 또는 에러율 기준을 처음 넘은 엔드포인트
+ * - 권장 운영 한계: Breaking Point VU의 60~70%
+ *
+ * 부하를 줄이는 마지막 회복 단계는 판정에서 제외 (RPS 표에는 표시)
+ *
+ * @param {object} metrics - handleSummary data.metrics
+ * @returns {object} - { stages, breakingPoint, maxSustainedRps, peakRps, firstDegraded, safeLimit }
+ */
+function analyzeBreakpoint(metrics) {
+    const stages = BREAKPOINT_STAGES.map((stage, index) => {
+        const tag = `bp_stage:${index + 1}`;
+        const fromVUs = index > 0 ? BREAKPOINT_STAGES[index - 1].target : 0;
+        const ramping = isRampingStage(index);
+        const requests = valueOf(metrics[`http_reqs{${tag}}`], 'count') || 0;
+        const p95 = valueOf(metrics[`http_req_duration{${tag}}`], 'p(95)');
+        const errorRate = valueOf(metrics[`http_req_failed{${tag}}`], 'rate');
+
+        // 엔드포인트 서브메트릭은 증가 단계만 등록됨 (stageThresholds)
+        const endpoints = !ramping ? [] : BREAKPOINT_ENDPOINTS.map(key => {
+            const endpoint = ENDPOINTS[key];
+            const endpointP95 = valueOf(metrics[`http_req_duration{${tag},name:${endpoint.tag}}`], 'p(95)');
+            const endpointErrorRate = valueOf(metrics[`http_req_failed{${tag},name:${endpoint.tag}}`], 'rate');
+            const sloP95 = endpoint.slo ? endpoint.slo.p95 : null;
+            return {
+                name: endpoint.tag,
+                label: endpoint.label,
+                p95: endpointP95,
+                errorRate: endpointErrorRate,
+                sloP95: sloP95,
+                slowRatio: sloP95 && endpointP95 !== null ? endpointP95 / sloP95 : 0,
+                degraded: (sloP95 !== null && endpointP95 !== null && endpointP95 > sloP95)
+                    || (endpointErrorRate !== null && endpointErrorRate > BREAKPOINT_CRITERIA.errorRate),
+            };
+        });
+
+        return {
+            index: index + 1,
+            fromVUs: fromVUs,
+            targetVUs: stage.target,
+            ramping: ramping,
+            requests: requests,
+            rps: requests / parseDuration(stage.duration),
+            p95: p95,
+            errorRate: errorRate,
+            slow: p95 !== null && p95 > BREAKPOINT_CRITERIA.p95,
+            failing: errorRate !== null && errorRate > BREAKPOINT_CRITERIA.errorRate,
+            endpoints: endpoints,
+        };
+    });
+
+    const measured = stages.filter(stage => stage.ramping && stage.requests > 0);
+    const breakingPoint = measured.find(stage => stage.slow || stage.failing) || null;
+    const healthy = measured.filter(stage => !breakingPoint || stage.index < breakingPoint.index);
+
+    const maxSustained = healthy.reduce((best, stage) => (!best || stage.rps > best.rps ? stage : best), null);
+    const peak = stages.reduce((best, stage) => (!best || stage.rps > best.rps ? stage : best), null);
+
+    // 같은 단계에서 여러 엔드포인트가 저하되면 SLO 대비 가장 느린(에러 우선) 엔드포인트
+    const firstDegradedStage = measured.find(stage => stage.endpoints.some(endpoint => endpoint.degraded)) || null;
+    const firstDegraded = firstDegradedStage
+        ? {
+            stage: firstDegradedStage,
+            endpoint: firstDegradedStage.endpoints
+                .filter(endpoint => endpoint.degraded)
+                .sort((a, b) => isFailing(b) - isFailing(a) || b.slowRatio - a.slowRatio)[0],
+        }
+        : null;
+
+    return {
+        stages: stages,
+        breakingPoint: breakingPoint,
+        maxSustainedRps: maxSustained ? maxSustained.rps : 0,
+        maxSustainedStage: maxSustained,
+        peakRps: peak ? peak.rps : 0,
+        firstDegraded: firstDegraded,
+        safeLimit: breakingPoint
+            ? {
+                min: Math.floor(breakingPoint.targetVUs * BREAKPOINT_CRITERIA.safeRatio.min),
+                max: Math.floor(breakingPoint.targetVUs * BREAKPOINT_CRITERIA.safeRatio.max),
+            }
+            : null,
+    };
+}
+
+function isFailing(endpoint) {
+    return endpoint.errorRate !== null && endpoint.errorRate > BREAKPOINT_CRITERIA.errorRate ? 1 : 0;
+}
+
+function valueOf(metric, stat) {
+    if (!metric || !hasSamples(metric) || metric.values[stat] === undefined) {
+        return null;
+    }
+    return metric.values[stat];
+}
+
+function formatMs(value) {
+    return value === null ? 'N/A' : `${value.toFixed(0)}ms`;
+}
+
+function formatPercent(value) {
+    return value === null ? 'N/A' : `${(value * 100).toFixed(2)}%`;
+}
+
+function describeBreakingPoint(analysis) {
+    const bp = analysis.breakingPoint;
+    if (!bp) {
+        return `한계 미도달 (최대 ${maxStageTarget()} VU까지 p95 ${BREAKPOINT_CRITERIA.p95}ms / 에러율 ${BREAKPOINT_CRITERIA.errorRate * 100}% 이내)`;
+    }
+    const causes = [];
+    if (bp.slow) {
+        causes.push(`p95 ${formatMs(bp.p95)} > ${BREAKPOINT_CRITERIA.p95}ms`);
+    }
+    if (bp.failing) {
+        causes.push(`에러율 ${formatPercent(bp.errorRate)} > ${BREAKPOINT_CRITERIA.errorRate * 100}%`);
+    }
+    return `${bp.fromVUs} → ${bp.targetVUs} VU 구간 (${causes.join(', ')})`;
+}
+
+function describeFirstDegraded(analysis) {
+    const first = analysis.firstDegraded;
+    if (!first) {
+        return '없음';
+    }
+    const endpoint = first.endpoint;
+    const detail = isFailing(endpoint)
+        ? `에러율 ${formatPercent(endpoint.errorRate)}`
+        : `p95 ${formatMs(endpoint.p95)} > SLO ${endpoint.sloP95}ms`;
+    return `${endpoint.label} (${endpoint.name}) — ${first.stage.fromVUs} → ${first.stage.targetVUs} VU, ${detail}`;
+}
+
+function describeSafeLimit(analysis) {
+    if (!analysis.safeLimit) {
+        return '산정 불가 (Breaking Point 미도달 — 단계 목표 VU를 늘려 재실행)';
+    }
+    return `${analysis.safeLimit.min} ~ ${analysis.safeLimit.max} VU`;
+}
+
+function renderBreakpointSection(analysis) {
+    const summaryRows = [
+        ['Breaking Point', describeBreakingPoint(analysis)],
+        ['최대 지속 RPS (정상 구간)', analysis.maxSustainedStage
+            ? `${analysis.maxSustainedRps.toFixed(1)} req/s (${analysis.maxSustainedStage.targetVUs} VU 단계)`
+            : 'N/A'],
+        ['최대 RPS (전체)', `${analysis.peakRps.toFixed(1)} req/s`],
+        ['가장 먼저 저하된 엔드포인트', describeFirstDegraded(analysis)],
+        [`권장 운영 한계 (${BREAKPOINT_CRITERIA.safeRatio.min * 100}~${BREAKPOINT_CRITERIA.safeRatio.max * 100}%)`, describeSafeLimit(analysis)],
+    ];
+
+    const stageRows = analysis.stages.map(stage => {
+        const bp = analysis.breakingPoint;
+        let verdict = '✅';
+        if (!stage.ramping) {
+            verdict = '회복';
+        } else if (stage.requests === 0) {
+            verdict = 'N/A';
+        } else if (stage.slow || stage.failing) {
+            verdict = bp && stage.index === bp.index ? '💥 Breaking Point' : '❌';
+        }
+        const degraded = stage.endpoints.filter(endpoint => endpoint.degraded).map(endpoint => endpoint.name);
+        return `
+                    <tr>
+                        <td>${stage.index}</td>
+                        <td>${stage.fromVUs} → ${stage.targetVUs}</td>
+                        <td>${stage.rps.toFixed(1)}</td>
+                        <td class="${stage.slow ? 'danger-text' : ''}">${formatMs(stage.p95)}</td>
+                        <td class="${stage.failing ? 'danger-text' : ''}">${formatPercent(stage.errorRate)}</td>
+                        <td>${degraded.length > 0 ? degraded.join(', ') : '-'}</td>
+                        <td>${verdict}</td>
+                    </tr>`;
+    }).join('');
+
+    const html = `
+            <table style="margin-bottom: 20px;">
+                <tbody>
+                    ${summaryRows.map(([label, value]) => `<tr><td><strong>${label}</strong></td><td>${value}</td></tr>`).join('')}
+                </tbody>
+            </table>
+            <table>
+                <thead>
+                    <tr>
+                        <th>단계</th>
+                        <th>VU</th>
+                        <th>RPS</th>
+                        <th>P95</th>
+                        <th>에러율</th>
+                        <th>SLO 초과 엔드포인트</th>
+                        <th>판정</th>
+                    </tr>
+                </thead>
+                <tbody>${stageRows}
+                </tbody>
+            </table>`;
+
+    const text = summaryRows.map(([label, value]) => `    ${label}: ${value}`).join('\n');
+
+    const markdown = [
+        '| 항목 | 결과 |',
+        '|------|------|',
+        ...summaryRows.map(([label, value]) => `| ${label} | ${value} |`),
+    ].join('\n');
+
+    return { title: '💥 Breaking Point 분석', html, text, markdown };
+}
+
+export function handleSummary(data) {
+    const analysis = analyzeBreakpoint(data.metrics);
+    return createReportOutput(data, 'breakpoint-test', {
+        sections: [renderBreakpointSection(analysis)],
+    });
 }
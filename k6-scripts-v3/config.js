@@ -7,17 +7,18 @@
  * - 테스트 임계값(thresholds)을 일관성 있게 관리
  */
 
+import { endpointThresholds } from './endpoints.js';
+
 // ============================================================================
 // 환경 설정
 // ============================================================================
 
 /**
- * BASE_URL: 테스트 대상 서버 URL
+ * 테스트 대상 서버는 아래 "환경 프로필" 섹션의 PROFILE로 결정됨
  *
- * 환경변수 K6_BASE_URL로 오버라이드 가능
- * 예: K6_BASE_URL=https://api.molip.today k6 run load-test.js
+ * K6_ENV로 프로필 선택, K6_BASE_URL로 URL만 오버라이드
+ * 예: K6_ENV=staging K6_BASE_URL=https://staging.api.molip.today k6 run load-test.js
  */
-export const BASE_URL = 'https://molip.today/api/task' //'http://localhost:8080';
 
 /**
  * 테스트 사용자 계정 풀
@@ -52,6 +53,7 @@ export const TEST_USERS = [
  * 2. http_req_failed (실패율)
  *    - rate < 0.01: 실패율 1% 미만
  *    → 99.9% 가용성 SLO 달성을 위한 기본 조건
+ *    → 엔드포인트별 가용성·지연 SLO 달성률과 에러 예산은 slo.js가 보고서에 표시
  *
  * 3. http_reqs (처리량)
  *    - rate > 100: 초당 100개 이상의 요청 처리
@@ -72,41 +74,76 @@ export const COMMON_THRESHOLDS = {
  * - 스케줄 조회: 페이지네이션으로 데이터량 제한, 중간 수준 (1000ms)
  * - 스케줄 생성: DB 쓰기 작업 포함, 여유 있게 설정 (1500ms)
  * - AI 배치: 외부 AI 서비스 호출로 가장 느림 (5000ms)
+ *
+ * 목표값은 endpoints.js의 카탈로그(slo)에서 생성
+ * 같은 기능을 여러 name 태그로 호출하는 경우(스케줄 조회) 모든 태그를 묶어서 적용
  */
 export const ENDPOINT_THRESHOLDS = {
     // 인증 관련 - 가장 빠른 응답 요구
-    auth_login: {
-        'http_req_duration{name:login}': ['p(95)<500', 'p(99)<1000'],
-    },
-    auth_refresh: {
-        'http_req_duration{name:refresh_token}': ['p(95)<300', 'p(99)<500'],
-    },
+    auth_login: endpointThresholds('login'),
+    auth_refresh: endpointThresholds('refresh_token'),
 
     // 사용자 관련
-    user_profile: {
-        'http_req_duration{name:get_profile}': ['p(95)<500', 'p(99)<1000'],
-    },
-    user_search: {
-        'http_req_duration{name:search_users}': ['p(95)<1000', 'p(99)<2000'],
-    },
+    user_profile: endpointThresholds('get_profile'),
+    user_search: endpointThresholds('search_users'),
 
     // 스케줄 관련 - 핵심 비즈니스 로직
-    schedule_create: {
-        'http_req_duration{name:create_schedule}': ['p(95)<1500', 'p(99)<3000'],
-    },
-    schedule_list: {
-        'http_req_duration{name:get_schedules}': ['p(95)<1000', 'p(99)<2000'],
-    },
-    schedule_update: {
-        'http_req_duration{name:update_schedule}': ['p(95)<1000', 'p(99)<2000'],
-    },
+    schedule_create: endpointThresholds('create_schedule'),
+    schedule_list: endpointThresholds('get_schedules', 'get_schedules_by_date'),
+    schedule_update: endpointThresholds('update_schedule'),
 
     // AI 배치 - 외부 서비스 의존으로 가장 긴 타임아웃
-    ai_arrangement: {
-        'http_req_duration{name:ai_arrangement}': ['p(95)<5000', 'p(99)<10000'],
-    },
+    ai_arrangement: endpointThresholds('ai_arrangement'),
 };
 
+/**
+ * 요약(handleSummary)에 포함할 Trend 통계
+ *
+ * - k6 기본값에는 p(99)가 없어 보고서와 기준 실행 비교에서 p99를 볼 수 없음
+ * - med가 p50 역할
+ * - count: 샘플 수 (보고서에서 호출되지 않은 엔드포인트 구분)
+ */
+export const SUMMARY_TREND_STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)', 'count'];
+
+/**
+ * 기준 실행(baseline) 대비 회귀 판정 허용 범위
+ *
+ * - latency: 응답 시간(p50/p95/p99) 증가 비율 (0.15 = 15%)
+ * - latencyMinMs: 이보다 작은 절대 증가량은 무시 (수 ms 단위 흔들림 제외)
+ * - errorRate: 에러율 증가 허용량 (절대값, 0.01 = 1%p)
+ * - throughput: 처리량(RPS) 감소 비율 (0.10 = 10%)
+ *
+ * K6_BASELINE_TOLERANCE로 latency/throughput 비율을 한 번에 변경 가능 (예: 0.2)
+ */
+export const BASELINE_TOLERANCES = {
+    latency: 0.15,
+    latencyMinMs: 20,
+    errorRate: 0.01,
+    throughput: 0.10,
+};
+
+/**
+ * 여러 임계값 객체 병합
+ *
+ * 같은 메트릭에 대한 표현식은 덮어쓰지 않고 합침
+ * (예: ENDPOINT_THRESHOLDS의 SLO와 기준 실행 비교 임계값이 같은 서브메트릭을 사용)
+ *
+ * @param {...object} sets - { 메트릭: [표현식, ...] }
+ * @returns {object} - 병합된 임계값
+ */
+export function mergeThresholds(...sets) {
+    const merged = {};
+    sets.forEach(set => {
+        Object.entries(set || {}).forEach(([metric, expressions]) => {
+            const existing = merged[metric] || [];
+            const additions = (Array.isArray(expressions) ? expressions : [expressions])
+                .filter(expression => existing.indexOf(expression) === -1);
+            merged[metric] = [...existing, ...additions];
+        });
+    });
+    return merged;
+}
+
 // ============================================================================
 // 테스트 시나리오별 VU(Virtual User) 설정
 // ============================================================================
@@ -194,12 +231,9 @@ export const SPIKE_TEST_STAGES = [
  * - 로그 파일 크기 증가로 인한 디스크 풀
  *
  * 일반적으로 4-12시간 동안 실행하지만, 여기서는 2시간으로 설정
+ * (soak-test.js는 K6_SOAK_DURATION으로 유지 구간 길이 변경 가능)
  */
-export const SOAK_TEST_STAGES = [
-    { duration: '5m', target: 100 },   // Ramp-up
-    { duration: '2h', target: 100 },   // 2시간 동안 100 VU 유지
-    { duration: '5m', target: 0 },     // Ramp-down
-];
+export const SOAK_TEST_STAGES = buildSoakStages('2h');
 
 /**
  * 스모크 테스트 단계 설정
@@ -218,6 +252,161 @@ export const SMOKE_TEST_STAGES = [
     { duration: '30s', target: 0 },   // 종료
 ];
 
+/**
+ * 브레이크포인트 테스트 단계 설정
+ *
+ * 왜 이런 패턴을 사용하는가?
+ *
+ * 지속적으로 증가하여 시스템 한계 도달:
+ * - 50 VU씩 증가: 세밀한 Breaking Point 식별
+ * - 1분 유지: 해당 부하에서 안정화 여부 확인
+ * - 최대 1000 VU: 대부분의 서비스 한계 초과
+ */
+export const BREAKPOINT_TEST_STAGES = [
+    { duration: '1m', target: 50 },
+    { duration: '1m', target: 100 },
+    { duration: '1m', target: 150 },
+    { duration: '1m', target: 200 },
+    { duration: '1m', target: 250 },
+    { duration: '1m', target: 300 },
+    { duration: '1m', target: 350 },
+    { duration: '1m', target: 400 },
+    { duration: '1m', target: 450 },
+    { duration: '1m', target: 500 },
+    { duration: '1m', target: 600 },
+    { duration: '1m', target: 700 },
+    { duration: '1m', target: 800 },
+    { duration: '1m', target: 900 },
+    { duration: '1m', target: 1000 },
+    { duration: '2m', target: 0 }, // 복구 관찰
+];
+
+/**
+ * 시나리오 테스트 전체 부하 단계 설정
+ *
+ * 사용자 유형별 VU는 scenario-test.js의 TRAFFIC_MIX 비율로 나눔 (weightedScenarios)
+ * → 전체 부하를 바꿀 때는 이 배열만, 사용자 구성을 바꿀 때는 비율만 수정
+ */
+export const SCENARIO_TEST_STAGES = [
+    { duration: '2m', target: 50 },   // Ramp-up
+    { duration: '5m', target: 100 },  // 최대 부하 유지
+    { duration: '2m', target: 50 },   // Ramp-down
+    { duration: '1m', target: 0 },    // 종료
+];
+
+/**
+ * 로컬 개발용 로드 테스트 단계 설정
+ *
+ * 스크립트 수정 후 로컬 서버에서 30초 안에 전체 플로우를 검증하기 위함
+ */
+export const QUICK_LOAD_TEST_STAGES = [
+    { duration: '5s', target: 5 },
+    { duration: '5s', target: 10 },
+    { duration: '5s', target: 20 },
+    { duration: '5s', target: 15 },
+    { duration: '5s', target: 10 },
+    { duration: '5s', target: 5 },
+];
+
+// ============================================================================
+// 도착률(arrival-rate) 기반 부하 설정
+// ============================================================================
+
+/**
+ * 도착률 기반 부하 설정 (오픈 모델)
+ *
+ * 왜 필요한가?
+ * - stages(ramping-vus)는 닫힌 모델: VU가 응답을 받은 뒤에야 다음 반복을 시작
+ *   → 서버가 느려지면 요청률도 함께 떨어져 실제 사용자가 겪을 대기열이 가려짐
+ * - 도착률 실행기는 서버 응답 속도와 관계없이 정해진 속도로 반복을 시작
+ *   → VU가 모자라 시작하지 못한 반복은 dropped_iterations로 기록 ("받지 못한 사용자")
+ *
+ * 목표값(rate, stages의 target)은 timeUnit(기본 1s)당 시작하는 반복 수
+ * 각 단계는 같은 테스트의 *_TEST_STAGES VU 수를 반복 소요 시간으로 나눈 값
+ * preAllocatedVUs / maxVUs는 arrivalRateScenario()가 반복 소요 시간으로 산정
+ *
+ * 사용: K6_LOAD_MODEL=arrival-rate k6 run load-test.js
+ */
+export const LOAD_TEST_ARRIVAL_RATE = {
+    executor: 'constant-arrival-rate',
+    rate: 2,            // 30 VU / 반복 약 14초
+    timeUnit: '1s',
+    duration: '12m',
+};
+
+export const STRESS_TEST_ARRIVAL_RATE = {
+    executor: 'ramping-arrival-rate',
+    startRate: 0,
+    timeUnit: '1s',
+    stages: [
+        { duration: '2m', target: 3 },    // 워밍업 (10 VU / 반복 약 4초)
+        { duration: '3m', target: 3 },    // 기준선 측정
+        { duration: '2m', target: 5 },    // 2배 부하
+        { duration: '3m', target: 5 },    // 안정화
+        { duration: '2m', target: 10 },   // 4배 부하
+        { duration: '3m', target: 10 },   // 안정화
+        { duration: '2m', target: 15 },   // 6배 부하 - Breaking Point 예상
+        { duration: '3m', target: 15 },   // 안정화
+        { duration: '2m', target: 0 },    // 복구
+    ],
+};
+
+export const SPIKE_TEST_ARRIVAL_RATE = {
+    executor: 'ramping-arrival-rate',
+    startRate: 10,
+    timeUnit: '1s',
+    stages: [
+        { duration: '1m', target: 10 },   // 정상 트래픽 (10 VU / 반복 약 1초)
+        { duration: '10s', target: 100 }, // 급격한 스파이크
+        { duration: '2m', target: 100 },  // 스파이크 유지
+        { duration: '10s', target: 10 },  // 급격한 감소
+        { duration: '2m', target: 10 },   // 복구 확인
+        { duration: '10s', target: 100 }, // 두 번째 스파이크
+        { duration: '2m', target: 100 },  // 스파이크 유지
+        { duration: '1m', target: 0 },    // 종료
+    ],
+};
+
+/**
+ * 시나리오 테스트 전체 도착률 (100 VU / 반복 평균 약 14초 ≈ 초당 7회)
+ *
+ * 사용자 유형별 비율로 나눌 때 반올림 오차를 줄이도록 분당 반복 수로 정의
+ */
+export const SCENARIO_TEST_ARRIVAL_RATE = {
+    executor: 'ramping-arrival-rate',
+    startRate: 0,
+    timeUnit: '1m',
+    stages: [
+        { duration: '2m', target: 210 },
+        { duration: '5m', target: 420 },
+        { duration: '2m', target: 210 },
+        { duration: '1m', target: 0 },
+    ],
+};
+
+/**
+ * 로컬 개발용 도착률 설정 (QUICK_LOAD_TEST_STAGES와 같은 30초)
+ */
+export const QUICK_LOAD_TEST_ARRIVAL_RATE = {
+    executor: 'constant-arrival-rate',
+    rate: 1,
+    timeUnit: '1s',
+    duration: '30s',
+};
+
+/**
+ * 도착률 시나리오의 VU 여유 배수
+ *
+ * 필요한 VU ≈ 초당 도착률 × 반복 소요 시간 (리틀의 법칙)
+ * - preAllocatedVUs: 정상 응답 시간 기준 필요 VU (테스트 시작 전에 생성)
+ * - maxVUs: 서버가 느려져 반복이 길어질 때 추가로 생성할 수 있는 상한
+ *   → 이 상한에 도달하면 그때부터 dropped_iterations 발생
+ */
+export const ARRIVAL_RATE_VU_HEADROOM = {
+    preAllocated: 1.2,
+    max: 3,
+};
+
 // ============================================================================
 // HTTP 요청 기본 설정
 // ============================================================================
@@ -245,6 +434,249 @@ export const TIMEOUTS = {
     ai_related: '30s',
 };
 
+/**
+ * 재시도 정책 (멱등 요청 전용)
+ *
+ * 왜 필요한가?
+ * - 스파이크/스트레스 중 인그레스의 일시적인 502/503 한 번이 반복(iteration) 전체를 실패로 만듦
+ * - 실제 앱 클라이언트도 조회 요청은 재시도하므로 "잠깐 불가"와 "잘못된 요청"을 구분해야 함
+ *
+ * 적용 대상: endpoints.js에서 retryable: true인 조회 API (프로필, 스케줄, 알림, 검색)
+ * 쓰기 요청(생성/수정/삭제)은 중복 처리 위험이 있으므로 재시도하지 않음
+ *
+ * - maxRetries: 최대 재시도 횟수 (K6_RETRY_MAX로 변경, 0이면 비활성화)
+ * - baseDelayMs / maxDelayMs: 지수 백오프 기준값과 상한 (full jitter 적용)
+ * - retryOnStatus: 재시도할 HTTP 상태 코드
+ * - retryOnTransport: 타임아웃, 연결 끊김 등 전송 실패도 재시도
+ * - maxRetryAfterMs: Retry-After가 이보다 길면 재시도하지 않고 실패 처리
+ */
+export const RETRY_POLICY = {
+    maxRetries: 2,
+    baseDelayMs: 200,
+    maxDelayMs: 2000,
+    retryOnStatus: [429, 502, 503, 504],
+    retryOnTransport: true,
+    maxRetryAfterMs: 5000,
+};
+
+/**
+ * 테스트 계정 준비 정책 (setup() 전용, account-pool.js)
+ *
+ * 왜 필요한가?
+ * - 계정을 하나씩 가입시키면 수천 개 풀(브레이크포인트 테스트)을 준비하는 데 수십 분이 걸림
+ * - 반대로 한꺼번에 보내면 회원가입(bcrypt)이 운영 서버에 그 자체로 부하 테스트가 됨
+ *
+ * - concurrency: http.batch 한 번에 보내는 요청 수 (K6_PROVISION_CONCURRENCY)
+ * - ratePerSecond: 초당 최대 요청 수 (K6_PROVISION_RATE)
+ */
+export const PROVISIONING_POLICY = {
+    concurrency: 10,
+    ratePerSecond: 20,
+};
+
+/**
+ * 기존 사용자 계정의 스케줄 이력 (setup() 전용, account-pool.js seedScheduleHistory)
+ *
+ * 왜 필요한가?
+ * - 방금 가입한 계정은 DayPlan이 비어 있어 조회가 항상 빈 결과를 반환
+ *   → 재방문 사용자의 읽기 부하가 실제 데이터량과 캐시 동작을 반영하지 못함
+ *
+ * - days: 오늘부터 거슬러 올라가며 채울 날짜 수 (K6_HISTORY_DAYS, 0이면 생략)
+ * - schedulesPerDay: 날짜별 스케줄 수 (K6_HISTORY_SCHEDULES, 이미 있으면 부족한 만큼만 생성)
+ */
+export const SCHEDULE_HISTORY = {
+    days: 5,
+    schedulesPerDay: 4,
+};
+
+// ============================================================================
+// 환경 프로필 (K6_ENV)
+// ============================================================================
+
+/**
+ * 환경별 프로필
+ *
+ * 왜 프로필로 관리하는가?
+ * - 대상 서버마다 URL뿐 아니라 API 경로, 타임아웃, 임계값, 부하 단계가 모두 다름
+ * - 테스트 스크립트는 PROFILE만 읽으면 되므로 환경 전환 시 코드 수정 불필요
+ * - 실행 배너에 출력되는 대상과 실제 요청 대상이 항상 일치
+ *
+ * local: 개발 PC의 서버 (짧은 부하 단계, 느슨한 임계값)
+ * staging: 스테이징 서버
+ * production: 운영 서버 (기본 아키텍처 v3)
+ */
+const DEFAULT_STAGES = {
+    smoke: SMOKE_TEST_STAGES,
+    load: LOAD_TEST_STAGES,
+    stress: STRESS_TEST_STAGES,
+    spike: SPIKE_TEST_STAGES,
+    soak: SOAK_TEST_STAGES,
+    breakpoint: BREAKPOINT_TEST_STAGES,
+    scenario: SCENARIO_TEST_STAGES,
+};
+
+const DEFAULT_ARRIVAL_RATES = {
+    load: LOAD_TEST_ARRIVAL_RATE,
+    stress: STRESS_TEST_ARRIVAL_RATE,
+    spike: SPIKE_TEST_ARRIVAL_RATE,
+    scenario: SCENARIO_TEST_ARRIVAL_RATE,
+};
+
+export const ENV_PROFILES = {
+    local: {
+        baseUrl: 'http://localhost:8080',
+        apiPrefix: '',
+        architecture: null,
+        timeouts: TIMEOUTS,
+        // 로컬 서버는 리소스가 작으므로 기준 완화
+        thresholds: {
+            http_req_duration: ['p(95)<3000', 'p(99)<6000'],
+            http_req_failed: ['rate<0.05'],
+        },
+        stages: { ...DEFAULT_STAGES, load: QUICK_LOAD_TEST_STAGES },
+        arrivalRates: { ...DEFAULT_ARRIVAL_RATES, load: QUICK_LOAD_TEST_ARRIVAL_RATE },
+    },
+    staging: {
+        baseUrl: 'https://staging.api.molip.today',
+        apiPrefix: '',
+        architecture: null,
+        timeouts: TIMEOUTS,
+        thresholds: COMMON_THRESHOLDS,
+        stages: DEFAULT_STAGES,
+        arrivalRates: DEFAULT_ARRIVAL_RATES,
+    },
+    production: {
+        baseUrl: 'https://molip.today',
+        apiPrefix: '/api/task',
+        architecture: 'v3',
+        timeouts: TIMEOUTS,
+        thresholds: COMMON_THRESHOLDS,
+        stages: DEFAULT_STAGES,
+        arrivalRates: DEFAULT_ARRIVAL_RATES,
+    },
+};
+
+/**
+ * 아키텍처 버전별 오버레이
+ *
+ * K6_ENV=production-v1 처럼 환경 뒤에 버전을 붙이면 해당 오버레이가 적용됨
+ * - hosts: 환경별 서버 주소 (없으면 환경 프로필의 baseUrl 사용)
+ * - apiPrefix: 인그레스/게이트웨이 경로
+ * - timeouts, thresholds, stages, arrivalRates: 지정한 항목만 덮어씀
+ */
+export const ARCHITECTURE_OVERLAYS = {
+    // v1 빅뱅 배포: 단일 EC2
+    v1: {
+        hosts: { production: 'http://3.35.175.6:8080' },
+        apiPrefix: '',
+    },
+    // v2 멀티클라우드
+    v2: {
+        hosts: { production: 'http://54.180.148.88:8080' },
+        apiPrefix: '',
+    },
+    // v3 쿠버네티스: 인그레스에서 /api/task 경로로 라우팅
+    v3: {
+        hosts: { production: 'https://molip.today' },
+        apiPrefix: '/api/task',
+    },
+};
+
+/**
+ * 환경 변수로부터 프로필 결정
+ *
+ * 우선순위: K6_BASE_URL / K6_API_PREFIX > 아키텍처 오버레이 > 환경 프로필
+ *
+ * @param {object} env - 환경 변수 (기본: __ENV)
+ * @returns {object} - { name, env, architecture, baseUrl, apiPrefix, apiUrl, timeouts, thresholds, stages, arrivalRates, retry, provisioning, history }
+ */
+export function resolveProfile(env = getEnv()) {
+    const [envName, requestedArchitecture] = (env.K6_ENV || 'local').split('-');
+
+    const base = ENV_PROFILES[envName];
+    if (!base) {
+        throw new Error(`Unknown K6_ENV "${env.K6_ENV}" (available: ${Object.keys(ENV_PROFILES).join(', ')})`);
+    }
+
+    const architecture = requestedArchitecture || base.architecture;
+    const overlay = architecture ? ARCHITECTURE_OVERLAYS[architecture] : {};
+    if (!overlay) {
+        throw new Error(`Unknown architecture "${architecture}" (available: ${Object.keys(ARCHITECTURE_OVERLAYS).join(', ')})`);
+    }
+
+    const baseUrl = (env.K6_BASE_URL || (overlay.hosts && overlay.hosts[envName]) || base.baseUrl).replace(/\/+$/, '');
+    const apiPrefix = env.K6_API_PREFIX !== undefined
+        ? env.K6_API_PREFIX
+        : (overlay.apiPrefix !== undefined ? overlay.apiPrefix : base.apiPrefix);
+
+    return {
+        name: architecture ? `${envName}-${architecture}` : envName,
+        env: envName,
+        architecture: architecture || null,
+        baseUrl: baseUrl,
+        apiPrefix: apiPrefix,
+        apiUrl: `${baseUrl}${apiPrefix}`,
+        baseUrlOverridden: Boolean(env.K6_BASE_URL),
+        timeouts: { ...base.timeouts, ...overlay.timeouts },
+        thresholds: { ...base.thresholds, ...overlay.thresholds },
+        stages: { ...base.stages, ...overlay.stages },
+        arrivalRates: { ...base.arrivalRates, ...overlay.arrivalRates },
+        retry: {
+            ...RETRY_POLICY,
+            maxRetries: envNumber(env, 'K6_RETRY_MAX', RETRY_POLICY.maxRetries),
+        },
+        provisioning: {
+            concurrency: envNumber(env, 'K6_PROVISION_CONCURRENCY', PROVISIONING_POLICY.concurrency, { min: 1 }),
+            ratePerSecond: envNumber(env, 'K6_PROVISION_RATE', PROVISIONING_POLICY.ratePerSecond, { integer: false }),
+        },
+        history: {
+            days: envNumber(env, 'K6_HISTORY_DAYS', SCHEDULE_HISTORY.days),
+            schedulesPerDay: envNumber(env, 'K6_HISTORY_SCHEDULES', SCHEDULE_HISTORY.schedulesPerDay),
+        },
+    };
+}
+
+/**
+ * k6 밖(Node 스크립트 등)에서 import해도 동작하도록 __ENV 존재 여부 확인
+ */
+function getEnv() {
+    return typeof __ENV !== 'undefined' ? __ENV : {};
+}
+
+/**
+ * 숫자 환경 변수 해석 (미설정이면 기본값)
+ *
+ * 왜 필요한가?
+ * - parseInt('')나 parseInt('abc')는 NaN이고, NaN과의 비교는 항상 false
+ *   → K6_RETRY_MAX=abc면 재시도 상한에 도달하지 않아 5xx가 계속되는 동안 무한 재시도
+ *   → K6_PROVISION_CONCURRENCY=abc면 빈 배치만 보내고 계정을 하나도 준비하지 않은 채 끝남
+ * - 잘못된 값은 조용히 넘어가지 않고 init 단계에서 바로 중단
+ *
+ * @param {object} env - 환경 변수
+ * @param {string} name - 변수 이름 (예: 'K6_RETRY_MAX')
+ * @param {number} fallback - 미설정 시 값
+ * @param {object} rule - { integer: 정수만 허용 (기본 true), min: 최솟값 (기본 0) }
+ * @returns {number}
+ */
+export function envNumber(env, name, fallback, { integer = true, min = 0 } = {}) {
+    if (env[name] === undefined) {
+        return fallback;
+    }
+    const raw = String(env[name]).trim();
+    const value = raw === '' ? NaN : Number(raw);
+    if ((integer ? !Number.isInteger(value) : !Number.isFinite(value)) || value < min) {
+        throw new Error(`Invalid ${name} "${env[name]}" (expected ${integer ? 'an integer' : 'a number'} >= ${min})`);
+    }
+    return value;
+}
+
+/**
+ * 현재 실행에 적용되는 프로필
+ *
+ * 모든 헬퍼와 테스트 스크립트는 이 값을 읽음
+ */
+export const PROFILE = resolveProfile();
+
 // ============================================================================
 // 테스트 데이터 생성 유틸리티
 // ============================================================================
@@ -301,3 +733,161 @@ export function getTimeAfterMinutes(minutes) {
     now.setMinutes(now.getMinutes() + minutes);
     return now.toTimeString().slice(0, 5);
 }
+
+/**
+ * k6 duration 문자열을 초로 변환
+ *
+ * @param {string} duration - '30s', '2m', '1h30m' 등
+ * @returns {number} - 초
+ */
+export function parseDuration(duration) {
+    const units = { ms: 0.001, s: 1, m: 60, h: 3600 };
+    let seconds = 0;
+    const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+    let match;
+    while ((match = pattern.exec(String(duration))) !== null) {
+        seconds += parseFloat(match[1]) * units[match[2]];
+    }
+    return seconds;
+}
+
+/**
+ * 도착률 설정에 VU 사전 할당을 더해 k6 시나리오 생성
+ *
+ * @param {object} arrivalRate - *_ARRIVAL_RATE (executor, rate 또는 stages, timeUnit)
+ * @param {number} iterationSeconds - 정상 상태의 반복 소요 시간 (초)
+ * @returns {object} - k6 시나리오 (preAllocatedVUs, maxVUs 포함)
+ */
+export function arrivalRateScenario(arrivalRate, iterationSeconds) {
+    const peakRate = Math.max(
+        arrivalRate.rate || 0,
+        arrivalRate.startRate || 0,
+        ...(arrivalRate.stages || []).map(stage => stage.target)
+    );
+    const perSecond = peakRate / parseDuration(arrivalRate.timeUnit || '1s');
+    const neededVUs = Math.max(Math.ceil(perSecond * iterationSeconds), 1);
+    const preAllocatedVUs = Math.ceil(neededVUs * ARRIVAL_RATE_VU_HEADROOM.preAllocated);
+
+    return {
+        ...arrivalRate,
+        preAllocatedVUs: preAllocatedVUs,
+        maxVUs: Math.ceil(neededVUs * ARRIVAL_RATE_VU_HEADROOM.max),
+    };
+}
+
+/**
+ * 부하 모델에 맞는 options 항목 (K6_LOAD_MODEL)
+ *
+ * - vus (기본): { stages } → ramping-vus (닫힌 모델)
+ * - arrival-rate: { scenarios } → constant/ramping-arrival-rate (오픈 모델)
+ *
+ * 사용 방법:
+ *   export const options = { ...loadModelOptions('stress', 4), ... };
+ *
+ * @param {string} testType - PROFILE.stages / PROFILE.arrivalRates의 키
+ * @param {number} iterationSeconds - 정상 상태의 반복 소요 시간 (초, VU 사전 할당 산정용)
+ * @param {object} env - 환경 변수 (기본: __ENV)
+ * @returns {object} - options에 전개할 객체
+ */
+export function loadModelOptions(testType, iterationSeconds, env = getEnv()) {
+    if (resolveLoadModel(env) === 'vus') {
+        return { stages: PROFILE.stages[testType] };
+    }
+    return {
+        scenarios: {
+            [testType]: arrivalRateScenario(arrivalRateProfile(testType), iterationSeconds),
+        },
+    };
+}
+
+/**
+ * 트래픽 믹스(비율)와 전체 부하 프로필로 사용자 유형별 시나리오 생성 (K6_LOAD_MODEL)
+ *
+ * 전체 부하(PROFILE.stages / PROFILE.arrivalRates의 testType)의 각 목표값을 비율대로 나눔
+ * - vus: ramping-vus, 단계별 VU = 전체 VU × 비율 (반올림)
+ * - arrival-rate: 단계별 도착률 = 전체 도착률 × 비율 (반올림), VU 사전 할당은 유형별 반복 소요 시간으로 산정
+ *
+ * 비율은 합계로 나누므로 합이 100일 필요는 없음
+ *
+ * @param {object} mix - { 시나리오 이름: { weight, exec, iterationSeconds, label, ...k6 시나리오 옵션 } }
+ *   label은 실행 배너용 설명 (k6 시나리오에는 포함하지 않음)
+ * @param {string} testType - PROFILE.stages / PROFILE.arrivalRates의 키
+ * @param {object} env - 환경 변수 (기본: __ENV)
+ * @returns {object} - options.scenarios
+ */
+export function weightedScenarios(mix, testType, env = getEnv()) {
+    const model = resolveLoadModel(env);
+    const totalWeight = Object.values(mix).reduce((sum, entry) => sum + entry.weight, 0);
+    const scenarios = {};
+
+    Object.entries(mix).forEach(([name, entry]) => {
+        const { weight, iterationSeconds, label, ...scenarioOptions } = entry;
+        const share = weight / totalWeight;
+        const scaleStages = (stages) => stages.map(stage => ({
+            duration: stage.duration,
+            target: Math.round(stage.target * share),
+        }));
+
+        if (model === 'vus') {
+            scenarios[name] = {
+                executor: 'ramping-vus',
+                startVUs: 0,
+                stages: scaleStages(PROFILE.stages[testType]),
+                gracefulRampDown: '30s',
+                tags: { scenario: name },
+                ...scenarioOptions,
+            };
+            return;
+        }
+
+        const arrivalRate = { ...arrivalRateProfile(testType) };
+        ['rate', 'startRate'].filter(key => arrivalRate[key] !== undefined).forEach(key => {
+            arrivalRate[key] = Math.round(arrivalRate[key] * share);
+        });
+        if (arrivalRate.stages) {
+            arrivalRate.stages = scaleStages(arrivalRate.stages);
+        }
+        scenarios[name] = {
+            ...arrivalRateScenario(arrivalRate, iterationSeconds),
+            tags: { scenario: name },
+            ...scenarioOptions,
+        };
+    });
+
+    return scenarios;
+}
+
+/**
+ * 현재 실행의 부하 모델 (K6_LOAD_MODEL, 기본 vus)
+ */
+export function resolveLoadModel(env = getEnv()) {
+    const model = env.K6_LOAD_MODEL || 'vus';
+    if (model !== 'vus' && model !== 'arrival-rate') {
+        throw new Error(`Unknown K6_LOAD_MODEL "${model}" (available: vus, arrival-rate)`);
+    }
+    return model;
+}
+
+function arrivalRateProfile(testType) {
+    const arrivalRate = PROFILE.arrivalRates[testType];
+    if (!arrivalRate) {
+        throw new Error(`No arrival-rate profile for "${testType}" (available: ${Object.keys(PROFILE.arrivalRates).join(', ')})`);
+    }
+    return arrivalRate;
+}
+
+/**
+ * 소크 테스트 단계 생성
+ *
+ * Ramp-up(5분) → 유지(duration) → Ramp-down(5분)
+ *
+ * @param {string} duration - 유지 구간 길이 (예: '2h', '4h')
+ * @param {number} target - 유지 구간 VU 수
+ */
+export function buildSoakStages(duration, target = 100) {
+    return [
+        { duration: '5m', target: target },   // Ramp-up
+        { duration: duration, target: target }, // 유지
+        { duration: '5m', target: 0 },        // Ramp-down
+    ];
+}
@@ -0,0 +1,431 @@
+/**
+ * Molip API 엔드포인트 카탈로그
+ *
+ * 왜 필요한가?
+ * - 엔드포인트 정보가 헬퍼, 임계값, 보고서에 흩어져 서로 어긋나고 있었음
+ *   (get_schedules_by_date 요청에 적용되지 않던 임계값, 200을 검사하면서 "201"로 표기된 체크,
+ *    보고서에만 따로 관리되던 한글 라벨 등)
+ * - 한 곳에서 정의하고 helpers.js, config.js(임계값), report-generator.js가 모두 이 카탈로그를 읽음
+ *
+ * 각 항목:
+ * - method: HTTP 메서드
+ * - path: 경로 템플릿 ({name}은 buildPath()로 치환)
+ * - expectedStatus: 정상 응답 코드 (여러 개 허용 시 배열)
+ * - tag: 요청의 name 태그 (http_req_duration{name:...} 서브메트릭)
+ * - metric: 헬퍼가 기록하는 커스텀 Trend 메트릭 이름 (없으면 null)
+ * - slo: 응답 시간 목표 { p95, p99 } (ms)와 가용성 목표 availability (없으면 null)
+ *   p95는 지연 SLO(95%의 요청이 p95 ms 이내)로도 사용 (slo.js)
+ * - timeout: PROFILE.timeouts의 키
+ * - retryable: 일시적 실패 시 재시도 가능한 멱등 요청 여부 (config.js RETRY_POLICY)
+ * - errorCodes: 이 엔드포인트가 돌려주는 것으로 알려진 API 에러 코드 (보고서의 엔드포인트 × 에러 코드 집계 대상, 없으면 생략)
+ * - label: 보고서 표시 이름
+ */
+
+export const ENDPOINTS = {
+    // 인증
+    login: {
+        method: 'POST',
+        path: '/token',
+        expectedStatus: 200,
+        tag: 'login',
+        metric: 'login_duration',
+        slo: { p95: 500, p99: 1000, availability: 0.999 },
+        timeout: 'default',
+        label: '로그인',
+    },
+    refresh_token: {
+        method: 'PUT',
+        path: '/token',
+        expectedStatus: 200,
+        tag: 'refresh_token',
+        metric: 'refresh_token_duration',
+        slo: { p95: 300, p99: 500, availability: 0.999 },
+        timeout: 'default',
+        label: '토큰 갱신',
+    },
+    logout: {
+        method: 'DELETE',
+        path: '/token',
+        expectedStatus: 204,
+        tag: 'logout',
+        metric: null,
+        slo: null,
+        timeout: 'default',
+        label: '로그아웃',
+    },
+    signup: {
+        method: 'POST',
+        path: '/users',
+        expectedStatus: 200,
+        tag: 'signup',
+        metric: 'signup_duration',
+        slo: { p95: 2000, p99: 3000, availability: 0.999 },
+        timeout: 'default',
+        errorCodes: ['DUPLICATE_EMAIL'],
+        label: '회원가입',
+    },
+    setup_signup: {
+        method: 'POST',
+        path: '/users',
+        expectedStatus: 200,
+        tag: 'setup_signup',
+        metric: null,
+        slo: null,
+        timeout: 'default',
+        errorCodes: ['DUPLICATE_EMAIL'],
+        label: '테스트 계정 생성',
+    },
+    setup_login: {
+        method: 'POST',
+        path: '/token',
+        expectedStatus: 200,
+        tag: 'setup_login',
+        metric: null,
+        slo: null,
+        timeout: 'default',
+        label: '테스트 계정 확인',
+    },
+    setup_day_plan: {
+        method: 'GET',
+        path: '/day-plan/schedule?date={date}&page=1&size=10',
+        expectedStatus: 200,
+        tag: 'setup_day_plan',
+        metric: null,
+        slo: null,
+        timeout: 'default',
+        label: '테스트 이력 조회',
+    },
+    setup_create_schedule: {
+        method: 'POST',
+        path: '/day-plan/{dayPlanId}/schedule',
+        expectedStatus: 200,
+        tag: 'setup_create_schedule',
+        metric: null,
+        slo: null,
+        timeout: 'default',
+        label: '테스트 이력 생성',
+    },
+
+    // 사용자
+    get_profile: {
+        method: 'GET',
+        path: '/users',
+        expectedStatus: 200,
+        tag: 'get_profile',
+        metric: 'get_profile_duration',
+        slo: { p95: 500, p99: 1000, availability: 0.999 },
+        timeout: 'default',
+        retryable: true,
+        label: '프로필 조회',
+    },
+    search_users: {
+        method: 'GET',
+        path: '/users/nickname?nickname={nickname}&page={page}&size={size}',
+        expectedStatus: 200,
+        tag: 'search_users',
+        metric: 'search_users_duration',
+        slo: { p95: 1000, p99: 2000, availability: 0.999 },
+        timeout: 'default',
+        retryable: true,
+        label: '사용자 검색',
+    },
+
+    // 스케줄
+    create_schedule: {
+        method: 'POST',
+        path: '/day-plan/{dayPlanId}/schedule',
+        expectedStatus: 200,
+        tag: 'create_schedule',
+        metric: 'create_schedule_duration',
+        slo: { p95: 1500, p99: 3000, availability: 0.999 },
+        timeout: 'default',
+        label: '스케줄 생성',
+    },
+    get_schedules: {
+        method: 'GET',
+        path: '/day-plan/schedule?date={date}&page={page}&size={size}',
+        expectedStatus: 200,
+        tag: 'get_schedules',
+        metric: 'get_schedules_duration',
+        slo: { p95: 1000, p99: 2000, availability: 0.999 },
+        timeout: 'default',
+        retryable: true,
+        label: '스케줄 조회',
+    },
+    get_schedules_by_date: {
+        method: 'GET',
+        path: '/day-plan/schedule?date={date}&page=1&size=10',
+        expectedStatus: 200,
+        tag: 'get_schedules_by_date',
+        metric: 'get_schedules_duration',
+        slo: { p95: 1000, p99: 2000, availability: 0.999 },
+        timeout: 'default',
+        retryable: true,
+        label: '날짜별 스케줄 조회',
+    },
+    update_schedule: {
+        method: 'PUT',
+        path: '/schedule/{scheduleId}',
+        expectedStatus: 204,
+        tag: 'update_schedule',
+        metric: 'update_schedule_duration',
+        slo: { p95: 1000, p99: 2000, availability: 0.999 },
+        timeout: 'default',
+        label: '스케줄 수정',
+    },
+    delete_schedule: {
+        method: 'DELETE',
+        path: '/schedule/{scheduleId}',
+        expectedStatus: 204,
+        tag: 'delete_schedule',
+        metric: 'delete_schedule_duration',
+        slo: null,
+        timeout: 'default',
+        label: '스케줄 삭제',
+    },
+    update_schedule_status: {
+        method: 'PATCH',
+        path: '/schedule/{scheduleId}/status',
+        expectedStatus: 204,
+        tag: 'update_schedule_status',
+        metric: null,
+        slo: null,
+        timeout: 'default',
+        label: '스케줄 상태 변경',
+    },
+    ai_arrangement: {
+        method: 'POST',
+        path: '/day-plan/{dayPlanId}/schedules/ai-arrangement',
+        expectedStatus: [200, 201],
+        tag: 'ai_arrangement',
+        metric: 'ai_arrangement_duration',
+        slo: { p95: 5000, p99: 10000, availability: 0.99 },
+        timeout: 'ai_related',
+        label: 'AI 배치',
+    },
+
+    // 알림
+    get_notifications: {
+        method: 'GET',
+        path: '/notifications?page={page}&size={size}',
+        expectedStatus: 200,
+        tag: 'get_notifications',
+        metric: null,
+        slo: null,
+        timeout: 'default',
+        retryable: true,
+        label: '알림 조회',
+    },
+    register_fcm_token: {
+        method: 'POST',
+        path: '/fcm-tokens',
+        expectedStatus: 204,
+        tag: 'register_fcm_token',
+        metric: null,
+        slo: null,
+        timeout: 'default',
+        label: 'FCM 토큰 등록',
+    },
+
+    // 헬스체크
+    health_check: {
+        method: 'GET',
+        path: '/',
+        expectedStatus: 200,
+        tag: 'health_check',
+        metric: null,
+        slo: { p95: 100, p99: 300, availability: 0.999 },
+        timeout: 'default',
+        label: '헬스체크',
+    },
+};
+
+// ============================================================================
+// 카탈로그 유틸리티
+// ============================================================================
+
+/**
+ * 경로 템플릿 치환
+ *
+ * @param {object} endpoint - ENDPOINTS 항목
+ * @param {object} params - 템플릿 변수 (예: { dayPlanId: 1 })
+ * @returns {string} - 치환된 경로
+ */
+export function buildPath(endpoint, params = {}) {
+    return endpoint.path.replace(/\{(\w+)\}/g, (match, name) => {
+        if (params[name] === undefined || params[name] === null) {
+            throw new Error(`Missing path parameter "${name}" for ${endpoint.tag}`);
+        }
+        return encodeURIComponent(params[name]);
+    });
+}
+
+/**
+ * 정상 응답 코드 여부
+ */
+export function isExpectedStatus(endpoint, status) {
+    const expected = Array.isArray(endpoint.expectedStatus)
+        ? endpoint.expectedStatus
+        : [endpoint.expectedStatus];
+    return expected.indexOf(status) !== -1;
+}
+
+/**
+ * 상태 코드 체크 (check()에 펼쳐서 사용)
+ *
+ * 체크 이름의 코드와 실제 비교하는 코드가 항상 일치
+ *
+ * @returns {object} - { 'login: status is 200': (r) => ... }
+ */
+export function statusCheck(endpoint) {
+    const expected = Array.isArray(endpoint.expectedStatus)
+        ? endpoint.expectedStatus.join(' or ')
+        : endpoint.expectedStatus;
+    return {
+        [`${endpoint.tag}: status is ${expected}`]: (r) => isExpectedStatus(endpoint, r.status),
+    };
+}
+
+/**
+ * 응답 시간 체크 (SLO p95 기준, SLO가 없으면 빈 객체)
+ */
+export function latencyCheck(endpoint) {
+    if (!endpoint.slo) {
+        return {};
+    }
+    return {
+        [`${endpoint.tag}: response time < ${endpoint.slo.p95}ms`]: (r) => r.timings.duration < endpoint.slo.p95,
+    };
+}
+
+/**
+ * 엔드포인트별 응답 시간 임계값 생성
+ *
+ * @param {...string} keys - ENDPOINTS 키
+ * @returns {object} - { 'http_req_duration{name:login}': ['p(95)<500', 'p(99)<1000'], ... }
+ */
+export function endpointThresholds(...keys) {
+    const thresholds = {};
+    keys.forEach(key => {
+        const endpoint = ENDPOINTS[key];
+        if (!endpoint || !endpoint.slo) {
+            return;
+        }
+        thresholds[`http_req_duration{name:${endpoint.tag}}`] = [
+            `p(95)<${endpoint.slo.p95}`,
+            `p(99)<${endpoint.slo.p99}`,
+        ];
+    });
+    return thresholds;
+}
+
+/**
+ * 태그 또는 메트릭 이름으로 엔드포인트 찾기
+ *
+ * @param {string} name - name 태그 값 또는 커스텀 메트릭 이름
+ * @returns {object} - ENDPOINTS 항목 또는 null
+ */
+export function findEndpoint(name) {
+    const key = Object.keys(ENDPOINTS).find(k => ENDPOINTS[k].tag === name || ENDPOINTS[k].metric === name);
+    return key ? ENDPOINTS[key] : null;
+}
+
+/**
+ * setup 단계(계정·이력 준비) 요청의 태그인지
+ *
+ * 준비 요청 수는 풀 재사용 여부에 따라 실행마다 달라지므로 성능 비교·요약 표에서 제외할 때 사용
+ *
+ * @param {string} tag - name 태그 값
+ * @returns {boolean}
+ */
+export function isSetupTag(tag) {
+    return tag.indexOf('setup_') === 0;
+}
+
+// ============================================================================
+// 메트릭 표시 이름
+// ============================================================================
+
+/**
+ * 카탈로그에 없는 메트릭의 표시 이름
+ *
+ * 보고서(HTML, 터미널 요약 등)가 모두 metricLabel()로 같은 이름을 사용
+ */
+export const METRIC_LABELS = {
+    'http_req_duration': 'HTTP 요청 시간',
+    'http_req_blocked': 'HTTP 연결 대기',
+    'http_req_connecting': 'HTTP TCP 연결',
+    'http_req_tls_handshaking': 'HTTP TLS 핸드셰이크',
+    'http_req_sending': 'HTTP 요청 전송',
+    'http_req_waiting': 'HTTP 서버 처리 (TTFB)',
+    'http_req_receiving': 'HTTP 응답 수신',
+    'full_scenario_duration': '전체 시나리오',
+    'group_duration': '그룹',
+    'iteration_duration': '반복',
+};
+
+/**
+ * 메트릭 이름 또는 name 태그의 표시 이름
+ *
+ * 카탈로그 라벨 → METRIC_LABELS → 원래 이름 순으로 찾음
+ *
+ * @param {string} name - 메트릭 이름 또는 name 태그 값
+ * @returns {string} - 표시 이름
+ */
+export function metricLabel(name) {
+    const endpoint = findEndpoint(name);
+    if (endpoint) {
+        return endpoint.label;
+    }
+    return METRIC_LABELS[name] || name;
+}
+
+/**
+ * 서브메트릭 이름 분해
+ *
+ * 예: 'http_req_duration{name:login,method:POST}'
+ *     → { metric: 'http_req_duration', tags: { name: 'login', method: 'POST' } }
+ *
+ * @param {string} name - 요약 데이터의 메트릭 키
+ * @returns {object} - { metric, tags } (서브메트릭이 아니면 tags는 빈 객체)
+ */
+export function parseMetricName(name) {
+    const match = /^([^{]+)\{(.*)\}$/.exec(name);
+    if (!match) {
+        return { metric: name, tags: {} };
+    }
+    const tags = {};
+    match[2].split(',').forEach(pair => {
+        const index = pair.indexOf(':');
+        if (index > 0) {
+            tags[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+        }
+    });
+    return { metric: match[1], tags: tags };
+}
+
+/**
+ * 요약 메트릭에 샘플이 있는지
+ *
+ * 보고서용 임계값으로 등록했지만 실행 중 한 번도 기록되지 않은 서브메트릭을 걸러낼 때 사용
+ * (Trend는 summaryTrendStats에 count가 없던 이전 보고서도 고려)
+ *
+ * @param {object} metric - handleSummary data.metrics의 항목
+ * @returns {boolean}
+ */
+export function hasSamples(metric) {
+    const values = (metric && metric.values) || {};
+    switch (metric && metric.type) {
+        case 'counter':
+            return (values.count || 0) > 0;
+        case 'rate':
+            return (values.passes || 0) + (values.fails || 0) > 0;
+        case 'trend':
+            if (typeof values.count === 'number') {
+                return values.count > 0;
+            }
+            return Boolean(values.max || values.min || values.avg);
+        default:
+            return true;
+    }
+}
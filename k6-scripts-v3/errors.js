@@ -0,0 +1,269 @@
+/**
+ * API 응답 해석 및 에러 분류
+ *
+ * 왜 필요한가?
+ * - 체크는 통과/실패만 남기고 실패 원인은 console에 response.body를 그대로 출력하고 있었음
+ * - 중복 가입 판별이 응답 본문의 'DUPLICATE' 문자열 검색에 의존하고 있었음
+ * - 타임아웃, 연결 끊김, DNS 실패 같은 전송 계층 실패가 HTTP 4xx/5xx와 구분되지 않음
+ *   → "서버가 요청을 거절했다"와 "요청이 서버에 도달하지 못했다"는 대응 방법이 전혀 다름
+ *
+ * Molip API 에러 응답 형식:
+ *   { "status": 409, "code": "DUPLICATE_EMAIL", "message": "이미 가입된 이메일입니다." }
+ *
+ * 분류(error_kind):
+ * - transport: 응답을 받지 못함 (k6 error_code 기준으로 TIMEOUT, CONNECTION_RESET, DNS 등)
+ * - client: HTTP 4xx
+ * - server: HTTP 5xx
+ * - unexpected: 2xx/3xx지만 카탈로그의 기대 응답 코드와 다름
+ */
+
+import { Counter } from 'k6/metrics';
+import { ENDPOINTS, isExpectedStatus } from './endpoints.js';
+import { recordSloEvents } from './slo.js';
+
+// ============================================================================
+// 에러 메트릭
+// ============================================================================
+
+/**
+ * API 에러 카운터
+ *
+ * 태그:
+ * - name: 엔드포인트 name 태그
+ * - error_kind: transport | client | server | unexpected
+ * - error_code: API 에러 코드, 전송 실패 분류, 또는 HTTP_<status>
+ * - status: HTTP 상태 코드 (전송 실패는 0)
+ */
+export const apiErrors = new Counter('api_errors');
+
+export const ERROR_KINDS = ['transport', 'client', 'server', 'unexpected'];
+
+/**
+ * k6 error_code → 전송 실패 분류
+ *
+ * https://grafana.com/docs/k6/latest/javascript-api/error-codes/
+ * 1400~1599(HTTP 4xx/5xx)는 응답을 받은 경우이므로 여기에 포함하지 않음
+ */
+const TRANSPORT_ERROR_CODES = [
+    { code: 'TIMEOUT', match: (c) => c === 1050 || c === 1211 },
+    { code: 'CONNECTION_REFUSED', match: (c) => c === 1212 },
+    { code: 'CONNECTION_RESET', match: (c) => c === 1220 || c === 1201 },
+    { code: 'DNS', match: (c) => c >= 1100 && c < 1200 },
+    { code: 'TCP', match: (c) => c >= 1200 && c < 1300 },
+    { code: 'TLS', match: (c) => c >= 1300 && c < 1400 },
+    { code: 'PROTOCOL', match: (c) => c >= 1600 },
+    { code: 'NETWORK', match: (c) => c >= 1000 && c < 1100 },
+];
+
+export const TRANSPORT_ERRORS = TRANSPORT_ERROR_CODES.map(entry => entry.code);
+
+/**
+ * 보고서에서 상태 코드별로 집계할 HTTP 에러 코드
+ */
+export const TRACKED_ERROR_STATUSES = [400, 401, 403, 404, 409, 429, 500, 502, 503, 504];
+
+// ============================================================================
+// 응답 해석
+// ============================================================================
+
+/**
+ * 응답을 Molip API 형식으로 해석
+ *
+ * @param {object} endpoint - ENDPOINTS 항목
+ * @param {object} response - k6 Response
+ * @returns {object} - { ok, kind, status, code, message, data }
+ *   ok가 true면 kind는 null, data는 응답의 data 필드
+ */
+export function parseResponse(endpoint, response) {
+    if (isTransportFailure(response)) {
+        return {
+            ok: false,
+            kind: 'transport',
+            status: 0,
+            code: classifyTransportError(response.error_code),
+            message: response.error || `k6 error_code ${response.error_code}`,
+            data: null,
+        };
+    }
+
+    const body = parseBody(response);
+
+    if (isExpectedStatus(endpoint, response.status)) {
+        return {
+            ok: true,
+            kind: null,
+            status: response.status,
+            code: null,
+            message: null,
+            data: body ? body.data : null,
+        };
+    }
+
+    return {
+        ok: false,
+        kind: classifyHttpStatus(response.status),
+        status: response.status,
+        code: (body && body.code) || `HTTP_${response.status}`,
+        message: (body && body.message) || '',
+        data: null,
+    };
+}
+
+/**
+ * 응답 해석 + 에러 메트릭 / SLO 이벤트 기록
+ *
+ * 헬퍼에서 요청마다 한 번씩 호출 (401 갱신 후 재시도한 경우 최종 응답만)
+ *
+ * @returns {object} - parseResponse() 결과
+ */
+export function recordResponse(endpoint, response) {
+    const result = parseResponse(endpoint, response);
+    recordSloEvents(endpoint, response, result);
+    if (!result.ok) {
+        apiErrors.add(1, {
+            name: endpoint.tag,
+            error_kind: result.kind,
+            error_code: result.code,
+            status: String(result.status),
+        });
+    }
+    return result;
+}
+
+/**
+ * 로그용 한 줄 설명
+ *
+ * 예: "409 DUPLICATE_EMAIL - 이미 가입된 이메일입니다."
+ *     "transport TIMEOUT - request timeout"
+ *     "200 (response ok, checks failed)"  ← 응답 코드는 정상이지만 본문/응답 시간 체크 실패
+ */
+export function describeError(result) {
+    if (result.ok) {
+        return `${result.status} (response ok, checks failed)`;
+    }
+    const head = result.kind === 'transport' ? 'transport' : String(result.status);
+    return result.message ? `${head} ${result.code} - ${result.message}` : `${head} ${result.code}`;
+}
+
+/**
+ * 중복 리소스 에러 여부 (이미 가입된 이메일 등)
+ */
+export function isDuplicateError(result) {
+    if (result.ok) {
+        return false;
+    }
+    return result.status === 409 || /(^|_)DUPLICATE(_|$)/.test(result.code || '');
+}
+
+/**
+ * 가입되지 않은 계정의 로그인 실패 여부 (계정 없음 / 자격 증명 불일치)
+ *
+ * 429(제한), 403(차단), 409 등은 계정이 있다는 뜻일 수 있으므로 포함하지 않음
+ */
+export function isUnknownAccountError(result) {
+    if (result.ok) {
+        return false;
+    }
+    return result.status === 401 || result.status === 404 ||
+        /(^|_)(USER|MEMBER|ACCOUNT)_NOT_FOUND(_|$)/.test(result.code || '');
+}
+
+/**
+ * 응답을 받지 못한 요청인지 (k6 error_code 기준)
+ */
+export function isTransportFailure(response) {
+    if (response.status === 0) {
+        return true;
+    }
+    const code = response.error_code;
+    return Boolean(code) && (code < 1400 || code >= 1600);
+}
+
+/**
+ * k6 error_code → TIMEOUT, CONNECTION_RESET, DNS 등
+ */
+export function classifyTransportError(errorCode) {
+    const entry = TRANSPORT_ERROR_CODES.find(candidate => candidate.match(errorCode || 0));
+    return entry ? entry.code : 'NETWORK';
+}
+
+function classifyHttpStatus(status) {
+    if (status >= 500) {
+        return 'server';
+    }
+    if (status >= 400) {
+        return 'client';
+    }
+    return 'unexpected';
+}
+
+function parseBody(response) {
+    try {
+        return JSON.parse(response.body);
+    } catch (e) {
+        return null;
+    }
+}
+
+// ============================================================================
+// 요약용 임계값
+// ============================================================================
+
+/**
+ * 카탈로그(endpoints.js errorCodes)에 있는 API 에러 코드
+ */
+export const API_ERROR_CODES = Object.values(ENDPOINTS)
+    .reduce((codes, endpoint) => codes.concat(endpoint.errorCodes || []), [])
+    .filter((code, index, codes) => codes.indexOf(code) === index);
+
+/**
+ * 헬퍼가 테스트와 관계없이 호출할 수 있는 엔드포인트 (setup 헬스체크, 401 시 토큰 갱신)
+ */
+const ALWAYS_CALLED_ENDPOINTS = ['health_check', 'refresh_token'];
+
+/**
+ * 에러 분류별 서브메트릭을 요약(handleSummary)에 포함시키기 위한 임계값
+ *
+ * k6는 임계값이 걸린 서브메트릭만 요약에 포함하므로 항상 통과하는 임계값(count>=0)을 등록
+ * 보고서의 에러 분석 섹션이 이 서브메트릭들을 읽음
+ *
+ * - 전체: error_kind, status(TRACKED_ERROR_STATUSES), error_code(전송 실패 분류 + API 코드 + HTTP_<status>)
+ * - 테스트가 호출하는 엔드포인트만: 합계, × error_kind, × status, × 카탈로그의 API 코드
+ *   (카탈로그 전체를 등록하면 호출하지 않는 엔드포인트 조합으로 임계값이 수백 개가 됨)
+ *
+ * API 에러 코드는 미리 알 수 없으므로 카탈로그에 없는 코드는 보고서에 표시되지 않음
+ * (모든 코드는 태그로 기록되므로 --out json / InfluxDB에서 확인 가능)
+ *
+ * @param {array} endpointKeys - 테스트가 호출하는 ENDPOINTS 키 (헬스체크·토큰 갱신은 자동 포함)
+ * @param {array} codes - 카탈로그 외에 추가로 집계할 API 에러 코드 (예: ['INVALID_DATE'])
+ */
+export function errorBreakdownThresholds(endpointKeys, codes = []) {
+    const thresholds = { api_errors: ['count>=0'] };
+    const add = (tags) => {
+        thresholds[`api_errors{${tags}}`] = ['count>=0'];
+    };
+
+    [...ALWAYS_CALLED_ENDPOINTS, ...endpointKeys]
+        .filter((key, index, keys) => keys.indexOf(key) === index)
+        .forEach(key => {
+            const endpoint = ENDPOINTS[key];
+            if (!endpoint) {
+                throw new Error(`Unknown endpoint "${key}" in errorBreakdownThresholds()`);
+            }
+            add(`name:${endpoint.tag}`);
+            ERROR_KINDS.forEach(kind => add(`name:${endpoint.tag},error_kind:${kind}`));
+            TRACKED_ERROR_STATUSES.forEach(status => add(`name:${endpoint.tag},status:${status}`));
+            [...(endpoint.errorCodes || []), ...codes].forEach(code => add(`name:${endpoint.tag},error_code:${code}`));
+        });
+
+    ERROR_KINDS.forEach(kind => add(`error_kind:${kind}`));
+    TRACKED_ERROR_STATUSES.forEach(status => add(`status:${status}`));
+    [
+        ...TRANSPORT_ERRORS,
+        ...API_ERROR_CODES,
+        ...codes,
+        ...TRACKED_ERROR_STATUSES.map(status => `HTTP_${status}`),
+    ].forEach(code => add(`error_code:${code}`));
+
+    return thresholds;
+}
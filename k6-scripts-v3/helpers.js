@@ -10,8 +10,18 @@
 
 import http from 'k6/http';
 import { check, sleep } from 'k6';
-import { Rate, Trend } from 'k6/metrics';
-import { BASE_URL, DEFAULT_HEADERS, TIMEOUTS, randomEmail, randomNickname, randomString, getTodayDate, getCurrentTime, getTimeAfterMinutes } from './config.js';
+import encoding from 'k6/encoding';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { PROFILE, DEFAULT_HEADERS, randomEmail, randomNickname, randomString, getTodayDate, getCurrentTime, getTimeAfterMinutes } from './config.js';
+import { ENDPOINTS, buildPath, statusCheck, latencyCheck } from './endpoints.js';
+import {
+    recordResponse,
+    parseResponse,
+    describeError,
+    isDuplicateError,
+    isTransportFailure,
+    classifyTransportError,
+} from './errors.js';
 
 // ============================================================================
 // 커스텀 메트릭 정의
@@ -30,24 +40,32 @@ import { BASE_URL, DEFAULT_HEADERS, TIMEOUTS, randomEmail, randomNickname, rando
  *
  * 3. 장애 원인 분석
  *    - 특정 기능에서만 성능 저하 발생 시 빠른 식별
+ *
+ * 엔드포인트 메트릭 이름은 endpoints.js 카탈로그의 metric 값을 사용
  */
 
 // 인증 관련 메트릭
-export const loginDuration = new Trend('login_duration', true);
+export const loginDuration = new Trend(ENDPOINTS.login.metric, true);
 export const loginFailRate = new Rate('login_failures');
-export const refreshTokenDuration = new Trend('refresh_token_duration', true);
-export const signupDuration = new Trend('signup_duration', true);
+export const refreshTokenDuration = new Trend(ENDPOINTS.refresh_token.metric, true);
+export const signupDuration = new Trend(ENDPOINTS.signup.metric, true);
+export const tokenRefreshAttempts = new Counter('token_refresh_attempts');
+export const tokenRefreshFailRate = new Rate('token_refresh_failures');
 
 // 사용자 관련 메트릭
-export const getProfileDuration = new Trend('get_profile_duration', true);
-export const searchUsersDuration = new Trend('search_users_duration', true);
+export const getProfileDuration = new Trend(ENDPOINTS.get_profile.metric, true);
+export const searchUsersDuration = new Trend(ENDPOINTS.search_users.metric, true);
 
 // 스케줄 관련 메트릭 - 핵심 비즈니스 로직
-export const createScheduleDuration = new Trend('create_schedule_duration', true);
-export const getSchedulesDuration = new Trend('get_schedules_duration', true);
-export const updateScheduleDuration = new Trend('update_schedule_duration', true);
-export const deleteScheduleDuration = new Trend('delete_schedule_duration', true);
-export const aiArrangementDuration = new Trend('ai_arrangement_duration', true);
+export const createScheduleDuration = new Trend(ENDPOINTS.create_schedule.metric, true);
+export const getSchedulesDuration = new Trend(ENDPOINTS.get_schedules.metric, true);
+export const updateScheduleDuration = new Trend(ENDPOINTS.update_schedule.metric, true);
+export const deleteScheduleDuration = new Trend(ENDPOINTS.delete_schedule.metric, true);
+export const aiArrangementDuration = new Trend(ENDPOINTS.ai_arrangement.metric, true);
+
+// 재시도 관련 메트릭 (재시도 요청은 retry / retry_attempt 태그로 구분)
+export const retryAttempts = new Counter('retry_attempts');
+export const retryExhausted = new Counter('retry_exhausted');
 
 // 전체 시나리오 메트릭
 export const fullScenarioDuration = new Trend('full_scenario_duration', true);
@@ -77,18 +95,18 @@ export function login(email, password) {
 
     const params = {
         headers: DEFAULT_HEADERS,
-        tags: { name: 'login' },
-        timeout: TIMEOUTS.default,
+        ...requestParams(ENDPOINTS.login),
     };
 
-    const response = http.post(`${BASE_URL}/token`, payload, params);
+    const response = http.post(endpointUrl(ENDPOINTS.login), payload, params);
 
     // 메트릭 기록
     loginDuration.add(response.timings.duration);
+    const result = recordResponse(ENDPOINTS.login, response);
 
     // 응답 검증
     const success = check(response, {
-        'login: status is 200': (r) => r.status === 200,
+        ...statusCheck(ENDPOINTS.login),
         'login: has access token': (r) => {
             try {
                 const body = JSON.parse(r.body);
@@ -97,13 +115,13 @@ export function login(email, password) {
                 return false;
             }
         },
-        'login: response time < 500ms': (r) => r.timings.duration < 500,
+        ...latencyCheck(ENDPOINTS.login),
     });
 
     loginFailRate.add(!success);
 
     if (!success) {
-        console.error(`Login failed for ${email}: ${response.status} - ${response.body}`);
+        console.error(`Login failed for ${email}: ${describeError(result)}`);
         return null;
     }
 
@@ -128,18 +146,18 @@ export function login(email, password) {
 export function refreshToken(cookies) {
     const params = {
         headers: DEFAULT_HEADERS,
-        cookies: cookies,
-        tags: { name: 'refresh_token' },
-        timeout: TIMEOUTS.default,
+        cookies: toRequestCookies(cookies),
+        ...requestParams(ENDPOINTS.refresh_token),
     };
 
-    const response = http.put(`${BASE_URL}/token`, null, params);
+    const response = http.put(endpointUrl(ENDPOINTS.refresh_token), null, params);
 
     refreshTokenDuration.add(response.timings.duration);
+    const result = recordResponse(ENDPOINTS.refresh_token, response);
 
     const success = check(response, {
-        'refresh: status is 200': (r) => r.status === 200,
-        'refresh: has new access token': (r) => {
+        ...statusCheck(ENDPOINTS.refresh_token),
+        'refresh_token: has new access token': (r) => {
             try {
                 const body = JSON.parse(r.body);
                 return body.data && body.data.accessToken;
@@ -147,11 +165,11 @@ export function refreshToken(cookies) {
                 return false;
             }
         },
-        'refresh: response time < 300ms': (r) => r.timings.duration < 300,
+        ...latencyCheck(ENDPOINTS.refresh_token),
     });
 
     if (!success) {
-        console.error(`Token refresh failed: ${response.status}`);
+        console.error(`Token refresh failed: ${describeError(result)}`);
         return null;
     }
 
@@ -165,23 +183,12 @@ export function refreshToken(cookies) {
 /**
  * 로그아웃
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  */
-export function logout(accessToken) {
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'logout' },
-        timeout: TIMEOUTS.default,
-    };
-
-    const response = http.del(`${BASE_URL}/token`, null, params);
+export function logout(auth) {
+    const response = authRequest(ENDPOINTS.logout, null, null, auth);
 
-    check(response, {
-        'logout: status is 204': (r) => r.status === 204,
-    });
+    check(response, statusCheck(ENDPOINTS.logout));
 }
 
 /**
@@ -218,16 +225,16 @@ export function signup() {
 
     const params = {
         headers: DEFAULT_HEADERS,
-        tags: { name: 'signup' },
-        timeout: TIMEOUTS.default,
+        ...requestParams(ENDPOINTS.signup),
     };
 
-    const response = http.post(`${BASE_URL}/users`, payload, params);
+    const response = http.post(endpointUrl(ENDPOINTS.signup), payload, params);
 
     signupDuration.add(response.timings.duration);
+    const result = recordResponse(ENDPOINTS.signup, response);
 
     const success = check(response, {
-        'signup: status is 201': (r) => r.status === 200,
+        ...statusCheck(ENDPOINTS.signup),
         'signup: has user id': (r) => {
             try {
                 const body = JSON.parse(r.body);
@@ -239,7 +246,7 @@ export function signup() {
     });
 
     if (!success) {
-        console.error(`Signup failed: ${response.status} - ${response.body}`);
+        console.error(`Signup failed: ${describeError(result)}`);
         return null;
     }
 
@@ -263,42 +270,365 @@ export function signup() {
  * @returns {boolean} - 성공 여부
  */
 export function signupTestUser(email, password, nickname) {
-    const payload = JSON.stringify({
-        email: email,
-        password: password,
-        nickname: nickname,
-        gender: 'MALE',
-        birth: '1990.01.01',
-        focusTimeZone: 'MORNING',
-        dayEndTime: '23:00',
-        profileImageKey: null,
-        terms: [
-            { termsId: 1, isAgreed: true },
-            { termsId: 2, isAgreed: true },
-            { termsId: 3, isAgreed: true },
-        ],
-    });
-
-    const params = {
-        headers: DEFAULT_HEADERS,
-        tags: { name: 'setup_signup' },
-        timeout: TIMEOUTS.default,
-    };
-
-    const response = http.post(`${BASE_URL}/users`, payload, params);
+    const request = testUserSignupRequest({ email: email, password: password, nickname: nickname });
+    const response = http.post(request.url, request.body, request.params);
+    const result = parseResponse(ENDPOINTS.setup_signup, response);
 
-    if (response.status === 200) {
+    if (result.ok) {
         console.log(`✅ Test user created: ${email}`);
         return true;
-    } else if (response.status === 409 || response.body.includes('DUPLICATE')) {
+    } else if (isDuplicateError(result)) {
         console.log(`ℹ️ Test user already exists: ${email}`);
-        return true; // 이미 존재해도 OK
+        return true; // 이미 존재해도 OK (에러로 집계하지 않음)
     } else {
-        console.warn(`⚠️ Failed to create test user ${email}: ${response.status} - ${response.body}`);
+        recordResponse(ENDPOINTS.setup_signup, response);
+        console.warn(`⚠️ Failed to create test user ${email}: ${describeError(result)}`);
         return false;
     }
 }
 
+/**
+ * 테스트 계정 회원가입 요청 (http.batch 요청 형식)
+ *
+ * account-pool.js가 여러 계정을 한 번에 준비할 때 사용
+ * setup_signup 태그로 기록되어 회원가입 메트릭/SLO에 섞이지 않음
+ *
+ * @param {object} account - { email, password, nickname }
+ * @returns {object} - { method, url, body, params }
+ */
+export function testUserSignupRequest(account) {
+    return {
+        method: ENDPOINTS.setup_signup.method,
+        url: endpointUrl(ENDPOINTS.setup_signup),
+        body: JSON.stringify({
+            email: account.email,
+            password: account.password,
+            nickname: account.nickname,
+            gender: 'MALE',
+            birth: '1990.01.01',
+            focusTimeZone: 'MORNING',
+            dayEndTime: '23:00',
+            profileImageKey: null,
+            terms: [
+                { termsId: 1, isAgreed: true },
+                { termsId: 2, isAgreed: true },
+                { termsId: 3, isAgreed: true },
+            ],
+        }),
+        params: {
+            headers: DEFAULT_HEADERS,
+            ...requestParams(ENDPOINTS.setup_signup),
+        },
+    };
+}
+
+/**
+ * 계정 확인 로그인에서 정상으로 볼 응답 코드
+ *
+ * 아직 가입하지 않은 계정의 401/404는 "회원가입 필요"라는 정상 결과이므로
+ * 전역 http_req_failed / http_req_duration에 실패로 잡히지 않도록 함 (첫 실행의 계정 준비가 임계값을 깨던 문제)
+ */
+const ACCOUNT_PROBE_STATUSES = http.expectedStatuses({ min: 200, max: 299 }, 401, 404);
+
+/**
+ * 테스트 계정 로그인 요청 (http.batch 요청 형식)
+ *
+ * 계정이 이미 있고 비밀번호가 맞는지 확인하는 용도 (setup_login 태그)
+ *
+ * 401/404는 실패로 집계하지 않음 (ACCOUNT_PROBE_STATUSES)
+ *
+ * @param {object} account - { email, password }
+ * @returns {object} - { method, url, body, params }
+ */
+export function testUserLoginRequest(account) {
+    return {
+        method: ENDPOINTS.setup_login.method,
+        url: endpointUrl(ENDPOINTS.setup_login),
+        body: JSON.stringify({
+            email: account.email,
+            password: account.password,
+        }),
+        params: {
+            headers: DEFAULT_HEADERS,
+            ...requestParams(ENDPOINTS.setup_login),
+            responseCallback: ACCOUNT_PROBE_STATUSES,
+        },
+    };
+}
+
+/**
+ * 테스트 계정의 날짜별 스케줄 조회 요청 (http.batch 요청 형식, setup_day_plan 태그)
+ *
+ * @param {string} accessToken - testUserLoginRequest 응답의 액세스 토큰
+ * @param {string} date - YYYY-MM-DD
+ * @returns {object} - { method, url, body, params }
+ */
+export function testUserDayPlanRequest(accessToken, date) {
+    return {
+        method: ENDPOINTS.setup_day_plan.method,
+        url: endpointUrl(ENDPOINTS.setup_day_plan, { date: date }),
+        body: null,
+        params: {
+            headers: { ...DEFAULT_HEADERS, 'Authorization': `Bearer ${accessToken}` },
+            ...requestParams(ENDPOINTS.setup_day_plan),
+        },
+    };
+}
+
+/**
+ * 테스트 계정의 스케줄 생성 요청 (http.batch 요청 형식, setup_create_schedule 태그)
+ *
+ * @param {string} accessToken - 액세스 토큰
+ * @param {number} dayPlanId - DayPlan ID
+ * @param {object} scheduleData - 스케줄 데이터
+ * @returns {object} - { method, url, body, params }
+ */
+export function testUserScheduleRequest(accessToken, dayPlanId, scheduleData) {
+    return {
+        method: ENDPOINTS.setup_create_schedule.method,
+        url: endpointUrl(ENDPOINTS.setup_create_schedule, { dayPlanId: dayPlanId }),
+        body: JSON.stringify(scheduleData),
+        params: {
+            headers: { ...DEFAULT_HEADERS, 'Authorization': `Bearer ${accessToken}` },
+            ...requestParams(ENDPOINTS.setup_create_schedule),
+        },
+    };
+}
+
+// ============================================================================
+// 인증 요청 공통 처리
+// ============================================================================
+
+/**
+ * 인증이 필요한 API 호출 공통 함수
+ *
+ * 왜 이 함수가 필요한가?
+ * - 모든 인증 API가 Authorization 헤더를 같은 방식으로 구성
+ * - Access Token 만료(401) 시 Refresh Token으로 갱신 후 원래 요청을 한 번 재시도
+ *   → 장시간 테스트에서 토큰 만료가 곧바로 실패로 집계되지 않음
+ * - 재시도 요청은 auth_retry 태그로 구분하여 원 요청과 섞이지 않게 함
+ * - 멱등 조회(retryable)는 일시적 실패(502/503 등) 시 PROFILE.retry 정책으로 재시도
+ * - 메서드, 경로, name 태그, 타임아웃은 엔드포인트 카탈로그에서 가져옴
+ * - 최종 응답을 errors.js의 recordResponse()로 해석하여 에러 메트릭 기록
+ *
+ * auth 인자:
+ * - 문자열: 액세스 토큰만 사용 (갱신 불가, 401은 그대로 반환)
+ * - 객체 { accessToken, cookies }: login()/signup() 결과 등
+ *   401 시 refreshToken(cookies)로 갱신하고 객체의 accessToken/cookies를 교체
+ *
+ * @param {object} endpoint - ENDPOINTS 항목
+ * @param {object} pathParams - 경로 템플릿 변수 (없으면 null)
+ * @param {string} body - 요청 바디 (없으면 null)
+ * @param {string|object} auth - 액세스 토큰 또는 인증 상태
+ * @param {object} extraParams - 추가 k6 요청 파라미터 (headers, tags 등)
+ * @returns {object} - k6 Response
+ */
+export function authRequest(endpoint, pathParams, body, auth, extraParams = {}) {
+    const url = endpointUrl(endpoint, pathParams);
+    const params = {
+        ...extraParams,
+        ...requestParams(endpoint),
+        tags: { ...extraParams.tags, name: endpoint.tag },
+    };
+    const send = (extraTags) => http.request(endpoint.method, url, body, {
+        ...params,
+        headers: {
+            ...DEFAULT_HEADERS,
+            ...params.headers,
+            'Authorization': `Bearer ${accessTokenOf(auth)}`,
+        },
+        tags: { ...params.tags, ...extraTags },
+    });
+
+    let response = send({});
+    if (response.status === 401 && typeof auth === 'object' && auth && renewAuth(auth, endpoint.tag)) {
+        response = send({ auth_retry: 'true' });
+    }
+
+    if (endpoint.retryable) {
+        response = retryTransientFailure(endpoint, response, send);
+    }
+
+    recordResponse(endpoint, response);
+    return response;
+}
+
+/**
+ * 요청의 응답 시간 (재시도한 경우 모든 시도의 합계)
+ *
+ * 헬퍼의 커스텀 Duration 메트릭은 이 값을 기록
+ * → 재시도 끝에 성공한 빠른 응답만 남아 지연 수치가 좋아 보이는 것을 방지
+ *
+ * @param {object} response - authRequest()가 반환한 Response
+ * @returns {number} - ms
+ */
+function requestDuration(response) {
+    return retriedDurations.get(response) || response.timings.duration;
+}
+
+// ============================================================================
+// 재시도 정책
+// ============================================================================
+
+const retriedDurations = new WeakMap();
+
+/**
+ * 일시적 실패 시 지수 백오프 + jitter로 재시도
+ *
+ * - 재시도 요청은 retry:true, retry_attempt:<n> 태그가 붙어 http_req_duration 등에서 분리 가능
+ * - retry_attempts: 재시도 횟수 (name, reason, attempt 태그)
+ * - retry_exhausted: 재시도 후에도 실패한 요청 수 (name, reason 태그)
+ *   재시도하지 않고 끝난 요청(maxRetries 0, Retry-After 초과)은 집계하지 않음
+ *
+ * @param {object} endpoint - ENDPOINTS 항목 (retryable)
+ * @param {object} response - 첫 응답
+ * @param {function} send - 태그를 받아 요청을 다시 보내는 함수
+ * @returns {object} - 최종 Response
+ */
+function retryTransientFailure(endpoint, response, send) {
+    const policy = PROFILE.retry;
+    let totalDuration = response.timings.duration;
+    let attempt = 0;
+
+    while (isRetryable(response, policy)) {
+        const reason = retryReason(response);
+        const delayMs = retryDelayMs(response, attempt + 1, policy);
+
+        if (attempt >= policy.maxRetries || delayMs === null) {
+            if (attempt > 0) {
+                retryExhausted.add(1, { name: endpoint.tag, reason: reason });
+            }
+            break;
+        }
+
+        attempt += 1;
+        retryAttempts.add(1, { name: endpoint.tag, reason: reason, attempt: String(attempt) });
+        sleep(delayMs / 1000);
+
+        response = send({ retry: 'true', retry_attempt: String(attempt) });
+        totalDuration += response.timings.duration;
+    }
+
+    if (attempt > 0) {
+        retriedDurations.set(response, totalDuration);
+    }
+    return response;
+}
+
+function isRetryable(response, policy) {
+    if (isTransportFailure(response)) {
+        return policy.retryOnTransport;
+    }
+    return policy.retryOnStatus.indexOf(response.status) !== -1;
+}
+
+function retryReason(response) {
+    return isTransportFailure(response) ? classifyTransportError(response.error_code) : String(response.status);
+}
+
+/**
+ * 다음 재시도까지 대기 시간
+ *
+ * full jitter: 0 ~ min(maxDelayMs, baseDelayMs * 2^(attempt-1)) 사이 임의 값
+ * Retry-After가 있으면 그 이상 대기하고, maxRetryAfterMs보다 길면 재시도하지 않음(null)
+ *
+ * @returns {number} - ms 또는 null
+ */
+export function retryDelayMs(response, attempt, policy) {
+    const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+    const jittered = Math.random() * backoff;
+
+    const retryAfter = parseRetryAfter(response.headers && response.headers['Retry-After']);
+    if (retryAfter === null) {
+        return jittered;
+    }
+    if (retryAfter > policy.maxRetryAfterMs) {
+        return null;
+    }
+    return Math.max(retryAfter, jittered);
+}
+
+/**
+ * Retry-After 헤더 해석 (초 단위 숫자 또는 HTTP 날짜)
+ *
+ * @returns {number} - ms 또는 null (헤더 없음/해석 불가)
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 인증 상태 객체의 토큰 갱신
+ *
+ * @param {object} auth - { accessToken, cookies }
+ * @param {string} trigger - 401을 받은 요청의 name 태그
+ * @returns {boolean} - 갱신 성공 여부
+ */
+function renewAuth(auth, trigger) {
+    tokenRefreshAttempts.add(1, { trigger: trigger || 'unknown' });
+
+    const renewed = refreshToken(auth.cookies);
+    tokenRefreshFailRate.add(!renewed, { trigger: trigger || 'unknown' });
+
+    if (!renewed) {
+        console.warn(`VU ${__VU}: Token refresh after 401 on ${trigger} failed`);
+        return false;
+    }
+
+    auth.accessToken = renewed.accessToken;
+    auth.cookies = { ...auth.cookies, ...renewed.cookies };
+    return true;
+}
+
+/**
+ * 카탈로그 항목의 전체 URL
+ */
+function endpointUrl(endpoint, pathParams = null) {
+    return `${PROFILE.apiUrl}${buildPath(endpoint, pathParams || {})}`;
+}
+
+/**
+ * 카탈로그 항목의 name 태그와 타임아웃
+ */
+function requestParams(endpoint) {
+    return {
+        tags: { name: endpoint.tag },
+        timeout: PROFILE.timeouts[endpoint.timeout],
+    };
+}
+
+function accessTokenOf(auth) {
+    return typeof auth === 'object' && auth ? auth.accessToken : auth;
+}
+
+/**
+ * Response.cookies 형식({ name: [{ value, ... }] })을 요청 파라미터 형식({ name: value })으로 변환
+ */
+function toRequestCookies(cookies) {
+    if (!cookies) {
+        return {};
+    }
+    const result = {};
+    Object.keys(cookies).forEach(name => {
+        const cookie = cookies[name];
+        if (Array.isArray(cookie)) {
+            if (cookie.length > 0) {
+                result[name] = cookie[0].value;
+            }
+        } else {
+            result[name] = cookie;
+        }
+    });
+    return result;
+}
+
 // ============================================================================
 // 사용자 관련 함수
 // ============================================================================
@@ -311,25 +641,16 @@ export function signupTestUser(email, password, nickname) {
  * - 사용자별 설정, 권한 정보 등을 가져옴
  * - 캐싱 효율성 측정에 중요
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @returns {object} - 사용자 프로필 데이터 또는 null
  */
-export function getProfile(accessToken) {
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'get_profile' },
-        timeout: TIMEOUTS.default,
-    };
-
-    const response = http.get(`${BASE_URL}/users`, params);
+export function getProfile(auth) {
+    const response = authRequest(ENDPOINTS.get_profile, null, null, auth);
 
-    getProfileDuration.add(response.timings.duration);
+    getProfileDuration.add(requestDuration(response));
 
     const success = check(response, {
-        'get_profile: status is 200': (r) => r.status === 200,
+        ...statusCheck(ENDPOINTS.get_profile),
         'get_profile: has user data': (r) => {
             try {
                 const body = JSON.parse(r.body);
@@ -338,7 +659,7 @@ export function getProfile(accessToken) {
                 return false;
             }
         },
-        'get_profile: response time < 500ms': (r) => r.timings.duration < 500,
+        ...latencyCheck(ENDPOINTS.get_profile),
     });
 
     if (!success) {
@@ -356,31 +677,19 @@ export function getProfile(accessToken) {
  * - LIKE 쿼리 사용으로 DB 부하 높음
  * - 페이지네이션 최적화 필요
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {string} nickname - 검색할 닉네임
  * @param {number} page - 페이지 번호
  * @param {number} size - 페이지 크기
  */
-export function searchUsers(accessToken, nickname, page = 1, size = 10) {
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'search_users' },
-        timeout: TIMEOUTS.default,
-    };
+export function searchUsers(auth, nickname, page = 1, size = 10) {
+    const response = authRequest(ENDPOINTS.search_users, { nickname, page, size }, null, auth);
 
-    const response = http.get(
-        `${BASE_URL}/users/nickname?nickname=${encodeURIComponent(nickname)}&page=${page}&size=${size}`,
-        params
-    );
-
-    searchUsersDuration.add(response.timings.duration);
+    searchUsersDuration.add(requestDuration(response));
 
     check(response, {
-        'search_users: status is 200': (r) => r.status === 200,
-        'search_users: response time < 1000ms': (r) => r.timings.duration < 1000,
+        ...statusCheck(ENDPOINTS.search_users),
+        ...latencyCheck(ENDPOINTS.search_users),
     });
 
     return response;
@@ -398,12 +707,12 @@ export function searchUsers(accessToken, nickname, page = 1, size = 10) {
  * - DB 쓰기 + 이벤트 발행 + 알림 처리 등 복잡한 로직
  * - 동시성 이슈 발생 가능성 높음 (같은 시간대 중복 등)
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {number} dayPlanId - DayPlan ID
  * @param {object} scheduleData - 스케줄 데이터 (optional)
  * @returns {object} - 생성된 스케줄 정보 또는 null
  */
-export function createSchedule(accessToken, dayPlanId, scheduleData = null) {
+export function createSchedule(auth, dayPlanId, scheduleData = null) {
     const defaultData = {
         type: 'FLEX',
         title: `Load Test Schedule ${randomString(5)}`,
@@ -416,25 +725,12 @@ export function createSchedule(accessToken, dayPlanId, scheduleData = null) {
 
     const payload = JSON.stringify(scheduleData || defaultData);
 
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'create_schedule' },
-        timeout: TIMEOUTS.default,
-    };
-
-    const response = http.post(
-        `${BASE_URL}/day-plan/${dayPlanId}/schedule`,
-        payload,
-        params
-    );
+    const response = authRequest(ENDPOINTS.create_schedule, { dayPlanId }, payload, auth);
 
-    createScheduleDuration.add(response.timings.duration);
+    createScheduleDuration.add(requestDuration(response));
 
     const success = check(response, {
-        'create_schedule: status is 201': (r) => r.status === 200,
+        ...statusCheck(ENDPOINTS.create_schedule),
         'create_schedule: has schedule id': (r) => {
             try {
                 const body = JSON.parse(r.body);
@@ -443,11 +739,11 @@ export function createSchedule(accessToken, dayPlanId, scheduleData = null) {
                 return false;
             }
         },
-        'create_schedule: response time < 1500ms': (r) => r.timings.duration < 1500,
+        ...latencyCheck(ENDPOINTS.create_schedule),
     });
 
     if (!success) {
-        console.error(`Create schedule failed: ${response.status} - ${response.body}`);
+        console.error(`Create schedule failed: ${describeError(parseResponse(ENDPOINTS.create_schedule, response))}`);
         return null;
     }
 
@@ -462,33 +758,19 @@ export function createSchedule(accessToken, dayPlanId, scheduleData = null) {
  * - 페이지네이션, 정렬, 필터링 등 복잡한 쿼리
  * - N+1 쿼리 문제 발생 가능성
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {number} dayPlanId - DayPlan ID
  * @param {number} page - 페이지 번호
  * @param {number} size - 페이지 크기
  */
-export function getSchedules(accessToken, dayPlanId, page = 1, size = 10) {
-    const targetDate = getTodayDate();
-
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'get_schedules' },
-        timeout: TIMEOUTS.default,
-    };
-
-    const response = http.get(
-        `${BASE_URL}/day-plan/schedule?date=${targetDate}&page=${page}&size=${size}`,
-        params
-    );
+export function getSchedules(auth, dayPlanId, page = 1, size = 10) {
+    const response = authRequest(ENDPOINTS.get_schedules, { date: getTodayDate(), page, size }, null, auth);
 
-    getSchedulesDuration.add(response.timings.duration);
+    getSchedulesDuration.add(requestDuration(response));
 
     check(response, {
-        'get_schedules: status is 200': (r) => r.status === 200,
-        'get_schedules: response time < 1000ms': (r) => r.timings.duration < 1000,
+        ...statusCheck(ENDPOINTS.get_schedules),
+        ...latencyCheck(ENDPOINTS.get_schedules),
     });
 
     return response;
@@ -497,31 +779,19 @@ export function getSchedules(accessToken, dayPlanId, page = 1, size = 10) {
 /**
  * 날짜별 스케줄 조회 및 DayPlan 정보 반환
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {string} date - YYYY-MM-DD 형식의 날짜
  * @returns {object} - { dayPlanId, response } 또는 null
  */
-export function getSchedulesByDate(accessToken, date = null) {
+export function getSchedulesByDate(auth, date = null) {
     const targetDate = date || getTodayDate();
 
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'get_schedules_by_date' },
-        timeout: TIMEOUTS.default,
-    };
-
-    const response = http.get(
-        `${BASE_URL}/day-plan/schedule?date=${targetDate}&page=1&size=10`,
-        params
-    );
+    const response = authRequest(ENDPOINTS.get_schedules_by_date, { date: targetDate }, null, auth);
 
-    getSchedulesDuration.add(response.timings.duration);
+    getSchedulesDuration.add(requestDuration(response));
 
     const success = check(response, {
-        'get_schedules_by_date: status is 200': (r) => r.status === 200,
+        ...statusCheck(ENDPOINTS.get_schedules_by_date),
         'get_schedules_by_date: has dayPlanId': (r) => {
             try {
                 const body = JSON.parse(r.body);
@@ -533,7 +803,7 @@ export function getSchedulesByDate(accessToken, date = null) {
     });
 
     if (!success) {
-        console.warn(`[DEBUG] getSchedulesByDate failed - status: ${response.status}, body: ${response.body}`);
+        console.warn(`getSchedulesByDate failed: ${describeError(parseResponse(ENDPOINTS.get_schedules_by_date, response))}`);
         return null;
     }
 
@@ -553,12 +823,12 @@ export function getSchedulesByDate(accessToken, date = null) {
  * - 하드코딩된 ID 대신 동적으로 조회
  * - 회원가입 직후 dayPlan이 자동 생성되므로 이를 조회
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {string} date - YYYY-MM-DD 형식의 날짜 (기본: 오늘)
  * @returns {number} - dayPlanId 또는 null
  */
-export function getDayPlanId(accessToken, date = null) {
-    const result = getSchedulesByDate(accessToken, date);
+export function getDayPlanId(auth, date = null) {
+    const result = getSchedulesByDate(auth, date);
     if (!result) {
         return null;
     }
@@ -568,33 +838,20 @@ export function getDayPlanId(accessToken, date = null) {
 /**
  * 스케줄 수정
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {number} scheduleId - 스케줄 ID
  * @param {object} updateData - 수정할 데이터
  */
-export function updateSchedule(accessToken, scheduleId, updateData) {
+export function updateSchedule(auth, scheduleId, updateData) {
     const payload = JSON.stringify(updateData);
 
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'update_schedule' },
-        timeout: TIMEOUTS.default,
-    };
-
-    const response = http.put(
-        `${BASE_URL}/schedule/${scheduleId}`,
-        payload,
-        params
-    );
+    const response = authRequest(ENDPOINTS.update_schedule, { scheduleId }, payload, auth);
 
-    updateScheduleDuration.add(response.timings.duration);
+    updateScheduleDuration.add(requestDuration(response));
 
     check(response, {
-        'update_schedule: status is 204': (r) => r.status === 204,
-        'update_schedule: response time < 1000ms': (r) => r.timings.duration < 1000,
+        ...statusCheck(ENDPOINTS.update_schedule),
+        ...latencyCheck(ENDPOINTS.update_schedule),
     });
 
     return response;
@@ -603,30 +860,15 @@ export function updateSchedule(accessToken, scheduleId, updateData) {
 /**
  * 스케줄 삭제
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {number} scheduleId - 스케줄 ID
  */
-export function deleteSchedule(accessToken, scheduleId) {
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'delete_schedule' },
-        timeout: TIMEOUTS.default,
-    };
+export function deleteSchedule(auth, scheduleId) {
+    const response = authRequest(ENDPOINTS.delete_schedule, { scheduleId }, null, auth);
 
-    const response = http.del(
-        `${BASE_URL}/schedule/${scheduleId}`,
-        null,
-        params
-    );
+    deleteScheduleDuration.add(requestDuration(response));
 
-    deleteScheduleDuration.add(response.timings.duration);
-
-    check(response, {
-        'delete_schedule: status is 204': (r) => r.status === 204,
-    });
+    check(response, statusCheck(ENDPOINTS.delete_schedule));
 
     return response;
 }
@@ -638,31 +880,16 @@ export function deleteSchedule(accessToken, scheduleId) {
  * - 사용자가 일정을 완료/미완료 처리할 때 호출
  * - 상태 변경에 따른 이벤트 발행 (알림, 통계 등)
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {number} scheduleId - 스케줄 ID
  * @param {string} status - 변경할 상태 (COMPLETED, PENDING 등)
  */
-export function updateScheduleStatus(accessToken, scheduleId, status) {
+export function updateScheduleStatus(auth, scheduleId, status) {
     const payload = JSON.stringify({ status: status });
 
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'update_schedule_status' },
-        timeout: TIMEOUTS.default,
-    };
-
-    const response = http.patch(
-        `${BASE_URL}/schedule/${scheduleId}/status`,
-        payload,
-        params
-    );
+    const response = authRequest(ENDPOINTS.update_schedule_status, { scheduleId }, payload, auth);
 
-    check(response, {
-        'update_schedule_status: status is 204': (r) => r.status === 204,
-    });
+    check(response, statusCheck(ENDPOINTS.update_schedule_status));
 
     return response;
 }
@@ -676,30 +903,18 @@ export function updateScheduleStatus(accessToken, scheduleId, status) {
  * - 서버 리소스 집약적 (AI 응답 파싱, DB 다중 쓰기)
  * - 동시 요청 시 AI 서비스 Rate Limiting 발생 가능
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {number} dayPlanId - DayPlan ID
  */
-export function aiScheduleArrangement(accessToken, dayPlanId) {
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'ai_arrangement' },
-        timeout: TIMEOUTS.ai_related, // 30초 타임아웃
-    };
+export function aiScheduleArrangement(auth, dayPlanId) {
+    // 카탈로그의 timeout: 'ai_related' (30초 타임아웃)
+    const response = authRequest(ENDPOINTS.ai_arrangement, { dayPlanId }, null, auth);
 
-    const response = http.post(
-        `${BASE_URL}/day-plan/${dayPlanId}/schedules/ai-arrangement`,
-        null,
-        params
-    );
-
-    aiArrangementDuration.add(response.timings.duration);
+    aiArrangementDuration.add(requestDuration(response));
 
     check(response, {
-        'ai_arrangement: status is 200 or 201': (r) => r.status === 200 || r.status === 201,
-        'ai_arrangement: response time < 5000ms': (r) => r.timings.duration < 5000,
+        ...statusCheck(ENDPOINTS.ai_arrangement),
+        ...latencyCheck(ENDPOINTS.ai_arrangement),
     });
 
     return response;
@@ -712,28 +927,14 @@ export function aiScheduleArrangement(accessToken, dayPlanId) {
 /**
  * 알림 목록 조회
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {number} page - 페이지 번호
  * @param {number} size - 페이지 크기
  */
-export function getNotifications(accessToken, page = 1, size = 10) {
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'get_notifications' },
-        timeout: TIMEOUTS.default,
-    };
-
-    const response = http.get(
-        `${BASE_URL}/notifications?page=${page}&size=${size}`,
-        params
-    );
+export function getNotifications(auth, page = 1, size = 10) {
+    const response = authRequest(ENDPOINTS.get_notifications, { page, size }, null, auth);
 
-    check(response, {
-        'get_notifications: status is 200': (r) => r.status === 200,
-    });
+    check(response, statusCheck(ENDPOINTS.get_notifications));
 
     return response;
 }
@@ -741,30 +942,19 @@ export function getNotifications(accessToken, page = 1, size = 10) {
 /**
  * FCM 토큰 등록
  *
- * @param {string} accessToken - JWT 액세스 토큰
+ * @param {string|object} auth - JWT 액세스 토큰 또는 인증 상태 (authRequest 참고)
  * @param {string} fcmToken - FCM 토큰
  * @param {string} platform - 플랫폼 (IOS, ANDROID, WEB)
  */
-export function registerFcmToken(accessToken, fcmToken, platform = 'WEB') {
+export function registerFcmToken(auth, fcmToken, platform = 'WEB') {
     const payload = JSON.stringify({
         fcmToken: fcmToken,
         platform: platform,
     });
 
-    const params = {
-        headers: {
-            ...DEFAULT_HEADERS,
-            'Authorization': `Bearer ${accessToken}`,
-        },
-        tags: { name: 'register_fcm_token' },
-        timeout: TIMEOUTS.default,
-    };
-
-    const response = http.post(`${BASE_URL}/fcm-tokens`, payload, params);
+    const response = authRequest(ENDPOINTS.register_fcm_token, null, payload, auth);
 
-    check(response, {
-        'register_fcm_token: status is 204': (r) => r.status === 204,
-    });
+    check(response, statusCheck(ENDPOINTS.register_fcm_token));
 
     return response;
 }
@@ -782,14 +972,12 @@ export function registerFcmToken(accessToken, fcmToken, platform = 'WEB') {
  * - 가장 가벼운 요청으로 네트워크 지연 기준선 측정
  */
 export function healthCheck() {
-    const response = http.get(`${BASE_URL}/`, {
-        tags: { name: 'health_check' },
-        timeout: TIMEOUTS.default,
-    });
+    const response = http.get(endpointUrl(ENDPOINTS.health_check), requestParams(ENDPOINTS.health_check));
+    recordResponse(ENDPOINTS.health_check, response);
 
     const success = check(response, {
-        'health_check: status is 200': (r) => r.status === 200,
-        'health_check: response time < 100ms': (r) => r.timings.duration < 100,
+        ...statusCheck(ENDPOINTS.health_check),
+        ...latencyCheck(ENDPOINTS.health_check),
     });
 
     return success;
@@ -828,3 +1016,23 @@ export function selectTestUser(users, vuId) {
     const index = (vuId - 1) % users.length;
     return users[index];
 }
+
+/**
+ * JWT 액세스 토큰 만료 시각 조회
+ *
+ * 왜 이 함수가 필요한가?
+ * - 장시간 유지되는 세션(소크 테스트 등)은 만료 전에 토큰을 갱신해야 함
+ * - 서버 설정값을 하드코딩하지 않고 토큰의 exp 클레임을 그대로 사용
+ *
+ * @param {string} accessToken - JWT 액세스 토큰
+ * @returns {number} - 만료 시각 (epoch 초) 또는 null (해석 불가 시)
+ */
+export function getTokenExpiry(accessToken) {
+    try {
+        const payload = accessToken.split('.')[1];
+        const claims = JSON.parse(encoding.b64decode(payload, 'rawurl', 's'));
+        return typeof claims.exp === 'number' ? claims.exp : null;
+    } catch (e) {
+        return null;
+    }
+}
@@ -36,53 +36,68 @@
 
 import { group, sleep } from 'k6';
 import {
-    LOAD_TEST_STAGES,
-    COMMON_THRESHOLDS,
+    PROFILE,
     ENDPOINT_THRESHOLDS,
     randomString,
     getCurrentTime,
     getTimeAfterMinutes,
+    mergeThresholds,
+    loadModelOptions,
+    SUMMARY_TREND_STATS,
 } from './config.js';
-import { createReportOutput } from './report-generator.js';
+import { createReportOutput, groupThresholds } from './report-generator.js';
 import {
-    signup,
-    logout,
-    getProfile,
-    searchUsers,
-    createSchedule,
-    getSchedules,
-    getSchedulesByDate,
-    getDayPlanId,
-    updateSchedule,
-    updateScheduleStatus,
-    deleteSchedule,
-    getNotifications,
     healthCheck,
     thinkTime,
-    signupDuration,
-    createScheduleDuration,
-    getSchedulesDuration,
     fullScenarioDuration,
     scenarioFailRate,
 } from './helpers.js';
+import { prepareAccountPool, accountPoolSize, accountGuardLoad, startSession, accountEndpoints } from './account-pool.js';
+import { errorBreakdownThresholds } from './errors.js';
+import { baselineThresholds } from './baseline.js';
+import { sloThresholds } from './slo.js';
+import { enforceSafetyGuard, getPeakVUs, estimateDurationSeconds } from './safety-guard.js';
 
 // ============================================================================
 // 테스트 설정
 // ============================================================================
 
+/**
+ * 반복(iteration) 1회 소요 시간 (초, 회원가입 + 전체 플로우 + Think Time)
+ *
+ * 안전 가드의 회원가입 수 추정과 도착률 모델의 VU 사전 할당 산정에 사용
+ */
+const ITERATION_SECONDS = 14;
+
+/**
+ * 이 테스트가 호출하는 엔드포인트 (에러 분석·기준 실행 비교 대상)
+ */
+const TEST_ENDPOINTS = [
+    ...accountEndpoints(),
+    'get_profile',
+    'search_users',
+    'get_notifications',
+    'get_schedules_by_date',
+    'get_schedules',
+    'create_schedule',
+    'update_schedule_status',
+    'delete_schedule',
+    'logout',
+];
+
 export const options = {
     /**
-     * 로드 테스트 단계 설정
+     * 로드 테스트 단계 설정 (PROFILE.stages.load, 프로필마다 다름)
+     *
+     * - staging / production: LOAD_TEST_STAGES
+     * - local: QUICK_LOAD_TEST_STAGES (30초 안에 전체 플로우 검증)
      *
-     * 1m: 0→10 VU (Ramp-up)
-     * 1m: 10→20 VU (Steady)
-     * 1m: 20→30 VU (Scale-up)
-     * 30s: 30→15 VU (Ramp-down 시작)
-     * 30s: 15→0 VU (Ramp-down 완료)
+     * 실제 최대 VU와 실행 시간은 setup()의 실행 배너에 표시
      *
-     * 총 4분 테스트
+     * K6_LOAD_MODEL=arrival-rate면 LOAD_TEST_ARRIVAL_RATE(초당 반복 수) 기반 도착률 시나리오로 대체
+     * (서버가 느려져도 요청률이 유지되어 대기열과 dropped_iterations가 드러남)
      */
-    stages: LOAD_TEST_STAGES,
+    ...loadModelOptions('load', ITERATION_SECONDS),
 
     /**
      * Graceful 종료 설정
@@ -99,6 +114,9 @@ export const options = {
     noConnectionReuse: false,  // 커넥션 재사용 허용 (성능)
     discardResponseBodies: false,  // 응답 바디 필요 (검증용)
 
+    // 보고서용 통계 (p(99)와 count는 기준 실행 비교에 사용)
+    summaryTrendStats: SUMMARY_TREND_STATS,
+
     /**
      * 성능 임계값
      *
@@ -107,8 +125,8 @@ export const options = {
      * - 실패율 1% 미만
      * - 초당 100개 이상 처리
      */
-    thresholds: {
-        ...COMMON_THRESHOLDS,
+    thresholds: mergeThresholds({
+        ...PROFILE.thresholds,
         ...ENDPOINT_THRESHOLDS.auth_login,
         ...ENDPOINT_THRESHOLDS.schedule_create,
         ...ENDPOINT_THRESHOLDS.schedule_list,
@@ -121,7 +139,22 @@ export const options = {
         // API 응답 시간(~2초) + thinkTime(~12초) = ~14초
         'full_scenario_duration': ['p(95)<18000', 'p(99)<22000'],
         'scenario_failures': ['rate<0.05'], // 시나리오 실패율 5% 미만
-    },
+
+        // 보고서 에러 분석용 서브메트릭 (항상 통과, 이 테스트가 호출하는 엔드포인트만)
+        ...errorBreakdownThresholds(TEST_ENDPOINTS),
+
+        // 보고서 SLO·에러 예산 섹션용 서브메트릭 (항상 통과)
+        ...sloThresholds(),
+
+        // 보고서 그룹 계층용 그룹 소요 시간 (항상 통과)
+        ...groupThresholds([
+            '01_Signup',
+            '02_Initial_Load',
+            '03_Schedule_Operations',
+            '04_Social_Features',
+            '05_Cleanup',
+        ]),
+    }, baselineThresholds('load-test', TEST_ENDPOINTS)), // 기준 실행 대비 회귀 감지 (K6_BASELINE 설정 시)
 };
 
 // ============================================================================
@@ -147,7 +180,7 @@ export const options = {
  * - 읽기/쓰기 비율이 실제 서비스와 유사하도록 구성
  * - 각 단계 사이에 Think Time을 넣어 현실적인 부하 생성
  */
-export default function () {
+export default function (data) {
     const scenarioStart = new Date();
     let scenarioSuccess = true;
 
@@ -164,18 +197,13 @@ export default function () {
      * - 매 테스트마다 새로운 사용자로 독립적인 테스트
      * - 이메일은 타임스탬프 + 랜덤 문자열로 중복 방지
      */
-    let accessToken = null;
+    let session = null;
 
     group('01_Signup', function () {
-        const signupResult = signup();
-        if (!signupResult) {
-            scenarioSuccess = false;
-            return;
-        }
-        accessToken = signupResult.accessToken;
+        session = startSession(data.accounts);
     });
 
-    if (!accessToken) {
+    if (!session) {
         scenarioFailRate.add(true);
         return;
     }
@@ -186,23 +214,15 @@ export default function () {
     // Phase 2: 프로필 및 초기 데이터 로드 + DayPlan ID 조회
     // ========================================================================
 
-    let userProfile = null;
-    let dayPlanId = null;
-
     group('02_Initial_Load', function () {
         // 프로필 조회 - 앱 실행 시 항상 호출
-        userProfile = getProfile(accessToken);
+        session.getProfile();
 
-        // 오늘 스케줄 조회 - 메인 화면 표시 + dayPlanId 추출
-        const scheduleInfo = getSchedulesByDate(accessToken);
-        console.log(`[DEBUG] VU ${__VU}: scheduleInfo = ${JSON.stringify(scheduleInfo)}`);
-        if (scheduleInfo && scheduleInfo.dayPlanId) {
-            dayPlanId = scheduleInfo.dayPlanId;
-        }
+        // 오늘 스케줄 조회 - 메인 화면 표시 + dayPlanId 캐시
+        session.getDayPlanId();
     });
 
-    if (!dayPlanId) {
-        console.warn(`VU ${__VU}: Failed to get dayPlanId (dayPlanId=${dayPlanId})`);
+    if (!session.hasDayPlan()) {
         scenarioFailRate.add(true);
         return;
     }
@@ -233,7 +253,7 @@ export default function () {
 
     group('03_Schedule_Operations', function () {
         // 3-1. 스케줄 생성
-        const scheduleData = {
+        createdSchedule = session.createSchedule({
             type: 'FLEX',
             title: `Load Test ${randomString(5)}`,
             startAt: getCurrentTime(),
@@ -241,9 +261,7 @@ export default function () {
             estimatedTimeRange: 'HOUR_1_TO_2',
             focusLevel: 3,
             isUrgent: false,
-        };
-
-        createdSchedule = createSchedule(accessToken, dayPlanId, scheduleData);
+        });
 
         if (!createdSchedule) {
             console.warn(`VU ${__VU}: Schedule creation failed`);
@@ -253,13 +271,13 @@ export default function () {
         thinkTime(1, 2);
 
         // 3-2. 스케줄 목록 조회 (생성 결과 확인)
-        getSchedules(accessToken, dayPlanId);
+        session.listSchedules();
 
         thinkTime(1, 2);
 
         // 3-3. 스케줄 상태 변경 (완료 처리)
         if (createdSchedule && createdSchedule.scheduleId) {
-            updateScheduleStatus(accessToken, createdSchedule.scheduleId, 'DONE');
+            session.completeSchedule(createdSchedule.scheduleId);
         }
     });
 
@@ -271,12 +289,12 @@ export default function () {
 
     group('04_Social_Features', function () {
         // 사용자 검색 - 친구 찾기 시뮬레이션
-        searchUsers(accessToken, 'User', 1, 10);
+        session.searchUsers('User', 1, 10);
 
         thinkTime(1, 2);
 
         // 알림 확인
-        getNotifications(accessToken);
+        session.getNotifications();
     });
 
     thinkTime(1, 2);
@@ -287,12 +305,10 @@ export default function () {
 
     group('05_Cleanup', function () {
         // 테스트로 생성한 스케줄 삭제 (DB 정리)
-        if (createdSchedule && createdSchedule.scheduleId) {
-            deleteSchedule(accessToken, createdSchedule.scheduleId);
-        }
+        session.deleteSchedules([createdSchedule]);
 
         // 로그아웃
-        logout(accessToken);
+        session.logout();
     });
 
     // ========================================================================
@@ -315,18 +331,26 @@ export function setup() {
     console.log('========================================');
     console.log('📊 Load Test Started');
     console.log('========================================');
-    console.log(`Target: ${__ENV.K6_BASE_URL || 'http://localhost:8080'}`);
-    console.log(`Max VUs: 100`);
-    console.log(`Duration: ~15 minutes`);
+    console.log(`Target: ${PROFILE.apiUrl} (profile: ${PROFILE.name})`);
+    console.log(`Load model: ${options.scenarios ? 'arrival-rate (iterations/s)' : 'ramping-vus'}`);
+    console.log(`Max VUs: ${getPeakVUs(options)}`);
+    console.log(`Duration: ~${Math.round(estimateDurationSeconds(options) / 60)} minutes`);
     console.log('');
 
+    // 운영 환경 보호 가드 (정책 위반 시 테스트 중단)
+    enforceSafetyGuard('load', options, accountGuardLoad(options, { signupsPerIteration: 1, iterationSeconds: ITERATION_SECONDS }));
+
     // 서버 헬스체크 (임시 비활성화)
     // const isHealthy = healthCheck();
     // if (!isHealthy) {
     //     throw new Error('Server health check failed');
     // }
 
+    // 재방문 사용자 모드의 계정 풀 준비 (K6_USER_MODE=returning)
+    const accounts = prepareAccountPool(accountPoolSize(options));
+
     return {
+        accounts: accounts,
         startTime: new Date().toISOString(),
         testType: 'load',
     };
@@ -5,7 +5,7 @@
  * 기존 load-test.js와의 차이점
  * ============================================================================
  *
- * 1. 계정 생성: setup 단계에서 한 번만 생성
+ * 1. 계정 생성: setup 단계에서 한 번만 생성 (로그인되는 계정은 재사용, 없는 계정만 가입)
  * 2. 반복 작업: 로그인 → 스케줄 생성/삭제만 반복
  * 3. 운영 서버 부하 최소화: 불필요한 회원가입 제거
  *
@@ -16,29 +16,27 @@
 
 import { group, sleep } from 'k6';
 import {
-    LOAD_TEST_STAGES,
-    COMMON_THRESHOLDS,
+    PROFILE,
     ENDPOINT_THRESHOLDS,
     randomString,
     getCurrentTime,
     getTimeAfterMinutes,
+    mergeThresholds,
+    SUMMARY_TREND_STATS,
 } from './config.js';
-import { createReportOutput } from './report-generator.js';
+import { createReportOutput, groupThresholds } from './report-generator.js';
 import {
-    login,
-    logout,
-    signupTestUser,
-    getSchedulesByDate,
-    createSchedule,
-    getSchedules,
-    deleteSchedule,
     healthCheck,
     thinkTime,
-    createScheduleDuration,
-    getSchedulesDuration,
     fullScenarioDuration,
     scenarioFailRate,
 } from './helpers.js';
+import { MolipSession } from './session.js';
+import { prepareAccountPool, pickAccount, accountEndpoints } from './account-pool.js';
+import { errorBreakdownThresholds } from './errors.js';
+import { baselineThresholds } from './baseline.js';
+import { sloThresholds } from './slo.js';
+import { enforceSafetyGuard } from './safety-guard.js';
 
 // ============================================================================
 // 테스트 계정 설정
@@ -46,35 +44,30 @@ import {
 
 /**
  * 테스트 계정 수
- * VU 수보다 크거나 같아야 함
+ * VU 수보다 크거나 같아야 함 (K6_ACCOUNTS 파일을 쓰면 파일의 계정 수)
  */
 const NUM_TEST_ACCOUNTS = 100;
 
-/**
- * 테스트 계정 생성 함수
- * @param {number} index - 계정 인덱스
- * @returns {object} - { email, password, nickname }
- */
-function generateTestAccount(index) {
-    return {
-        email: `loadtest_prod_${index}@test.com`,
-        password: 'Test1234!',
-        nickname: `LoadUser${index}`,
-    };
-}
-
 // ============================================================================
 // 테스트 설정
 // ============================================================================
 
+/**
+ * 이 테스트가 호출하는 엔드포인트 (에러 분석·기준 실행 비교 대상)
+ */
+const TEST_ENDPOINTS = [...accountEndpoints('returning'), 'get_schedules_by_date', 'get_schedules', 'create_schedule', 'delete_schedule', 'logout'];
+
 export const options = {
-    stages: LOAD_TEST_STAGES,
+    stages: PROFILE.stages.load,
 
     gracefulStop: '30s',
     gracefulRampDown: '30s',
 
-    thresholds: {
-        ...COMMON_THRESHOLDS,
+    // 보고서용 통계 (p(99)와 count는 기준 실행 비교에 사용)
+    summaryTrendStats: SUMMARY_TREND_STATS,
+
+    thresholds: mergeThresholds({
+        ...PROFILE.thresholds,
         ...ENDPOINT_THRESHOLDS.auth_login,
         ...ENDPOINT_THRESHOLDS.schedule_create,
         ...ENDPOINT_THRESHOLDS.schedule_list,
@@ -83,7 +76,23 @@ export const options = {
         'get_schedules_duration': ['p(95)<1000', 'p(99)<2000'],
         'full_scenario_duration': ['p(95)<8000', 'p(99)<12000'],
         'scenario_failures': ['rate<0.05'],
-    },
+
+        // 보고서 에러 분석용 서브메트릭 (항상 통과, 이 테스트가 호출하는 엔드포인트만)
+        ...errorBreakdownThresholds(TEST_ENDPOINTS),
+
+        // 보고서 SLO·에러 예산 섹션용 서브메트릭 (항상 통과)
+        ...sloThresholds(),
+
+        // 보고서 그룹 계층용 그룹 소요 시간 (항상 통과)
+        ...groupThresholds([
+            '01_Login',
+            '02_Get_DayPlan',
+            '03_Schedule_Create',
+            '04_Schedule_List',
+            '05_Schedule_Delete',
+            '06_Logout',
+        ]),
+    }, baselineThresholds('load-test2', TEST_ENDPOINTS)), // 기준 실행 대비 회귀 감지 (K6_BASELINE 설정 시)
 };
 
 // ============================================================================
@@ -94,6 +103,12 @@ export function setup() {
     console.log('========================================');
     console.log('Load Test 2 - Production Server');
     console.log('========================================');
+    console.log(`Target: ${PROFILE.apiUrl} (profile: ${PROFILE.name})`);
+    console.log('');
+
+    // 운영 환경 보호 가드 (정책 위반 시 테스트 중단)
+    enforceSafetyGuard('load', options, { setupSignups: NUM_TEST_ACCOUNTS });
+
     console.log('Phase 1: Health Check');
 
     // 서버 헬스체크
@@ -104,30 +119,11 @@ export function setup() {
 
     console.log('Health check passed');
     console.log('');
-    console.log('Phase 2: Creating test accounts...');
-
-    // 테스트 계정 생성
-    const accounts = [];
-    let successCount = 0;
-    let existingCount = 0;
+    console.log('Phase 2: Preparing test accounts...');
 
-    for (let i = 0; i < NUM_TEST_ACCOUNTS; i++) {
-        const account = generateTestAccount(i);
-        const created = signupTestUser(account.email, account.password, account.nickname);
-
-        if (created) {
-            successCount++;
-        }
-        accounts.push(account);
-
-        // Rate limiting 방지
-        if (i % 10 === 9) {
-            sleep(1);
-        }
-    }
+    // 테스트 계정 준비 (K6_ACCOUNTS 파일이 있으면 파일 계정 사용)
+    const accounts = prepareAccountPool(NUM_TEST_ACCOUNTS, 'returning');
 
-    console.log('');
-    console.log(`Account creation complete: ${successCount}/${NUM_TEST_ACCOUNTS}`);
     console.log('');
     console.log('Phase 3: Starting load test...');
     console.log('========================================');
@@ -158,27 +154,23 @@ export default function (data) {
     const scenarioStart = new Date();
     let scenarioSuccess = true;
 
-    // VU에 해당하는 계정 선택
-    const accountIndex = (__VU - 1) % data.accounts.length;
-    const account = data.accounts[accountIndex];
+    // VU에 배정된 계정 선택 (실행 구간·VU별로 분할)
+    const account = pickAccount(data.accounts);
 
     // ========================================================================
     // Phase 1: 로그인
     // ========================================================================
 
-    let accessToken = null;
+    let session = null;
 
     group('01_Login', function () {
-        const loginResult = login(account.email, account.password);
-        if (!loginResult) {
+        session = MolipSession.login(account.email, account.password);
+        if (!session) {
             console.warn(`VU ${__VU}: Login failed for ${account.email}`);
-            scenarioSuccess = false;
-            return;
         }
-        accessToken = loginResult.accessToken;
     });
 
-    if (!accessToken) {
+    if (!session) {
         scenarioFailRate.add(true);
         return;
     }
@@ -189,19 +181,13 @@ export default function (data) {
     // Phase 2: DayPlan ID 조회
     // ========================================================================
 
-    let dayPlanId = null;
-
     group('02_Get_DayPlan', function () {
-        const scheduleInfo = getSchedulesByDate(accessToken);
-        if (scheduleInfo && scheduleInfo.dayPlanId) {
-            dayPlanId = scheduleInfo.dayPlanId;
-        }
+        session.getDayPlanId();
     });
 
-    if (!dayPlanId) {
-        console.warn(`VU ${__VU}: Failed to get dayPlanId`);
+    if (!session.hasDayPlan()) {
         scenarioFailRate.add(true);
-        logout(accessToken);
+        session.logout();
         return;
     }
 
@@ -214,7 +200,7 @@ export default function (data) {
     let createdSchedule = null;
 
     group('03_Schedule_Create', function () {
-        const scheduleData = {
+        createdSchedule = session.createSchedule({
             type: 'FLEX',
             title: `Prod Test ${randomString(5)}`,
             startAt: getCurrentTime(),
@@ -222,9 +208,7 @@ export default function (data) {
             estimatedTimeRange: 'HOUR_1_TO_2',
             focusLevel: Math.floor(Math.random() * 5) + 1,
             isUrgent: false,
-        };
-
-        createdSchedule = createSchedule(accessToken, dayPlanId, scheduleData);
+        });
 
         if (!createdSchedule) {
             console.warn(`VU ${__VU}: Schedule creation failed`);
@@ -239,7 +223,7 @@ export default function (data) {
     // ========================================================================
 
     group('04_Schedule_List', function () {
-        getSchedules(accessToken, dayPlanId);
+        session.listSchedules();
     });
 
     thinkTime(0.5, 1);
@@ -249,9 +233,7 @@ export default function (data) {
     // ========================================================================
 
     group('05_Schedule_Delete', function () {
-        if (createdSchedule && createdSchedule.scheduleId) {
-            deleteSchedule(accessToken, createdSchedule.scheduleId);
-        }
+        session.deleteSchedules([createdSchedule]);
     });
 
     thinkTime(0.3, 0.5);
@@ -261,7 +243,7 @@ export default function (data) {
     // ========================================================================
 
     group('06_Logout', function () {
-        logout(accessToken);
+        session.logout();
     });
 
     // ========================================================================
@@ -288,7 +270,7 @@ export function teardown(data) {
     console.log(`Test Type: ${data.testType}`);
     console.log(`Started: ${data.startTime}`);
     console.log(`Finished: ${new Date().toISOString()}`);
-    console.log(`Accounts Used: ${data.accounts.length}`);
+    console.log(`Accounts Used: ${data.accounts ? data.accounts.length : 'K6_ACCOUNTS file'}`);
     console.log('');
     console.log('Key Metrics:');
     console.log('- login_duration: Authentication performance');
@@ -5,10 +5,21 @@
  * HTML + JSON 보고서 자동 생성
  */
 
+import exec from 'k6/execution';
+import { ENDPOINTS, findEndpoint, metricLabel, parseMetricName, hasSamples } from './endpoints.js';
+import { textSummary, isPlaceholderThreshold } from './text-summary.js';
+import { renderBaselineSection, extractRunStats, runIdentity } from './baseline.js';
+import { renderSloSection } from './slo.js';
+import { PROFILE } from './config.js';
+
 /**
  * HTML 보고서 생성
+ *
+ * @param {object} data - handleSummary의 data
+ * @param {string} testName - 테스트 이름
+ * @param {array} sections - 테스트별 추가 섹션 [{ title, html }]
  */
-export function generateHtmlReport(data, testName) {
+export function generateHtmlReport(data, testName, sections = []) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
     const metrics = data.metrics;
 
@@ -18,6 +29,9 @@ export function generateHtmlReport(data, testName) {
     const httpReqs = metrics.http_reqs || {};
     const iterations = metrics.iterations || {};
     const vus = metrics.vus || {};
+    // 도착률 실행기에서 VU가 모자라 시작하지 못한 반복 (VU 기반 실행기에서는 항상 0)
+    const droppedIterations = metrics.dropped_iterations || {};
+    const droppedRatio = droppedRatioOf(metrics);
 
     // HTTP 상세 메트릭
     const httpReqBlocked = metrics.http_req_blocked || {};
@@ -27,39 +41,14 @@ export function generateHtmlReport(data, testName) {
     const httpReqWaiting = metrics.http_req_waiting || {};
     const httpReqReceiving = metrics.http_req_receiving || {};
 
-    // 커스텀 Duration 메트릭 추출
-    const customDurationMetrics = {};
-    const durationMetricNames = [
-        'signup_duration',
-        'login_duration',
-        'create_schedule_duration',
-        'get_schedules_duration',
-        'get_profile_duration',
-        'search_users_duration',
-        'delete_schedule_duration',
-        'full_scenario_duration',
-        'group_duration',
-        'iteration_duration'
-    ];
+    // 모든 Trend 메트릭 (서브메트릭 포함) - 엔드포인트별 그룹
+    const trendGroups = collectTrendGroups(metrics);
 
-    durationMetricNames.forEach(name => {
-        if (metrics[name]) {
-            customDurationMetrics[name] = metrics[name];
-        }
-    });
+    // 임계값 결과 (k6는 data.metrics[메트릭].thresholds에 결과를 넣음)
+    const thresholdResults = collectThresholdResults(metrics);
 
-    // 임계값 결과
-    const thresholds = data.thresholds || {};
-    const thresholdResults = Object.entries(thresholds).map(([name, result]) => ({
-        name,
-        passed: result.ok,
-    }));
-
-    const passedThresholds = thresholdResults.filter(t => t.passed).length;
-    const failedThresholds = thresholdResults.filter(t => !t.passed).length;
-
-    // 체크 결과 - 모든 그룹에서 수집
-    const allChecks = collectAllChecks(data.root_group);
+    const passedThresholds = thresholdResults.filter(t => t.ok).length;
+    const failedThresholds = thresholdResults.filter(t => !t.ok).length;
 
     // 시나리오 실패율
     const scenarioFailures = metrics.scenario_failures || {};
@@ -157,6 +146,12 @@ export function generateHtmlReport(data, testName) {
         .danger-text { color: #ef4444; font-weight: bold; }
 
         details summary:hover { background: #e9ecef; }
+
+        .group-tree details { border-left: 3px solid #e5e7eb; margin: 10px 0 10px 0; padding-left: 15px; }
+        .group-tree details.has-failure { border-left-color: #ef4444; }
+        .group-tree summary { cursor: pointer; padding: 8px 10px; background: #f8f9fa; border-radius: 5px; }
+        .group-tree summary .group-stats { color: #666; font-size: 0.85em; margin-left: 10px; }
+        .group-tree table { margin: 10px 0; }
         pre { white-space: pre-wrap; word-wrap: break-word; }
 
         .footer {
@@ -204,6 +199,10 @@ export function generateHtmlReport(data, testName) {
                 <h3>최대 VUs</h3>
                 <div class="value">${vus.values?.max || 0}</div>
             </div>
+            <div class="card ${getStatusClass(droppedRatio, 0, 0.01)}">
+                <h3>누락된 반복 (Dropped)</h3>
+                <div class="value">${formatNumber(droppedIterations.values?.count || 0)}<span class="unit"> (${(droppedRatio * 100).toFixed(2)}%)</span></div>
+            </div>
         </div>
 
         <div class="section">
@@ -262,22 +261,7 @@ export function generateHtmlReport(data, testName) {
                 <span class="status-badge status-pass">통과: ${passedThresholds}</span>
                 <span class="status-badge status-fail" style="margin-left: 10px;">실패: ${failedThresholds}</span>
             </div>
-            <table>
-                <thead>
-                    <tr>
-                        <th>임계값</th>
-                        <th>결과</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${thresholdResults.map(t => `
-                    <tr>
-                        <td>${t.name}</td>
-                        <td><span class="status-badge ${t.passed ? 'status-pass' : 'status-fail'}">${t.passed ? 'PASS' : 'FAIL'}</span></td>
-                    </tr>
-                    `).join('')}
-                </tbody>
-            </table>
+            ${renderThresholdTable(thresholdResults)}
         </div>
 
         <div class="section">
@@ -297,29 +281,42 @@ export function generateHtmlReport(data, testName) {
 
         <div class="section">
             <h2>🔍 API별 응답시간 상세</h2>
+            <p style="color: #666; margin-bottom: 15px;">요약에 포함된 모든 Trend 메트릭 (P95가 엔드포인트 SLO를 넘으면 강조)</p>
             <table>
                 <thead>
                     <tr>
-                        <th>API</th>
+                        <th>메트릭</th>
                         <th>Avg</th>
                         <th>Med</th>
                         <th>Min</th>
                         <th>Max</th>
                         <th>P90</th>
                         <th>P95</th>
+                        <th>P99</th>
                     </tr>
                 </thead>
                 <tbody>
-                    ${Object.entries(customDurationMetrics).map(([name, metric]) => `
+                    ${trendGroups.map(group => `
+                    <tr style="background: #f0f4ff;">
+                        <td colspan="8"><strong>${group.label}</strong></td>
+                    </tr>
+                    ${group.rows.map(row => {
+                        const values = row.metric.values || {};
+                        const format = row.metric.contains === 'time' ? formatMs : formatValue;
+                        const slow = group.endpoint?.slo && row.metric.contains === 'time' && values['p(95)'] > group.endpoint.slo.p95;
+                        return `
                     <tr>
-                        <td><strong>${formatMetricName(name)}</strong></td>
-                        <td>${formatMs(metric.values?.avg)}</td>
-                        <td>${formatMs(metric.values?.med)}</td>
-                        <td>${formatMs(metric.values?.min)}</td>
-                        <td class="${metric.values?.max > 1000 ? 'warning-text' : ''}">${formatMs(metric.values?.max)}</td>
-                        <td>${formatMs(metric.values?.['p(90)'])}</td>
-                        <td class="${metric.values?.['p(95)'] > 500 ? 'warning-text' : ''}">${formatMs(metric.values?.['p(95)'])}</td>
+                        <td>${row.label} <span style="color: #888; font-size: 0.85em;">${row.name}</span></td>
+                        <td>${format(values.avg)}</td>
+                        <td>${format(values.med)}</td>
+                        <td>${format(values.min)}</td>
+                        <td>${format(values.max)}</td>
+                        <td>${format(values['p(90)'])}</td>
+                        <td class="${slow ? 'warning-text' : ''}">${format(values['p(95)'])}</td>
+                        <td>${format(values['p(99)'])}</td>
                     </tr>
+                        `;
+                    }).join('')}
                     `).join('')}
                 </tbody>
             </table>
@@ -401,34 +398,21 @@ export function generateHtmlReport(data, testName) {
         </div>
 
         <div class="section">
-            <h2>✔️ 체크 결과 상세</h2>
-            <table>
-                <thead>
-                    <tr>
-                        <th>체크 항목</th>
-                        <th>통과</th>
-                        <th>실패</th>
-                        <th>성공률</th>
-                        <th>상태</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${allChecks.map(check => {
-                        const total = check.passes + check.fails;
-                        const rate = total > 0 ? (check.passes / total * 100) : 0;
-                        return `
-                    <tr>
-                        <td>${check.name}</td>
-                        <td style="color: #10b981;">${check.passes}</td>
-                        <td style="color: ${check.fails > 0 ? '#ef4444' : '#888'};">${check.fails}</td>
-                        <td>${rate.toFixed(2)}%</td>
-                        <td><span class="status-badge ${check.fails === 0 ? 'status-pass' : 'status-fail'}">${check.fails === 0 ? 'PASS' : 'FAIL'}</span></td>
-                    </tr>
-                        `;
-                    }).join('')}
-                </tbody>
-            </table>
+            <h2>✔️ 체크 결과 상세 (그룹별)</h2>
+            ${renderGroupTree(data.root_group, metrics)}
+        </div>
+
+        <div class="section">
+            <h2>🚨 에러 분석</h2>
+            ${renderErrorBreakdown(metrics)}
+        </div>
+
+        ${sections.map(section => `
+        <div class="section">
+            <h2>${section.title}</h2>
+            ${section.html}
         </div>
+        `).join('')}
 
         <div class="section">
             <h2>📋 전체 메트릭 (Raw Data)</h2>
@@ -455,6 +439,18 @@ function getStatusClass(value, warningThreshold, dangerThreshold) {
     return 'success';
 }
 
+/**
+ * 누락된 반복 비율 (누락 / (실행 + 누락))
+ *
+ * 도착률 실행기에서 서버가 느려져 VU가 모두 사용 중이면 시작하지 못한 반복이 dropped_iterations로 기록됨
+ * → 닫힌 모델에서는 요청률 감소로 가려지는 "받지 못한 사용자"
+ */
+function droppedRatioOf(metrics) {
+    const dropped = (metrics.dropped_iterations && metrics.dropped_iterations.values.count) || 0;
+    const started = (metrics.iterations && metrics.iterations.values.count) || 0;
+    return dropped + started > 0 ? dropped / (dropped + started) : 0;
+}
+
 function formatNumber(num) {
     return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
 }
@@ -471,30 +467,306 @@ function formatMs(value) {
     return `${(value / 1000).toFixed(2)}s`;
 }
 
-function formatMetricName(name) {
-    const nameMap = {
-        'signup_duration': '회원가입',
-        'login_duration': '로그인',
-        'create_schedule_duration': '스케줄 생성',
-        'get_schedules_duration': '스케줄 조회',
-        'get_profile_duration': '프로필 조회',
-        'search_users_duration': '사용자 검색',
-        'delete_schedule_duration': '스케줄 삭제',
-        'full_scenario_duration': '전체 시나리오',
-        'group_duration': '그룹',
-        'iteration_duration': '반복'
-    };
-    return nameMap[name] || name;
+function formatValue(value) {
+    if (value === undefined || value === null) return 'N/A';
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * 요약 데이터의 모든 Trend 메트릭을 엔드포인트별로 묶음
+ *
+ * - 서브메트릭은 name 태그로, 커스텀 메트릭(login_duration 등)은 카탈로그의 metric으로 엔드포인트를 찾음
+ * - 엔드포인트와 무관한 메트릭(http_req_duration, iteration_duration 등)은 '공통' 그룹
+ * - 샘플이 없는 메트릭(보고서용 임계값만 등록된 서브메트릭)과 group_duration은 제외
+ * - 그룹 순서: 공통 → 카탈로그 순서 → 카탈로그에 없는 name 태그
+ *
+ * @param {object} metrics - handleSummary data.metrics
+ * @returns {array} - [{ key, label, endpoint, rows: [{ name, label, metric }] }]
+ */
+export function collectTrendGroups(metrics) {
+    const groups = {};
+
+    Object.entries(metrics)
+        .filter(([, metric]) => metric.type === 'trend' && hasSamples(metric))
+        // 그룹 소요 시간은 그룹 계층 섹션에서 그룹별로 표시
+        .filter(([name]) => parseMetricName(name).metric !== 'group_duration')
+        .forEach(([name, metric]) => {
+            const parsed = parseMetricName(name);
+            const endpoint = parsed.tags.name ? findEndpoint(parsed.tags.name) : findEndpoint(parsed.metric);
+            const key = endpoint ? endpoint.tag : (parsed.tags.name || '');
+
+            if (!groups[key]) {
+                groups[key] = {
+                    key: key,
+                    label: key ? metricLabel(key) : '공통',
+                    endpoint: endpoint,
+                    rows: [],
+                };
+            }
+
+            const otherTags = Object.entries(parsed.tags)
+                .filter(([tag]) => tag !== 'name')
+                .map(([tag, value]) => `${tag}:${value}`);
+
+            groups[key].rows.push({
+                name: name,
+                label: metricLabel(parsed.metric) + (otherTags.length > 0 ? ` {${otherTags.join(', ')}}` : ''),
+                metric: metric,
+            });
+        });
+
+    return Object.values(groups)
+        .sort((a, b) => endpointRank(a.key) - endpointRank(b.key) || a.key.localeCompare(b.key))
+        .map(group => ({
+            ...group,
+            rows: group.rows.sort((a, b) => a.name.length - b.name.length || a.name.localeCompare(b.name)),
+        }));
+}
+
+/**
+ * 엔드포인트 그룹 순서: 공통('') → 카탈로그 순서 → 카탈로그에 없는 name 태그
+ */
+function endpointRank(key) {
+    if (key === '') return -1;
+    const index = Object.values(ENDPOINTS).findIndex(endpoint => endpoint.tag === key);
+    return index === -1 ? Object.keys(ENDPOINTS).length : index;
+}
+
+/**
+ * 에러 분석 섹션 (errors.js의 api_errors 서브메트릭 기반)
+ *
+ * errorBreakdownThresholds()로 등록된 서브메트릭만 요약에 포함되므로 태그별로 있는 것만 표시
+ */
+const ERROR_BREAKDOWN_GROUPS = [
+    { tag: 'error_kind', title: '분류별', label: (value) => ERROR_KIND_LABELS[value] || value },
+    { tag: 'name', title: '엔드포인트별', label: (value) => metricLabel(value) },
+    { tag: 'status', title: 'HTTP 상태 코드별', label: (value) => value },
+    { tag: 'error_code', title: '에러 코드별', label: (value) => value },
+];
+
+const ERROR_KIND_LABELS = {
+    transport: '전송 실패 (타임아웃, 연결 끊김, DNS 등)',
+    client: '클라이언트 에러 (4xx)',
+    server: '서버 에러 (5xx)',
+    unexpected: '예상하지 못한 응답 코드',
+};
+
+function renderErrorBreakdown(metrics) {
+    const total = metrics.api_errors?.values?.count || 0;
+    if (total === 0) {
+        return '<p style="color: #10b981;">기록된 API 에러가 없습니다.</p>';
+    }
+
+    const tables = ERROR_BREAKDOWN_GROUPS.map(group => {
+        const rows = Object.entries(metrics)
+            .filter(([, metric]) => (metric.values?.count || 0) > 0)
+            .map(([name, metric]) => ({ ...parseMetricName(name), count: metric.values.count }))
+            .filter(entry => entry.metric === 'api_errors' && Object.keys(entry.tags).length === 1 && entry.tags[group.tag] !== undefined)
+            .map(entry => ({ value: entry.tags[group.tag], count: entry.count }))
+            .sort((a, b) => b.count - a.count);
+
+        if (rows.length === 0) {
+            return '';
+        }
+
+        return `
+            <h3 style="margin: 20px 0 10px;">${group.title}</h3>
+            <table>
+                <thead><tr><th>항목</th><th>에러 수</th><th>비율</th></tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                    <tr>
+                        <td>${group.label(row.value)}</td>
+                        <td class="danger-text">${formatNumber(row.count)}</td>
+                        <td>${(row.count / total * 100).toFixed(2)}%</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+    }).join('');
+
+    return `
+            <p style="margin-bottom: 10px;">총 에러 수: <span class="danger-text">${formatNumber(total)}</span></p>
+            ${tables}
+            ${renderEndpointErrorDetail(metrics)}`;
+}
+
+/**
+ * 엔드포인트별 상세 표의 열 (엔드포인트와 함께 붙은 두 번째 태그)
+ */
+const ENDPOINT_ERROR_COLUMNS = [
+    { tag: 'error_kind', title: '분류' },
+    { tag: 'status', title: 'HTTP 상태 코드' },
+    { tag: 'error_code', title: '에러 코드' },
+];
+
+/**
+ * 엔드포인트별 에러 상세 표 (api_errors{name:...,error_kind|status|error_code:...} 서브메트릭)
+ *
+ * errorBreakdownThresholds()에 넘긴 엔드포인트만 요약에 있으므로 그 엔드포인트만 표시
+ */
+function renderEndpointErrorDetail(metrics) {
+    const byEndpoint = {};
+    Object.entries(metrics)
+        .filter(([, metric]) => (metric.values?.count || 0) > 0)
+        .map(([name, metric]) => ({ ...parseMetricName(name), count: metric.values.count }))
+        .filter(entry => entry.metric === 'api_errors' && entry.tags.name && Object.keys(entry.tags).length === 2)
+        .forEach(entry => {
+            const column = ENDPOINT_ERROR_COLUMNS.find(candidate => entry.tags[candidate.tag] !== undefined);
+            if (!column) {
+                return;
+            }
+            const row = byEndpoint[entry.tags.name] || (byEndpoint[entry.tags.name] = {});
+            (row[column.tag] = row[column.tag] || []).push({ value: entry.tags[column.tag], count: entry.count });
+        });
+
+    const endpoints = Object.keys(byEndpoint).sort((a, b) => endpointRank(a) - endpointRank(b));
+    if (endpoints.length === 0) {
+        return '';
+    }
+
+    const cell = (items) => (items || [])
+        .sort((a, b) => b.count - a.count)
+        .map(item => `${item.value} <span class="danger-text">${formatNumber(item.count)}</span>`)
+        .join(', ') || '-';
+
+    return `
+            <h3 style="margin: 20px 0 10px;">엔드포인트별 상세</h3>
+            <table>
+                <thead><tr><th>엔드포인트</th><th>에러 수</th>${ENDPOINT_ERROR_COLUMNS.map(column => `<th>${column.title}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${endpoints.map(endpoint => `
+                    <tr>
+                        <td>${metricLabel(endpoint)}</td>
+                        <td class="danger-text">${formatNumber(metrics[`api_errors{name:${endpoint}}`]?.values?.count || 0)}</td>
+                        ${ENDPOINT_ERROR_COLUMNS.map(column => `<td>${cell(byEndpoint[endpoint][column.tag])}</td>`).join('')}
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+}
+
+// ============================================================================
+// 그룹 계층
+// ============================================================================
+
+/**
+ * 그룹별 group_duration 서브메트릭을 요약에 포함시키기 위한 임계값 (항상 통과)
+ *
+ * k6는 group_duration에 group 태그(::부모::자식)를 붙이지만
+ * 임계값이 걸린 서브메트릭만 요약에 포함하므로 그룹 이름을 미리 등록해야 함
+ *
+ * @param {array} groupNames - group() 이름 (중첩 그룹은 'parent::child')
+ * @returns {object} - { 'group_duration{group:::01_Signup}': ['p(95)>=0'], ... }
+ */
+export function groupThresholds(groupNames) {
+    const thresholds = {};
+    groupNames.forEach(name => {
+        thresholds[`group_duration{group:::${name}}`] = ['p(95)>=0'];
+    });
+    return thresholds;
+}
+
+/**
+ * 그룹 계층을 접을 수 있는 중첩 섹션으로 표시
+ *
+ * - 각 그룹: 하위 포함 체크 통과율, group_duration P50/P95/P99, 그룹 자신의 체크 표
+ * - 실패한 체크가 있는 그룹은 펼친 상태로 표시 (어느 단계가 먼저 나빠지는지 바로 보이도록)
+ * - 그룹 밖의 체크는 맨 위에 표로 표시
+ */
+function renderGroupTree(rootGroup, metrics) {
+    if (!rootGroup) {
+        return '<p style="color: #888;">체크 결과 없음</p>';
+    }
+
+    const rootChecks = rootGroup.checks || [];
+    const children = (rootGroup.groups || []).map(group => renderGroupNode(group, metrics, '')).join('');
+
+    return `
+            <div class="group-tree">
+                ${rootChecks.length > 0 ? renderCheckTable(rootChecks) : ''}
+                ${children}
+            </div>`;
+}
+
+function renderGroupNode(group, metrics, parentPath) {
+    const groupPath = group.path || `${parentPath}::${group.name}`;
+    const subtreeChecks = collectAllChecks(group);
+    const passes = subtreeChecks.reduce((sum, check) => sum + check.passes, 0);
+    const fails = subtreeChecks.reduce((sum, check) => sum + check.fails, 0);
+    const hasFailure = fails > 0;
+
+    const duration = metrics[`group_duration{group:${groupPath}}`];
+    const durationValues = duration && hasSamples(duration) ? duration.values : null;
+
+    const stats = [
+        subtreeChecks.length > 0
+            ? `<span class="status-badge ${hasFailure ? 'status-fail' : 'status-pass'}">체크 ${((passes / Math.max(passes + fails, 1)) * 100).toFixed(2)}%</span>`
+            : '',
+        durationValues
+            ? `P50 ${formatMs(durationValues.med)} · P95 ${formatMs(durationValues['p(95)'])} · P99 ${formatMs(durationValues['p(99)'])}`
+            : '',
+    ].filter(Boolean).join(' ');
+
+    const ownChecks = group.checks || [];
+    const children = (group.groups || []).map(child => renderGroupNode(child, metrics, groupPath)).join('');
+
+    return `
+                <details class="${hasFailure ? 'has-failure' : ''}"${hasFailure ? ' open' : ''}>
+                    <summary><strong>${group.name}</strong><span class="group-stats">${stats}</span></summary>
+                    ${ownChecks.length > 0 ? renderCheckTable(ownChecks) : ''}
+                    ${children}
+                </details>`;
+}
+
+function renderCheckTable(checks) {
+    return `
+            <table>
+                <thead>
+                    <tr>
+                        <th>체크 항목</th>
+                        <th>통과</th>
+                        <th>실패</th>
+                        <th>성공률</th>
+                        <th>상태</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${checks.map(check => {
+                        const passes = check.passes || 0;
+                        const fails = check.fails || 0;
+                        const total = passes + fails;
+                        const rate = total > 0 ? (passes / total * 100) : 0;
+                        return `
+                    <tr>
+                        <td>${check.name}</td>
+                        <td style="color: #10b981;">${passes}</td>
+                        <td style="color: ${fails > 0 ? '#ef4444' : '#888'};">${fails}</td>
+                        <td>${rate.toFixed(2)}%</td>
+                        <td><span class="status-badge ${fails === 0 ? 'status-pass' : 'status-fail'}">${fails === 0 ? 'PASS' : 'FAIL'}</span></td>
+                    </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>`;
 }
 
-function collectAllChecks(group, checks = []) {
+/**
+ * 모든 그룹의 체크 수집
+ *
+ * group: 체크가 속한 그룹 경로 (루트는 빈 문자열, 하위 그룹은 "부모 / 자식")
+ */
+function collectAllChecks(group, checks = [], parentPath = '') {
     if (!group) return checks;
 
+    const groupPath = group.name ? (parentPath ? `${parentPath} / ${group.name}` : group.name) : parentPath;
+
     // 현재 그룹의 체크 수집
     if (group.checks) {
         group.checks.forEach(check => {
             checks.push({
                 name: check.name,
+                group: groupPath,
                 passes: check.passes || 0,
                 fails: check.fails || 0
             });
@@ -504,26 +776,398 @@ function collectAllChecks(group, checks = []) {
     // 하위 그룹 순회
     if (group.groups) {
         group.groups.forEach(subGroup => {
-            collectAllChecks(subGroup, checks);
+            collectAllChecks(subGroup, checks, groupPath);
         });
     }
 
     return checks;
 }
 
+/**
+ * 모든 임계값의 결과 수집 (보고서용 항상 통과 임계값 제외)
+ *
+ * k6는 임계값 결과를 data.metrics[메트릭].thresholds에 { 표현식: { ok } } 형태로 넣음
+ * 표현식의 집계 이름(p(95), rate, count 등)으로 실제 값을 찾고, 비교 기준값까지의 여유를 계산
+ * abortOnFail은 요약 데이터에 없으므로 실행 옵션(exec.test.options.thresholds)에서 찾음
+ *
+ * @param {object} metrics - handleSummary data.metrics
+ * @returns {array} - [{ metric, expression, aggregation, operator, limit, observed, margin, contains, abortOnFail, ok }]
+ */
+function collectThresholdResults(metrics) {
+    const configured = configuredThresholds();
+    const results = [];
+
+    Object.keys(metrics).sort().forEach(name => {
+        Object.entries(metrics[name].thresholds || {})
+            .filter(([expression]) => !isPlaceholderThreshold(expression))
+            .forEach(([expression, result]) => {
+                const match = expression.match(/^\s*([a-z]+(?:\([\d.]+\))?)\s*([<>!=]=*)\s*(-?[\d.]+)?/);
+                const aggregation = match ? match[1] : null;
+                const operator = match ? match[2] : null;
+                const limit = match && match[3] !== undefined ? Number(match[3]) : null;
+                const values = metrics[name].values || {};
+                const observed = aggregation && values[aggregation] !== undefined ? values[aggregation] : null;
+                const definition = (configured[name] || []).find(item => thresholdExpression(item) === expression);
+
+                results.push({
+                    metric: name,
+                    expression: expression,
+                    aggregation: aggregation,
+                    operator: operator,
+                    limit: limit,
+                    observed: observed,
+                    margin: thresholdMargin(operator, limit, observed),
+                    contains: metrics[name].contains,
+                    abortOnFail: Boolean(definition && typeof definition === 'object' && definition.abortOnFail),
+                    ok: result.ok,
+                });
+            });
+    });
+
+    return results;
+}
+
+/**
+ * 실행 옵션의 임계값 정의 ({ 메트릭: [표현식 또는 { threshold, abortOnFail }] })
+ */
+function configuredThresholds() {
+    return exec.test.options.thresholds || {};
+}
+
+function thresholdExpression(definition) {
+    return typeof definition === 'object' ? definition.threshold : definition;
+}
+
+/**
+ * 비교 기준값까지의 여유 (양수: 여유 있음, 음수: 기준 초과)
+ *
+ * 예: p(95)<500, 실제 420 → +80 / rate>0.95, 실제 0.97 → +0.02
+ */
+function thresholdMargin(operator, limit, observed) {
+    if (operator === null || limit === null || observed === null) {
+        return null;
+    }
+    if (operator.startsWith('<')) {
+        return limit - observed;
+    }
+    if (operator.startsWith('>')) {
+        return observed - limit;
+    }
+    return null;
+}
+
+/**
+ * 임계값 결과를 엔드포인트별로 묶음 (그룹 기준과 순서는 collectTrendGroups와 동일)
+ *
+ * @param {array} results - collectThresholdResults 결과
+ * @returns {array} - [{ key, label, results: [{ ...result, label }] }]
+ */
+function groupThresholdResults(results) {
+    const groups = {};
+
+    results.forEach(result => {
+        const parsed = parseMetricName(result.metric);
+        const endpoint = parsed.tags.name ? findEndpoint(parsed.tags.name) : findEndpoint(parsed.metric);
+        const key = endpoint ? endpoint.tag : (parsed.tags.name || '');
+
+        if (!groups[key]) {
+            groups[key] = { key: key, label: key ? metricLabel(key) : '공통', results: [] };
+        }
+
+        const otherTags = Object.entries(parsed.tags)
+            .filter(([tag]) => tag !== 'name')
+            .map(([tag, value]) => `${tag}:${value}`);
+
+        groups[key].results.push({
+            ...result,
+            label: metricLabel(parsed.metric) + (otherTags.length > 0 ? ` {${otherTags.join(', ')}}` : ''),
+        });
+    });
+
+    return Object.values(groups).sort((a, b) => endpointRank(a.key) - endpointRank(b.key) || a.key.localeCompare(b.key));
+}
+
+/**
+ * 임계값 표 (엔드포인트별)
+ */
+function renderThresholdTable(results) {
+    if (results.length === 0) {
+        return '<p style="color: #888;">등록된 임계값 없음</p>';
+    }
+
+    return groupThresholdResults(results).map(group => `
+            <h3 style="margin: 20px 0 10px;">${group.label}${group.key ? ` <code style="font-size: 0.8em; color: #888;">${group.key}</code>` : ''}</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>메트릭</th>
+                        <th>임계값</th>
+                        <th>실제 값</th>
+                        <th>여유</th>
+                        <th>abortOnFail</th>
+                        <th>결과</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${group.results.map(result => `
+                    <tr>
+                        <td>${result.label}<br><code style="font-size: 0.8em; color: #888;">${result.metric}</code></td>
+                        <td><code>${result.expression}</code></td>
+                        <td>${result.aggregation || ''} = ${formatThresholdValue(result, result.observed)}</td>
+                        <td class="${result.margin !== null && result.margin < 0 ? 'danger-text' : ''}">${formatThresholdMargin(result)}</td>
+                        <td>${result.abortOnFail ? (result.ok ? '설정됨' : '<span class="danger-text">🛑 발동 (테스트 중단)</span>') : '-'}</td>
+                        <td><span class="status-badge ${result.ok ? 'status-pass' : 'status-fail'}">${result.ok ? 'PASS' : 'FAIL'}</span></td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`).join('');
+}
+
+/**
+ * 임계값 값 표시 (시간: ms/s, rate: %, 그 외: 숫자)
+ */
+function formatThresholdValue(result, value) {
+    if (value === null) return 'N/A';
+    if (result.contains === 'time') return formatMs(value);
+    if (result.aggregation === 'rate') return formatPercent(value);
+    return formatValue(value);
+}
+
+function formatThresholdMargin(result) {
+    if (result.margin === null) return 'N/A';
+    const sign = result.margin >= 0 ? '+' : '-';
+    const amount = result.aggregation === 'rate'
+        ? `${(Math.abs(result.margin) * 100).toFixed(2)}%p`
+        : formatThresholdValue(result, Math.abs(result.margin));
+    const ratio = result.limit ? ` (${sign}${(Math.abs(result.margin / result.limit) * 100).toFixed(1)}%)` : '';
+    return `${sign}${amount}${ratio}`;
+}
+
+// ============================================================================
+// JUnit XML
+// ============================================================================
+
+/**
+ * JUnit XML 보고서 생성
+ *
+ * CI가 테스트 결과 파일로 읽을 수 있도록 임계값과 체크를 testcase로 변환
+ * - 임계값: "<테스트>.thresholds" testsuite, 실패 시 표현식과 실제 값 기록
+ * - 체크: 그룹별 testsuite (그룹 밖의 체크는 "<테스트>" testsuite), 실패 시 실패 횟수와 통과율 기록
+ *
+ * @param {object} data - handleSummary의 data
+ * @param {string} testName - 테스트 이름
+ * @returns {string} - JUnit XML
+ */
+export function generateJUnitReport(data, testName) {
+    const suites = [];
+
+    suites.push({
+        name: `${testName}.thresholds`,
+        cases: collectThresholdResults(data.metrics || {}).map(result => ({
+            classname: result.metric,
+            name: result.expression,
+            failure: result.ok ? null : {
+                type: 'threshold',
+                message: `${result.aggregation || result.metric}=${formatValue(result.observed)} (threshold ${result.expression})`,
+            },
+        })),
+    });
+
+    const checks = collectAllChecks(data.root_group);
+    const groupPaths = checks
+        .map(check => check.group)
+        .filter((groupPath, index, all) => all.indexOf(groupPath) === index);
+
+    groupPaths.forEach(groupPath => {
+        const suiteName = groupPath ? `${testName}.${groupPath}` : testName;
+        suites.push({
+            name: suiteName,
+            cases: checks.filter(check => check.group === groupPath).map(check => {
+                const total = check.passes + check.fails;
+                return {
+                    classname: suiteName,
+                    name: check.name,
+                    failure: check.fails === 0 ? null : {
+                        type: 'check',
+                        message: `${check.fails} of ${total} failed (${((check.passes / total) * 100).toFixed(2)}% passed)`,
+                    },
+                };
+            }),
+        });
+    });
+
+    const time = data.state ? (data.state.testRunDurationMs / 1000).toFixed(3) : '0';
+    const countOf = (cases) => cases.filter(testCase => testCase.failure).length;
+    const totalCases = suites.reduce((sum, suite) => sum + suite.cases.length, 0);
+    const totalFailures = suites.reduce((sum, suite) => sum + countOf(suite.cases), 0);
+
+    const suiteXml = suites.map(suite => {
+        const cases = suite.cases.map(testCase => {
+            const head = `    <testcase classname="${escapeXml(testCase.classname)}" name="${escapeXml(testCase.name)}"`;
+            if (!testCase.failure) {
+                return `${head}/>`;
+            }
+            return `${head}>\n` +
+                `      <failure type="${testCase.failure.type}" message="${escapeXml(testCase.failure.message)}">${escapeXml(testCase.failure.message)}</failure>\n` +
+                '    </testcase>';
+        }).join('\n');
+        return `  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" failures="${countOf(suite.cases)}" errors="0">\n` +
+            (cases ? `${cases}\n` : '') +
+            '  </testsuite>';
+    }).join('\n');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<testsuites name="${escapeXml(testName)}" tests="${totalCases}" failures="${totalFailures}" errors="0" time="${time}">\n` +
+        `${suiteXml}\n` +
+        '</testsuites>\n';
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// ============================================================================
+// Markdown 요약
+// ============================================================================
+
+/**
+ * Markdown 요약에 나열할 실패 임계값/체크 최대 개수 (PR 본문에 붙일 수 있는 길이 유지)
+ */
+const MARKDOWN_MAX_ITEMS = 8;
+
+/**
+ * Markdown 요약 생성
+ *
+ * PR 본문이나 CI 잡 요약(GITHUB_STEP_SUMMARY 등)에 그대로 붙일 수 있는 짧은 요약
+ * - 주요 지표 한 줄, 엔드포인트별 백분위 표 (호출된 엔드포인트만, setup 요청 제외)
+ * - 실패한 임계값과 체크 (최대 MARKDOWN_MAX_ITEMS개씩)
+ * - markdown을 가진 추가 섹션 (기준 실행 비교 등)
+ *
+ * @param {object} data - handleSummary의 data
+ * @param {string} testName - 테스트 이름
+ * @param {array} sections - 추가 섹션 [{ title, markdown }]
+ * @returns {string} - Markdown
+ */
+export function generateMarkdownReport(data, testName, sections = []) {
+    const metrics = data.metrics || {};
+    const values = (name) => (metrics[name] && metrics[name].values) || {};
+    const thresholdResults = collectThresholdResults(metrics);
+    const failedThresholds = thresholdResults.filter(result => !result.ok);
+    const failedChecks = collectAllChecks(data.root_group).filter(check => check.fails > 0);
+    const passed = failedThresholds.length === 0;
+
+    const lines = [
+        `## ${passed ? '✅' : '❌'} ${testName} (${PROFILE.name})`,
+        '',
+        '| 요청 | RPS | P95 | P99 | 에러율 | 누락 반복 | 체크 | 임계값 |',
+        '|------|-----|-----|-----|--------|-----------|------|--------|',
+        `| ${formatNumber(values('http_reqs').count || 0)} | ${formatValue(values('http_reqs').rate)} | ` +
+            `${formatMs(values('http_req_duration')['p(95)'])} | ${formatMs(values('http_req_duration')['p(99)'])} | ` +
+            `${formatPercent(values('http_req_failed').rate)} | ` +
+            `${formatNumber(values('dropped_iterations').count || 0)} (${formatPercent(droppedRatioOf(metrics))}) | ` +
+            `${formatPercent(values('checks').rate)} | ` +
+            `${thresholdResults.length - failedThresholds.length}/${thresholdResults.length} |`,
+    ];
+
+    const endpointStats = Object.entries(extractRunStats(data).endpoints);
+    if (endpointStats.length > 0) {
+        lines.push(
+            '',
+            '| 엔드포인트 | P50 | P95 | P99 | 에러율 | RPS |',
+            '|------------|-----|-----|-----|--------|-----|',
+            ...endpointStats.map(([tag, stats]) => {
+                const endpoint = findEndpoint(tag);
+                const overSlo = endpoint && endpoint.slo && stats.p95 !== null && stats.p95 > endpoint.slo.p95;
+                return `| ${metricLabel(tag)} | ${formatMs(stats.p50)} | ${overSlo ? '⚠️ ' : ''}${formatMs(stats.p95)} | ` +
+                    `${formatMs(stats.p99)} | ${formatPercent(stats.errorRate)} | ${formatValue(stats.rps)} |`;
+            })
+        );
+    }
+
+    if (failedThresholds.length > 0) {
+        lines.push('', '**실패한 임계값**', '', ...limitItems(failedThresholds.map(result =>
+            `- \`${result.metric}\` \`${result.expression}\` → ${result.aggregation || '값'}=${formatValue(result.observed)}`
+        )));
+    }
+
+    if (failedChecks.length > 0) {
+        lines.push('', '**실패한 체크**', '', ...limitItems(failedChecks.map(check =>
+            `- ${check.group ? `${check.group} › ` : ''}${check.name} — ${check.fails}/${check.passes + check.fails} 실패`
+        )));
+    }
+
+    sections.filter(section => section.markdown).forEach(section => {
+        lines.push('', `### ${section.title}`, '', section.markdown);
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+function limitItems(items) {
+    if (items.length <= MARKDOWN_MAX_ITEMS) {
+        return items;
+    }
+    return [...items.slice(0, MARKDOWN_MAX_ITEMS), `- … 외 ${items.length - MARKDOWN_MAX_ITEMS}건 (HTML 보고서 참고)`];
+}
+
+function formatPercent(rate) {
+    if (rate === undefined || rate === null) return 'N/A';
+    return `${(rate * 100).toFixed(2)}%`;
+}
+
 /**
  * handleSummary에서 사용할 보고서 생성 함수
+ *
+ * @param {object} data - handleSummary의 data
+ * @param {string} testName - 테스트 이름
+ * @param {object} options - { sections: [{ title, html, text, markdown }] } 테스트별 추가 섹션
+ *
+ * 엔드포인트별 SLO·에러 예산 섹션이 자동으로 추가됨 (slo.js, sloThresholds() 등록 필요)
+ * K6_BASELINE이 설정되어 있으면 기준 실행 비교 섹션이 자동으로 추가됨 (baseline.js)
+ * JSON 요약에는 실행 정보(run)가 함께 저장됨 (trend-dashboard.mjs가 실행을 분류할 때 사용)
+ * CI용 JUnit XML(<테스트>-<시각>.junit.xml)과 PR/잡 요약용 Markdown(<테스트>-<시각>.md)도 함께 생성됨
  */
-export function createReportOutput(data, testName) {
+export function createReportOutput(data, testName, options = {}) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
     const reportDir = 'k6-tests/reports';
+    const sloSection = renderSloSection(data);
+    const baselineSection = renderBaselineSection(data, testName);
+    const sections = [...(options.sections || []), sloSection, baselineSection].filter(Boolean);
+
+    const sectionText = sections
+        .filter(section => section.text)
+        .map(section => `\n  ${section.title}\n${section.text}\n`)
+        .join('');
 
     return {
-        [`${reportDir}/${testName}-${timestamp}.html`]: generateHtmlReport(data, testName),
-        [`${reportDir}/${testName}-${timestamp}.json`]: JSON.stringify(data, null, 2),
-        'stdout': textSummary(data, { indent: '  ', enableColors: true }),
+        [`${reportDir}/${testName}-${timestamp}.html`]: generateHtmlReport(data, testName, sections),
+        [`${reportDir}/${testName}-${timestamp}.json`]: JSON.stringify({ ...data, run: runMetadata(data, testName) }, null, 2),
+        [`${reportDir}/${testName}-${timestamp}.junit.xml`]: generateJUnitReport(data, testName),
+        [`${reportDir}/${testName}-${timestamp}.md`]: generateMarkdownReport(data, testName, sections),
+        'stdout': textSummary(data, { indent: '  ', enableColors: Boolean(data.state && data.state.isStdOutTTY) }) + sectionText,
     };
 }
 
-// k6 내장 텍스트 요약
-import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+/**
+ * JSON 요약에 함께 저장하는 실행 정보
+ *
+ * 요약 데이터만으로는 어느 환경·아키텍처를 대상으로 한 실행인지 알 수 없으므로 프로필 정보를 남김
+ * scenarios는 k6가 stages 등을 정리한 최종 실행기 설정 (stages만 쓴 테스트도 default 시나리오로 들어 있음)
+ */
+function runMetadata(data, testName) {
+    return {
+        // test, profile, loadModel (baseline.js가 처리량 비교 여부를 판단할 때 사용)
+        ...runIdentity(testName),
+        env: PROFILE.env,
+        architecture: PROFILE.architecture,
+        target: PROFILE.apiUrl,
+        finishedAt: new Date().toISOString(),
+        durationMs: data.state ? data.state.testRunDurationMs : null,
+        // 실행기별 단계 (timeline-report.mjs가 차트에 단계 경계를 표시할 때 사용)
+        scenarios: exec.test.options.scenarios || null,
+    };
+}
@@ -0,0 +1,302 @@
+/**
+ * K6 운영 환경 보호 가드
+ *
+ * 왜 필요한가?
+ * - Stress/Spike/Breakpoint 테스트는 시스템을 한계까지 몰아붙이므로 운영 서버 대상 실행 금지
+ * - README의 주의사항만으로는 실수(K6_ENV 오타, K6_BASE_URL 복사 등)를 막을 수 없음
+ * - 운영 서버 대상으로 허용되는 테스트도 VU 수와 회원가입 수에 상한이 필요
+ *   (운영 사용자 테이블에 loadtest_* 계정이 대량으로 쌓이는 것 방지)
+ *
+ * 사용 방법:
+ * 각 테스트의 setup()에서 헬스체크보다 먼저 호출
+ *
+ *   enforceSafetyGuard('stress', options, { signupsPerIteration: 1, iterationSeconds: 4 });
+ */
+
+import { PROFILE, ENV_PROFILES, ARCHITECTURE_OVERLAYS, ARRIVAL_RATE_VU_HEADROOM, parseDuration } from './config.js';
+
+// ============================================================================
+// 호스트 분류
+// ============================================================================
+
+/**
+ * 운영 호스트 (denylist)
+ *
+ * 운영 프로필과 아키텍처 오버레이의 운영 주소에서 자동으로 수집
+ * 프로필에 없는 운영 주소(예: 도메인 별칭)는 직접 추가
+ */
+export const PRODUCTION_HOSTS = [
+    extractHost(ENV_PROFILES.production.baseUrl),
+    ...Object.values(ARCHITECTURE_OVERLAYS)
+        .filter(overlay => overlay.hosts && overlay.hosts.production)
+        .map(overlay => extractHost(overlay.hosts.production)),
+    'www.molip.today',
+];
+
+/**
+ * 비운영 호스트 (allowlist)
+ */
+export const NON_PRODUCTION_HOSTS = [
+    'localhost',
+    '127.0.0.1',
+    'host.docker.internal',
+    extractHost(ENV_PROFILES.local.baseUrl),
+    extractHost(ENV_PROFILES.staging.baseUrl),
+];
+
+/**
+ * 테스트 종류별 정책
+ *
+ * - allow: 실행 허용 (운영 대상이면 PRODUCTION_LIMITS 적용)
+ * - ack: K6_PRODUCTION_ACK=<테스트 종류>가 설정된 경우에만 실행
+ *
+ * production: denylist 호스트 대상일 때
+ * unknown: 어느 목록에도 없는 호스트 대상일 때 (운영일 가능성이 있으므로 보수적으로 처리)
+ */
+export const GUARD_POLICIES = {
+    smoke: { production: 'allow', unknown: 'allow' },
+    load: { production: 'allow', unknown: 'allow' },
+    scenario: { production: 'allow', unknown: 'allow' },
+    soak: { production: 'ack', unknown: 'allow' },
+    stress: { production: 'ack', unknown: 'ack' },
+    spike: { production: 'ack', unknown: 'ack' },
+    breakpoint: { production: 'ack', unknown: 'ack' },
+};
+
+/**
+ * 운영 대상 실행 시 상한
+ *
+ * 왜 이 값들인가?
+ * - maxVUs: 실제 피크 트래픽 수준을 넘지 않도록 제한
+ *   운영 대상으로 실행하는 테스트의 피크 이상이어야 함 (그렇지 않으면 정책상 허용해도 항상 중단됨)
+ *   → load 30 VU, scenario·soak 100 VU, scenario 도착률 모델 약 110 VU (예상 동시 실행)
+ * - maxSignups: 테스트 계정이 운영 DB를 오염시키는 범위 제한
+ *
+ * 승인(K6_PRODUCTION_ACK)을 받은 실행에도 동일하게 적용됨
+ */
+export const PRODUCTION_LIMITS = {
+    maxVUs: 120,
+    maxSignups: 1000,
+};
+
+/**
+ * URL에서 호스트명 추출
+ *
+ * k6에는 WHATWG URL이 없으므로 정규식으로 처리
+ *
+ * @param {string} url - 대상 URL
+ * @returns {string} - 소문자 호스트명 (포트 제외)
+ */
+export function extractHost(url) {
+    const match = /^[a-z][a-z0-9+.-]*:\/\/([^/:?#]+)/i.exec(url || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * 대상 호스트 분류
+ *
+ * @param {string} url - 대상 URL
+ * @returns {string} - 'production' | 'non-production' | 'unknown'
+ */
+export function classifyHost(url) {
+    const host = extractHost(url);
+    // staging.api.molip.today처럼 운영 도메인의 하위 도메인인 비운영 서버가 있으므로 allowlist 우선
+    if (matchesHost(host, NON_PRODUCTION_HOSTS)) {
+        return 'non-production';
+    }
+    if (matchesHost(host, PRODUCTION_HOSTS)) {
+        return 'production';
+    }
+    return 'unknown';
+}
+
+function matchesHost(host, hosts) {
+    return hosts.some(candidate => host === candidate || host.endsWith(`.${candidate}`));
+}
+
+// ============================================================================
+// 부하 규모 추정
+// ============================================================================
+
+function stagesOf(options) {
+    if (options.scenarios) {
+        return Object.values(options.scenarios)
+            .filter(scenario => !isArrivalRate(scenario))
+            .map(scenario => scenario.stages || []);
+    }
+    return [options.stages || []];
+}
+
+function isArrivalRate(scenario) {
+    return scenario.executor === 'constant-arrival-rate' || scenario.executor === 'ramping-arrival-rate';
+}
+
+function peakOfScenario(scenario) {
+    if (isArrivalRate(scenario)) {
+        // 정상 응답 시간 기준 동시 실행 수 (preAllocatedVUs에서 여유 배수를 뺀 값)
+        // maxVUs는 서버가 느려질 때만 쓰는 상한이므로 부하 규모로 보지 않음
+        return Math.round((scenario.preAllocatedVUs || 0) / ARRIVAL_RATE_VU_HEADROOM.preAllocated);
+    }
+    return Math.max(
+        scenario.vus || 0,
+        scenario.startVUs || 0,
+        ...(scenario.stages || []).map(stage => stage.target)
+    );
+}
+
+function maxOfScenario(scenario) {
+    if (isArrivalRate(scenario)) {
+        return Math.max(scenario.maxVUs || 0, scenario.preAllocatedVUs || 0);
+    }
+    return peakOfScenario(scenario);
+}
+
+/**
+ * options에서 최대 동시 VU 수 계산 (가드의 부하 규모)
+ *
+ * scenarios를 사용하는 경우 시나리오들이 동시에 실행되므로 각 피크의 합
+ * 도착률 시나리오는 maxVUs가 아니라 예상 동시 실행 수로 계산
+ */
+export function getPeakVUs(options) {
+    return sumScenarios(options, peakOfScenario);
+}
+
+/**
+ * options에서 생성될 수 있는 VU 수의 상한 (도착률 시나리오의 maxVUs 포함)
+ *
+ * VU마다 자원(계정 등)을 하나씩 배정할 때 사용
+ */
+export function getMaxVUs(options) {
+    return sumScenarios(options, maxOfScenario);
+}
+
+/**
+ * options의 예상 실행 시간 (초, gracefulStop 제외)
+ *
+ * 실행 배너에 프로필의 실제 단계 길이를 표시할 때 사용
+ * scenarios를 사용하는 경우 가장 늦게 끝나는 시나리오 기준 (startTime 포함)
+ */
+export function estimateDurationSeconds(options) {
+    const secondsOf = (scenario) => (scenario.stages
+        ? scenario.stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0)
+        : parseDuration(scenario.duration || '0s'));
+    if (options.scenarios) {
+        return Math.max(0, ...Object.values(options.scenarios)
+            .map(scenario => parseDuration(scenario.startTime || '0s') + secondsOf(scenario)));
+    }
+    return secondsOf(options);
+}
+
+function sumScenarios(options, measure) {
+    if (options.scenarios) {
+        return Object.values(options.scenarios)
+            .reduce((sum, scenario) => sum + measure(scenario), 0);
+    }
+    return measure(options);
+}
+
+/**
+ * 단계 설정에서 총 VU·초 계산 (각 단계는 선형 증감)
+ */
+export function estimateVuSeconds(options) {
+    return stagesOf(options).reduce((total, stages) => {
+        let previousTarget = 0;
+        return total + stages.reduce((sum, stage) => {
+            const vuSeconds = ((previousTarget + stage.target) / 2) * parseDuration(stage.duration);
+            previousTarget = stage.target;
+            return sum + vuSeconds;
+        }, 0);
+    }, 0);
+}
+
+/**
+ * 도착률 시나리오의 총 반복 수 (도착률을 시간에 대해 적분, 각 단계는 선형 증감)
+ */
+export function estimateArrivals(options) {
+    return Object.values(options.scenarios || {})
+        .filter(isArrivalRate)
+        .reduce((total, scenario) => {
+            const perSecond = (rate) => rate / parseDuration(scenario.timeUnit || '1s');
+            if (scenario.executor === 'constant-arrival-rate') {
+                return total + perSecond(scenario.rate) * parseDuration(scenario.duration);
+            }
+            let previousRate = scenario.startRate || 0;
+            return total + scenario.stages.reduce((sum, stage) => {
+                const arrivals = perSecond((previousRate + stage.target) / 2) * parseDuration(stage.duration);
+                previousRate = stage.target;
+                return sum + arrivals;
+            }, 0);
+        }, 0);
+}
+
+/**
+ * 예상 회원가입 수
+ *
+ * VU 기반 단계는 VU·초를 반복 소요 시간으로 나누고, 도착률 시나리오는 도착 수를 그대로 사용
+ *
+ * @param {object} options - 테스트 options
+ * @param {object} load - { signupsPerIteration, iterationSeconds, setupSignups }
+ */
+export function estimateSignups(options, load = {}) {
+    const { signupsPerIteration = 0, iterationSeconds = 1, setupSignups = 0 } = load;
+    const iterations = estimateVuSeconds(options) / iterationSeconds + estimateArrivals(options);
+    return Math.ceil(iterations * signupsPerIteration) + setupSignups;
+}
+
+// ============================================================================
+// 가드
+// ============================================================================
+
+/**
+ * 운영 환경 보호 가드 실행
+ *
+ * 정책 위반 시 Error를 던져 setup() 단계에서 테스트를 중단시킴
+ *
+ * @param {string} testType - GUARD_POLICIES의 키 (smoke, load, stress, ...)
+ * @param {object} options - 테스트의 options 객체
+ * @param {object} load - 회원가입 추정치 { signupsPerIteration, iterationSeconds, setupSignups }
+ * @returns {object} - { hostClass, peakVUs, expectedSignups }
+ */
+export function enforceSafetyGuard(testType, options, load = {}) {
+    const policy = GUARD_POLICIES[testType];
+    if (!policy) {
+        throw new Error(`Safety guard: unknown test type "${testType}"`);
+    }
+
+    const hostClass = classifyHost(PROFILE.apiUrl);
+    const peakVUs = getPeakVUs(options);
+    const expectedSignups = estimateSignups(options, load);
+    const acknowledged = __ENV.K6_PRODUCTION_ACK === testType;
+
+    console.log(`🛡️  Safety guard: ${extractHost(PROFILE.apiUrl)} → ${hostClass} (peak ${peakVUs} VU, ~${expectedSignups} signups)`);
+
+    if (hostClass === 'non-production') {
+        return { hostClass, peakVUs, expectedSignups };
+    }
+
+    if (policy[hostClass] === 'ack' && !acknowledged) {
+        throw new Error(
+            `Safety guard: ${testType} test refused against ${hostClass} host ${extractHost(PROFILE.apiUrl)}. ` +
+            `Set K6_PRODUCTION_ACK=${testType} if this is intentional.`
+        );
+    }
+
+    if (hostClass === 'production') {
+        if (peakVUs > PRODUCTION_LIMITS.maxVUs) {
+            throw new Error(
+                `Safety guard: peak ${peakVUs} VU exceeds production limit of ${PRODUCTION_LIMITS.maxVUs} VU`
+            );
+        }
+        if (expectedSignups > PRODUCTION_LIMITS.maxSignups) {
+            throw new Error(
+                `Safety guard: ~${expectedSignups} signups exceeds production limit of ${PRODUCTION_LIMITS.maxSignups}`
+            );
+        }
+    }
+
+    if (acknowledged) {
+        console.warn(`⚠️  ${testType} test running against ${hostClass} host (acknowledged via K6_PRODUCTION_ACK)`);
+    }
+
+    return { hostClass, peakVUs, expectedSignups };
+}
@@ -0,0 +1,261 @@
+/**
+ * 시나리오별 보고서 섹션
+ *
+ * 왜 필요한가?
+ * - scenario-test.js는 http_req_duration{scenario:new_users} 같은 시나리오별 임계값을 두지만
+ *   보고서에는 전체 수치만 표시되어 어느 사용자 유형이 느린지 알 수 없었음
+ * - 시나리오마다 VU 프로필이 다르므로 요청 수·응답 시간을 부하 모양과 함께 봐야 해석 가능
+ *
+ * 사용 방법:
+ *   thresholds: mergeThresholds({ ... }, scenarioThresholds(SCENARIOS))
+ *   (시나리오별 임계값과 같은 서브메트릭을 쓰므로 전개(...)하지 말고 mergeThresholds로 병합)
+ *
+ *   export function handleSummary(data) {
+ *       return createReportOutput(data, 'scenario-test', {
+ *           sections: [renderScenarioSection(data, SCENARIOS)],
+ *       });
+ *   }
+ *
+ * k6는 모든 메트릭에 scenario 태그를 붙이므로 시나리오별 서브메트릭은 임계값만 등록하면 요약에 포함됨
+ */
+
+import { parseMetricName, hasSamples } from './endpoints.js';
+import { isPlaceholderThreshold } from './text-summary.js';
+
+// ============================================================================
+// 요약용 임계값
+// ============================================================================
+
+/**
+ * 시나리오 패널에 필요한 서브메트릭 (항상 통과하는 임계값)
+ */
+const SCENARIO_METRICS = {
+    http_reqs: 'count>=0',
+    http_req_duration: 'p(95)>=0',
+    http_req_failed: 'rate>=0',
+    iterations: 'count>=0',
+    iteration_duration: 'p(95)>=0',
+    dropped_iterations: 'count>=0',
+    scenario_failures: 'rate>=0',
+};
+
+/**
+ * 시나리오별 서브메트릭을 요약(handleSummary)에 포함시키기 위한 임계값
+ *
+ * @param {object} scenarios - options.scenarios
+ * @returns {object} - { 'http_reqs{scenario:new_users}': ['count>=0'], ... }
+ */
+export function scenarioThresholds(scenarios) {
+    const thresholds = {};
+    Object.keys(scenarios).forEach(scenario => {
+        Object.entries(SCENARIO_METRICS).forEach(([metric, expression]) => {
+            thresholds[`${metric}{scenario:${scenario}}`] = [expression];
+        });
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// 시나리오 통계
+// ============================================================================
+
+/**
+ * 시나리오 하나의 요약 통계
+ *
+ * @param {object} metrics - handleSummary data.metrics
+ * @param {string} scenario - 시나리오 이름
+ * @returns {object} - { requests, rps, duration, failRate, iterations, droppedIterations, iterationDuration, scenarioFailRate, thresholds }
+ */
+export function scenarioStats(metrics, scenario) {
+    const values = (metric) => {
+        const entry = metrics[`${metric}{scenario:${scenario}}`];
+        return entry && hasSamples(entry) ? entry.values : {};
+    };
+
+    const thresholds = [];
+    Object.keys(metrics).sort().forEach(name => {
+        const parsed = parseMetricName(name);
+        if (parsed.tags.scenario !== scenario) {
+            return;
+        }
+        Object.entries(metrics[name].thresholds || {})
+            .filter(([expression]) => !isPlaceholderThreshold(expression))
+            .forEach(([expression, result]) => {
+                thresholds.push({ metric: parsed.metric, expression: expression, ok: result.ok });
+            });
+    });
+
+    return {
+        requests: values('http_reqs').count || 0,
+        rps: values('http_reqs').rate || 0,
+        duration: values('http_req_duration'),
+        failRate: values('http_req_failed').rate,
+        iterations: values('iterations').count || 0,
+        droppedIterations: values('dropped_iterations').count || 0,
+        iterationDuration: values('iteration_duration'),
+        scenarioFailRate: values('scenario_failures').rate,
+        thresholds: thresholds,
+    };
+}
+
+/**
+ * 실행기(executor) 설정을 한 줄 부하 프로필로 표현
+ *
+ * 예: ramping-vus  → "0 → 5 (2m) → 10 (5m) → 5 (2m) → 0 (1m) VU"
+ *     ramping-arrival-rate → "0 → 20 (2m) → 0 (1m) iters/1s, preAllocatedVUs 50"
+ *
+ * @param {object} scenario - options.scenarios의 항목
+ * @returns {object} - { description, peakVUs }
+ */
+export function describeLoadProfile(scenario) {
+    const stagePath = (start, stages) => [String(start || 0)]
+        .concat((stages || []).map(stage => `${stage.target} (${stage.duration})`))
+        .join(' → ');
+    const vuPool = `preAllocatedVUs ${scenario.preAllocatedVUs || 0}${scenario.maxVUs ? `, maxVUs ${scenario.maxVUs}` : ''}`;
+    const timeUnit = scenario.timeUnit || '1s';
+
+    switch (scenario.executor) {
+        case 'ramping-vus':
+            return {
+                description: `${stagePath(scenario.startVUs, scenario.stages)} VU`,
+                peakVUs: Math.max(scenario.startVUs || 0, ...(scenario.stages || []).map(stage => stage.target)),
+            };
+        case 'constant-vus':
+            return {
+                description: `${scenario.vus || 1} VU × ${scenario.duration}`,
+                peakVUs: scenario.vus || 1,
+            };
+        case 'constant-arrival-rate':
+            return {
+                description: `${scenario.rate} iters/${timeUnit} × ${scenario.duration}, ${vuPool}`,
+                peakVUs: scenario.maxVUs || scenario.preAllocatedVUs || 0,
+            };
+        case 'ramping-arrival-rate':
+            return {
+                description: `${stagePath(scenario.startRate, scenario.stages)} iters/${timeUnit}, ${vuPool}`,
+                peakVUs: scenario.maxVUs || scenario.preAllocatedVUs || 0,
+            };
+        case 'per-vu-iterations':
+            return {
+                description: `${scenario.vus || 1} VU × ${scenario.iterations || 1} iterations`,
+                peakVUs: scenario.vus || 1,
+            };
+        case 'shared-iterations':
+            return {
+                description: `${scenario.iterations || 1} iterations / ${scenario.vus || 1} VU`,
+                peakVUs: scenario.vus || 1,
+            };
+        default:
+            return { description: scenario.executor, peakVUs: scenario.vus || 0 };
+    }
+}
+
+// ============================================================================
+// 보고서 섹션
+// ============================================================================
+
+/**
+ * 시나리오별 패널 섹션 생성 ({ title, html, text, markdown })
+ *
+ * createReportOutput의 sections 형식
+ *
+ * @param {object} data - handleSummary data
+ * @param {object} scenarios - options.scenarios
+ * @returns {object} - 섹션
+ */
+export function renderScenarioSection(data, scenarios) {
+    const metrics = data.metrics || {};
+    const panels = Object.entries(scenarios).map(([name, scenario]) => ({
+        name: name,
+        scenario: scenario,
+        profile: describeLoadProfile(scenario),
+        stats: scenarioStats(metrics, name),
+    }));
+
+    const html = `
+            <div class="scenario-panels" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(340px, 1fr)); gap: 20px;">
+                ${panels.map(renderPanel).join('')}
+            </div>`;
+
+    const text = panels.map(panel => {
+        const failed = panel.stats.thresholds.filter(threshold => !threshold.ok).length;
+        return [
+            `    ${failed === 0 ? '✓' : '✗'} ${panel.name} (${panel.scenario.executor}, ${panel.profile.description})`,
+            `      reqs=${panel.stats.requests} p95=${formatMs(panel.stats.duration['p(95)'])} ` +
+                `fail=${formatPercent(panel.stats.failRate)} iterations=${panel.stats.iterations}` +
+                (panel.stats.droppedIterations > 0 ? ` dropped=${panel.stats.droppedIterations}` : ''),
+        ].join('\n');
+    }).join('\n');
+
+    const markdown = [
+        '| 시나리오 | 최대 VU | 요청 | P50 | P95 | P99 | 실패율 | 반복 | 임계값 |',
+        '|----------|---------|------|-----|-----|-----|--------|------|--------|',
+        ...panels.map(panel => {
+            const passed = panel.stats.thresholds.filter(threshold => threshold.ok).length;
+            const total = panel.stats.thresholds.length;
+            return `| ${passed === total ? '' : '❌ '}${panel.name} | ${panel.profile.peakVUs} | ${panel.stats.requests} | ` +
+                `${formatMs(panel.stats.duration.med)} | ${formatMs(panel.stats.duration['p(95)'])} | ${formatMs(panel.stats.duration['p(99)'])} | ` +
+                `${formatPercent(panel.stats.failRate)} | ${panel.stats.iterations}` +
+                `${panel.stats.droppedIterations > 0 ? ` (누락 ${panel.stats.droppedIterations})` : ''} | ${passed}/${total} |`;
+        }),
+    ].join('\n');
+
+    return {
+        title: '🎭 시나리오별 결과',
+        html: html,
+        text: text,
+        markdown: markdown,
+    };
+}
+
+function renderPanel(panel) {
+    const stats = panel.stats;
+    const rows = [
+        ['요청 수', `${stats.requests} (${stats.rps.toFixed(2)}/s)`],
+        ['응답 시간 P50 / P95 / P99', `${formatMs(stats.duration.med)} / ${formatMs(stats.duration['p(95)'])} / ${formatMs(stats.duration['p(99)'])}`],
+        ['HTTP 실패율', formatPercent(stats.failRate)],
+        ['반복(iteration) 수', String(stats.iterations)],
+        ['반복 소요 시간 P95', formatMs(stats.iterationDuration['p(95)'])],
+        ['시나리오 실패율', formatPercent(stats.scenarioFailRate)],
+    ];
+    if (stats.droppedIterations > 0) {
+        rows.push(['누락된 반복 (dropped_iterations)', `<span class="danger-text">${stats.droppedIterations}</span>`]);
+    }
+
+    const thresholds = stats.thresholds.length === 0
+        ? '<p style="color: #888;">시나리오 임계값 없음</p>'
+        : stats.thresholds.map(threshold => `
+                    <div style="margin-bottom: 4px;">
+                        <span class="status-badge ${threshold.ok ? 'status-pass' : 'status-fail'}">${threshold.ok ? 'PASS' : 'FAIL'}</span>
+                        <code>${threshold.metric}</code> ${threshold.expression}
+                    </div>`).join('');
+
+    return `
+                <div class="card">
+                    <h3>${panel.name}</h3>
+                    <p style="color: #666; font-size: 0.9em; margin-bottom: 10px;">
+                        ${panel.scenario.executor}${panel.scenario.exec ? ` · ${panel.scenario.exec}()` : ''}<br>
+                        ${panel.profile.description} (최대 ${panel.profile.peakVUs} VU)
+                    </p>
+                    <table>
+                        <tbody>
+                            ${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+                        </tbody>
+                    </table>
+                    <div style="margin-top: 10px;">${thresholds}</div>
+                </div>`;
+}
+
+function formatMs(value) {
+    if (value === undefined || value === null) {
+        return 'N/A';
+    }
+    return value < 1000 ? `${value.toFixed(1)}ms` : `${(value / 1000).toFixed(2)}s`;
+}
+
+function formatPercent(rate) {
+    if (rate === undefined || rate === null) {
+        return 'N/A';
+    }
+    return `${(rate * 100).toFixed(2)}%`;
+}
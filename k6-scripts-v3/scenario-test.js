@@ -23,135 +23,149 @@
  *
  * 실행 방법:
  * k6 run scenario-test.js
+ * K6_LOAD_MODEL=arrival-rate k6 run scenario-test.js  (유형별 도착률로 실행)
  */
 
 import { group, sleep } from 'k6';
 import {
+    PROFILE,
     randomString,
     getCurrentTime,
     getTimeAfterMinutes,
+    mergeThresholds,
+    weightedScenarios,
+    resolveLoadModel,
+    parseDuration,
+    SUMMARY_TREND_STATS,
 } from './config.js';
 import {
-    logout,
-    signup,
-    getProfile,
-    searchUsers,
-    createSchedule,
-    getSchedules,
-    getSchedulesByDate,
-    getDayPlanId,
-    updateScheduleStatus,
-    deleteSchedule,
-    aiScheduleArrangement,
-    getNotifications,
     healthCheck,
     thinkTime,
     fullScenarioDuration,
     scenarioFailRate,
 } from './helpers.js';
+import {
+    prepareAccountPool,
+    accountPoolSize,
+    accountGuardLoad,
+    startSession,
+    seedScheduleHistory,
+    historyDates,
+    accountEndpoints,
+} from './account-pool.js';
+import { errorBreakdownThresholds } from './errors.js';
+import { baselineThresholds } from './baseline.js';
+import { sloThresholds } from './slo.js';
+import { enforceSafetyGuard } from './safety-guard.js';
+import { createReportOutput, groupThresholds } from './report-generator.js';
+import { scenarioThresholds, renderScenarioSection, describeLoadProfile } from './scenario-report.js';
 
 // ============================================================================
 // 테스트 설정
 // ============================================================================
 
-export const options = {
-    /**
-     * 시나리오 정의
-     *
-     * 각 시나리오는 독립적으로 실행되며 서로 다른 사용자 패턴을 시뮬레이션합니다.
-     *
-     * 왜 이런 시나리오들인가?
-     *
-     * 1. new_users (신규 사용자)
-     *    - 회원가입 + 초기 설정
-     *    - 상대적으로 적은 비율 (전체의 10%)
-     *    - DB 쓰기 집중
-     *
-     * 2. returning_users (재방문 사용자)
-     *    - 로그인 + 스케줄 조회
-     *    - 가장 많은 비율 (전체의 60%)
-     *    - 읽기 중심
-     *
-     * 3. active_users (활성 사용자)
-     *    - 스케줄 CRUD 전체 수행
-     *    - 중간 비율 (전체의 25%)
-     *    - 읽기/쓰기 혼합
-     *
-     * 4. power_users (파워 유저)
-     *    - AI 배치 등 고급 기능 사용
-     *    - 적은 비율 (전체의 5%)
-     *    - 리소스 집약적
-     */
-    scenarios: {
-        // 신규 사용자: 회원가입 중심
-        new_users: {
-            executor: 'ramping-vus',
-            exec: 'newUserScenario',
-            startVUs: 0,
-            stages: [
-                { duration: '2m', target: 5 },
-                { duration: '5m', target: 10 },
-                { duration: '2m', target: 5 },
-                { duration: '1m', target: 0 },
-            ],
-            gracefulStop: '30s',
-            gracefulRampDown: '30s',
-            tags: { scenario: 'new_users' },
-        },
-
-        // 재방문 사용자: 조회 중심
-        returning_users: {
-            executor: 'ramping-vus',
-            exec: 'returningUserScenario',
-            startVUs: 0,
-            stages: [
-                { duration: '2m', target: 30 },
-                { duration: '5m', target: 60 },
-                { duration: '2m', target: 30 },
-                { duration: '1m', target: 0 },
-            ],
-            gracefulStop: '30s',
-            gracefulRampDown: '30s',
-            tags: { scenario: 'returning_users' },
-        },
-
-        // 활성 사용자: CRUD 수행
-        active_users: {
-            executor: 'ramping-vus',
-            exec: 'activeUserScenario',
-            startVUs: 0,
-            gracefulStop: '30s',
-            gracefulRampDown: '30s',
-            stages: [
-                { duration: '2m', target: 15 },
-                { duration: '5m', target: 25 },
-                { duration: '2m', target: 15 },
-                { duration: '1m', target: 0 },
-            ],
-            tags: { scenario: 'active_users' },
-        },
-
-        // 파워 유저: AI 기능 사용
-        power_users: {
-            executor: 'ramping-vus',
-            exec: 'powerUserScenario',
-            startVUs: 0,
-            stages: [
-                { duration: '2m', target: 2 },
-                { duration: '5m', target: 5 },
-                { duration: '2m', target: 2 },
-                { duration: '1m', target: 0 },
-            ],
-            gracefulStop: '60s',  // AI 호출이 있으므로 더 긴 대기
-            gracefulRampDown: '30s',
-            tags: { scenario: 'power_users' },
-        },
+/**
+ * 트래픽 믹스 (사용자 유형별 비율)
+ *
+ * 각 시나리오는 독립적으로 실행되며 서로 다른 사용자 패턴을 시뮬레이션합니다.
+ * 유형별 VU(또는 도착률)는 전체 부하 프로필(config.js SCENARIO_TEST_STAGES /
+ * SCENARIO_TEST_ARRIVAL_RATE)을 weight 비율로 나눠 weightedScenarios()가 생성
+ * → 전체 부하를 바꿀 때 유형별 단계를 하나씩 고칠 필요 없음
+ *
+ * 왜 이런 시나리오들인가?
+ *
+ * 1. new_users (신규 사용자)
+ *    - 회원가입 + 초기 설정
+ *    - 상대적으로 적은 비율
+ *    - DB 쓰기 집중
+ *
+ * 2. returning_users (재방문 사용자)
+ *    - 로그인 + 스케줄 조회
+ *    - 가장 많은 비율
+ *    - 읽기 중심
+ *
+ * 3. active_users (활성 사용자)
+ *    - 스케줄 CRUD 전체 수행
+ *    - 중간 비율
+ *    - 읽기/쓰기 혼합
+ *
+ * 4. power_users (파워 유저)
+ *    - AI 배치 등 고급 기능 사용
+ *    - 적은 비율
+ *    - 리소스 집약적
+ *
+ * iterationSeconds: 반복 한 번의 대략적인 소요 시간 (think time 포함, 도착률 모델의 VU 사전 할당용)
+ */
+const TRAFFIC_MIX = {
+    // 신규 사용자: 회원가입 중심
+    new_users: {
+        weight: 10,
+        exec: 'newUserScenario',
+        iterationSeconds: 13,
+        label: 'signup flow',
+        gracefulStop: '30s',
+    },
+
+    // 재방문 사용자: 조회 중심
+    returning_users: {
+        weight: 60,
+        exec: 'returningUserScenario',
+        iterationSeconds: 13,
+        label: 'read-heavy',
+        gracefulStop: '30s',
+    },
+
+    // 활성 사용자: CRUD 수행
+    active_users: {
+        weight: 25,
+        exec: 'activeUserScenario',
+        iterationSeconds: 18,
+        label: 'CRUD mix',
+        gracefulStop: '30s',
+    },
+
+    // 파워 유저: AI 기능 사용
+    power_users: {
+        weight: 5,
+        exec: 'powerUserScenario',
+        iterationSeconds: 30,
+        label: 'AI features',
+        gracefulStop: '60s',  // AI 호출이 있으므로 더 긴 대기
     },
+};
+
+const SCENARIOS = weightedScenarios(TRAFFIC_MIX, 'scenario');
+
+/**
+ * 이 테스트가 호출하는 엔드포인트 (에러 분석·기준 실행 비교 대상)
+ */
+const TEST_ENDPOINTS = [
+    ...accountEndpoints('signup'),
+    ...accountEndpoints('returning'),
+    'setup_day_plan',
+    'setup_create_schedule',
+    'get_profile',
+    'search_users',
+    'get_notifications',
+    'get_schedules_by_date',
+    'get_schedules',
+    'create_schedule',
+    'update_schedule_status',
+    'delete_schedule',
+    'ai_arrangement',
+    'logout',
+];
+
+export const options = {
+    scenarios: SCENARIOS,
+
+    // 보고서용 통계 (p(99)와 count는 기준 실행 비교에 사용)
+    summaryTrendStats: SUMMARY_TREND_STATS,
 
     /**
      * 시나리오별 임계값
      */
-    thresholds: {
+    thresholds: mergeThresholds({
         // 전체 메트릭
         http_req_duration: ['p(95)<3000'],
         http_req_failed: ['rate<0.05'],
@@ -167,7 +181,20 @@ export const options = {
         'http_req_failed{scenario:returning_users}': ['rate<0.01'],
         'http_req_failed{scenario:active_users}': ['rate<0.03'],
         'http_req_failed{scenario:power_users}': ['rate<0.10'],
+
+        // 보고서 에러 분석용 서브메트릭 (항상 통과, 이 테스트가 호출하는 엔드포인트만)
+        ...errorBreakdownThresholds(TEST_ENDPOINTS),
+
+        // 보고서 SLO·에러 예산 섹션용 서브메트릭 (항상 통과)
+        ...sloThresholds(),
+
+        // 보고서 그룹 계층용 그룹 소요 시간 (항상 통과)
+        ...groupThresholds(['new_user_flow', 'returning_user_flow', 'active_user_flow', 'power_user_flow']),
     },
+    // 보고서 시나리오 패널용 서브메트릭 (위 시나리오 임계값과 같은 키이므로 병합)
+    scenarioThresholds(SCENARIOS),
+    // 기준 실행 대비 회귀 감지 (K6_BASELINE 설정 시)
+    baselineThresholds('scenario-test', TEST_ENDPOINTS)),
 };
 
 // ============================================================================
@@ -184,42 +211,36 @@ export const options = {
  * - 신규 사용자는 보통 첫 일정을 바로 등록
  * - 이탈 방지를 위해 빠른 응답 필요
  */
-export function newUserScenario() {
+export function newUserScenario(data) {
     const scenarioStart = new Date();
     let scenarioSuccess = true;
 
     group('new_user_flow', function () {
-        // 1. 회원가입
-        const signupResult = signup();
-        if (!signupResult) {
+        // 1. 회원가입 (회원가입 비용은 이 시나리오에만 포함)
+        const session = startSession(data.accounts, 'signup');
+        if (!session) {
             scenarioSuccess = false;
             return;
         }
 
-        const { accessToken } = signupResult;
-
         thinkTime(2, 4);
 
         // 2. 프로필 확인
-        getProfile(accessToken);
+        session.getProfile();
 
         thinkTime(1, 2);
 
-        // 3. DayPlan ID 조회
-        const scheduleInfo = getSchedulesByDate(accessToken);
-        if (!scheduleInfo || !scheduleInfo.dayPlanId) {
-            console.warn('newUserScenario: Failed to get dayPlanId');
+        // 3. 오늘 스케줄 화면 (DayPlan ID 조회)
+        if (!session.getDayPlanId()) {
             scenarioSuccess = false;
-            logout(accessToken);
+            session.logout();
             return;
         }
 
-        const dayPlanId = scheduleInfo.dayPlanId;
-
         thinkTime(1, 2);
 
         // 4. 첫 스케줄 생성
-        const schedule = createSchedule(accessToken, dayPlanId, {
+        session.createSchedule({
             type: 'FLEX',
             title: `My First Schedule ${randomString(4)}`,
             startAt: getCurrentTime(),
@@ -232,7 +253,7 @@ export function newUserScenario() {
         thinkTime(2, 3);
 
         // 5. 로그아웃
-        logout(accessToken);
+        session.logout();
     });
 
     fullScenarioDuration.add(new Date() - scenarioStart);
@@ -248,46 +269,51 @@ export function newUserScenario() {
 /**
  * 재방문 사용자 시나리오
  *
- * 플로우: 회원가입 → 스케줄 조회 → 알림 확인 → 로그아웃
+ * 플로우: 로그인 → 오늘·지난 스케줄 조회 → 알림 확인 → 로그아웃
  *
  * 왜 이런 플로우인가?
  * - 대부분의 사용자는 앱을 열어 일정 확인만 함
  * - 읽기 중심 작업으로 캐시 효율성 측정에 적합
  * - 가장 흔한 사용 패턴
  */
-export function returningUserScenario() {
+export function returningUserScenario(data) {
     const scenarioStart = new Date();
     let scenarioSuccess = true;
 
     group('returning_user_flow', function () {
-        // 1. 회원가입
-        const signupResult = signup();
-        if (!signupResult) {
+        // 1. 로그인 (스케줄 이력이 있는 풀 계정)
+        const session = startSession(data.accounts, 'returning');
+        if (!session) {
             scenarioSuccess = false;
             return;
         }
 
-        const { accessToken } = signupResult;
-
         thinkTime(1, 2);
 
         // 2. 프로필 로드
-        getProfile(accessToken);
+        session.getProfile();
 
         thinkTime(1, 2);
 
         // 3. 오늘 스케줄 조회
-        getSchedulesByDate(accessToken);
+        session.viewSchedules();
 
         thinkTime(2, 4);
 
+        // 3-1. 지난 일정 둘러보기 (setup에서 준비한 이력)
+        const pastDates = historyDates().slice(1);
+        if (pastDates.length > 0) {
+            session.viewSchedules(pastDates[Math.floor(Math.random() * pastDates.length)]);
+            thinkTime(1, 2);
+        }
+
         // 4. 알림 확인
-        getNotifications(accessToken);
+        session.getNotifications();
 
         thinkTime(1, 2);
 
         // 5. 로그아웃
-        logout(accessToken);
+        session.logout();
     });
 
     fullScenarioDuration.add(new Date() - scenarioStart);
@@ -303,47 +329,41 @@ export function returningUserScenario() {
 /**
  * 활성 사용자 시나리오
  *
- * 플로우: 회원가입 → 스케줄 CRUD → 사용자 검색 → 로그아웃
+ * 플로우: 로그인 → 스케줄 CRUD → 사용자 검색 → 로그아웃
  *
  * 왜 이런 플로우인가?
  * - 앱을 적극적으로 사용하는 유저
  * - 읽기/쓰기 혼합으로 실제 트랜잭션 패턴 반영
  * - DB 락 경합 가능성 테스트
  */
-export function activeUserScenario() {
+export function activeUserScenario(data) {
     const scenarioStart = new Date();
     let scenarioSuccess = true;
 
     group('active_user_flow', function () {
-        // 1. 회원가입
-        const signupResult = signup();
-        if (!signupResult) {
+        // 1. 로그인 (스케줄 이력이 있는 풀 계정)
+        const session = startSession(data.accounts, 'returning');
+        if (!session) {
             scenarioSuccess = false;
             return;
         }
 
-        const { accessToken } = signupResult;
-
         thinkTime(1, 2);
 
         // 2. 프로필 조회
-        getProfile(accessToken);
+        session.getProfile();
 
         // 3. 스케줄 조회 + DayPlan ID 추출
-        const scheduleInfo = getSchedulesByDate(accessToken);
-        if (!scheduleInfo || !scheduleInfo.dayPlanId) {
-            console.warn('activeUserScenario: Failed to get dayPlanId');
+        if (!session.getDayPlanId()) {
             scenarioSuccess = false;
-            logout(accessToken);
+            session.logout();
             return;
         }
 
-        const dayPlanId = scheduleInfo.dayPlanId;
-
         thinkTime(2, 3);
 
         // 4. 새 스케줄 생성
-        const schedule = createSchedule(accessToken, dayPlanId, {
+        const schedule = session.createSchedule({
             type: 'FLEX',
             title: `Active User Task ${randomString(4)}`,
             startAt: getCurrentTime(),
@@ -356,29 +376,29 @@ export function activeUserScenario() {
         thinkTime(1, 2);
 
         // 5. 스케줄 목록 확인
-        getSchedules(accessToken, dayPlanId);
+        session.listSchedules();
 
         thinkTime(2, 3);
 
         // 6. 스케줄 상태 변경
         if (schedule && schedule.scheduleId) {
-            updateScheduleStatus(accessToken, schedule.scheduleId, 'DONE');
+            session.completeSchedule(schedule.scheduleId);
 
             thinkTime(1, 2);
 
             // 7. 스케줄 삭제
-            deleteSchedule(accessToken, schedule.scheduleId);
+            session.deleteSchedule(schedule.scheduleId);
         }
 
         thinkTime(1, 2);
 
         // 8. 사용자 검색
-        searchUsers(accessToken, 'User', 1, 10);
+        session.searchUsers('User', 1, 10);
 
         thinkTime(1, 2);
 
         // 9. 로그아웃
-        logout(accessToken);
+        session.logout();
     });
 
     fullScenarioDuration.add(new Date() - scenarioStart);
@@ -394,43 +414,37 @@ export function activeUserScenario() {
 /**
  * 파워 유저 시나리오
  *
- * 플로우: 회원가입 → 다수 스케줄 생성 → AI 배치 → 결과 확인
+ * 플로우: 로그인 → 다수 스케줄 생성 → AI 배치 → 결과 확인
  *
  * 왜 이런 플로우인가?
  * - AI 기능은 외부 서비스 호출로 가장 무거운 작업
  * - 파워 유저는 많은 일정을 한 번에 관리
  * - 시스템의 최대 부하 상황 시뮬레이션
  */
-export function powerUserScenario() {
+export function powerUserScenario(data) {
     const scenarioStart = new Date();
     let scenarioSuccess = true;
 
     group('power_user_flow', function () {
-        // 1. 회원가입
-        const signupResult = signup();
-        if (!signupResult) {
+        // 1. 로그인 (스케줄 이력이 있는 풀 계정)
+        const session = startSession(data.accounts, 'returning');
+        if (!session) {
             scenarioSuccess = false;
             return;
         }
 
-        const { accessToken } = signupResult;
-
         thinkTime(1, 2);
 
         // 2. 프로필 조회
-        getProfile(accessToken);
+        session.getProfile();
 
         // 3. 스케줄 조회 + DayPlan ID 추출
-        const scheduleInfo = getSchedulesByDate(accessToken);
-        if (!scheduleInfo || !scheduleInfo.dayPlanId) {
-            console.warn('powerUserScenario: Failed to get dayPlanId');
+        if (!session.getDayPlanId()) {
             scenarioSuccess = false;
-            logout(accessToken);
+            session.logout();
             return;
         }
 
-        const dayPlanId = scheduleInfo.dayPlanId;
-
         thinkTime(2, 3);
 
         // 4. 다수의 스케줄 생성 (3-5개)
@@ -438,7 +452,7 @@ export function powerUserScenario() {
         const createdSchedules = [];
 
         for (let i = 0; i < scheduleCount; i++) {
-            const schedule = createSchedule(accessToken, dayPlanId, {
+            const schedule = session.createSchedule({
                 type: 'FLEX',
                 title: `Power Task ${i + 1} ${randomString(3)}`,
                 startAt: getTimeAfterMinutes(i * 30),
@@ -459,25 +473,20 @@ export function powerUserScenario() {
 
         // 5. AI 스케줄 배치 요청
         // (이 API는 외부 AI 서비스 호출로 응답 시간이 김)
-        aiScheduleArrangement(accessToken, dayPlanId);
+        session.arrangeWithAi();
 
         thinkTime(3, 5);
 
         // 6. 결과 확인
-        getSchedules(accessToken, dayPlanId);
+        session.listSchedules();
 
         thinkTime(2, 3);
 
         // 7. 정리 (생성한 스케줄 삭제)
-        for (const schedule of createdSchedules) {
-            if (schedule && schedule.scheduleId) {
-                deleteSchedule(accessToken, schedule.scheduleId);
-                thinkTime(0.3, 0.5);
-            }
-        }
+        session.deleteSchedules(createdSchedules, () => thinkTime(0.3, 0.5));
 
         // 8. 로그아웃
-        logout(accessToken);
+        session.logout();
     });
 
     fullScenarioDuration.add(new Date() - scenarioStart);
@@ -490,34 +499,77 @@ export function powerUserScenario() {
 // 라이프사이클 훅
 // ============================================================================
 
+/**
+ * 실제 시나리오 설정으로 트래픽 믹스 출력 (비율, 부하 프로필, 최대 VU)
+ */
+function logTrafficMix() {
+    let totalPeakVUs = 0;
+
+    console.log('📋 Traffic mix:');
+    Object.entries(SCENARIOS).forEach(([name, scenario]) => {
+        const entry = TRAFFIC_MIX[name];
+        const profile = describeLoadProfile(scenario);
+        totalPeakVUs += profile.peakVUs;
+        console.log(`   - ${name}: ${(entry.weight / totalWeight() * 100).toFixed(0)}% (${entry.label}) - ${profile.description}`);
+    });
+    console.log(`   - Total: ${totalPeakVUs} VU (peak)`);
+}
+
+function totalWeight() {
+    return Object.values(TRAFFIC_MIX).reduce((sum, entry) => sum + entry.weight, 0);
+}
+
+/**
+ * 유형별 반복 소요 시간의 비율 가중 평균 (초)
+ */
+function averageIterationSeconds() {
+    return Object.values(TRAFFIC_MIX)
+        .reduce((sum, entry) => sum + entry.iterationSeconds * entry.weight, 0) / totalWeight();
+}
+
+/**
+ * 가장 긴 시나리오의 실행 시간 (초, gracefulStop 제외)
+ */
+function scenarioSeconds() {
+    return Math.max(...Object.values(SCENARIOS).map(scenario => (scenario.stages
+        ? scenario.stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0)
+        : parseDuration(scenario.duration))));
+}
+
 export function setup() {
     console.log('========================================');
     console.log('🎭 Scenario-Based Test Started');
     console.log('========================================');
-    console.log(`Target: ${__ENV.K6_BASE_URL || 'http://localhost:8080'}`);
-    console.log(`Duration: ~10 minutes`);
-    console.log('');
-    console.log('📋 Active Scenarios:');
-    console.log('   - new_users: 10% (signup flow)');
-    console.log('   - returning_users: 60% (signup + read-heavy)');
-    console.log('   - active_users: 25% (signup + CRUD mix)');
-    console.log('   - power_users: 5% (signup + AI features)');
+    console.log(`Target: ${PROFILE.apiUrl} (profile: ${PROFILE.name})`);
+    console.log(`Duration: ~${Math.round(scenarioSeconds() / 60)} minutes`);
+    console.log(`Load model: ${resolveLoadModel()}`);
     console.log('');
-    console.log('📊 Peak VUs per scenario:');
-    console.log('   - new_users: 10 VU');
-    console.log('   - returning_users: 60 VU');
-    console.log('   - active_users: 25 VU');
-    console.log('   - power_users: 5 VU');
-    console.log('   - Total: 100 VU');
+    logTrafficMix();
     console.log('');
 
+    // 운영 환경 보호 가드 (정책 위반 시 테스트 중단)
+    // 반복 중 회원가입은 new_users 비율만큼, setup에서는 풀 계정 준비
+    enforceSafetyGuard('scenario', options, {
+        signupsPerIteration: TRAFFIC_MIX.new_users.weight / totalWeight(),
+        iterationSeconds: averageIterationSeconds(),
+        setupSignups: accountGuardLoad(options, {}, 'returning').setupSignups,
+    });
+
     // 서버 헬스체크
     const isHealthy = healthCheck();
     if (!isHealthy) {
         throw new Error('Server health check failed');
     }
 
+    // 로그인 시나리오(재방문·활성·파워 유저)용 계정 풀과 스케줄 이력 준비
+    // 회원가입(bcrypt)은 new_users에서만 발생
+    // pickAccount()는 모든 시나리오에 걸친 VU 번호로 계정을 배정하므로 풀도 전체 VU 수 기준
+    // (로그인 시나리오 VU 수만큼만 준비하면 남는 VU가 다른 VU의 계정을 함께 써서 로그아웃 시 토큰이 무효화됨)
+    const accounts = prepareAccountPool(accountPoolSize(options), 'returning');
+    seedScheduleHistory(accounts);
+
     return {
+        accounts: accounts,
         startTime: new Date().toISOString(),
         testType: 'scenario',
     };
@@ -537,3 +589,9 @@ export function teardown(data) {
     console.log('   - Is write/read ratio balanced?');
     console.log('   - Does AI feature need rate limiting?');
 }
+
+export function handleSummary(data) {
+    return createReportOutput(data, 'scenario-test', {
+        sections: [renderScenarioSection(data, SCENARIOS)],
+    });
+}
@@ -0,0 +1,249 @@
+/**
+ * Molip 사용자 세션 클라이언트
+ *
+ * 왜 필요한가?
+ * - 테스트 스크립트마다 accessToken, cookies, dayPlanId를 지역 변수로 관리하고 있었음
+ * - getSchedulesByDate → dayPlanId 추출 → 실패 시 중단하는 코드가 모든 시나리오에 복사됨
+ * - 세션 객체가 인증 상태와 날짜별 dayPlanId를 소유하면 시나리오는 사용자 행동의 나열이 됨
+ *
+ * helpers.js의 함수를 그대로 사용하므로 메트릭, 체크, 401 자동 토큰 갱신 동작은 동일
+ *
+ * 사용 예:
+ *
+ *   const session = MolipSession.signup();
+ *   if (!session) return;
+ *   session.getProfile();
+ *   if (!session.getDayPlanId()) return;
+ *   const schedule = session.createSchedule({ title: '...' });
+ *   session.completeSchedule(schedule.scheduleId);
+ *   session.logout();
+ */
+
+import { getTodayDate } from './config.js';
+import {
+    login,
+    signup,
+    logout,
+    refreshToken,
+    getTokenExpiry,
+    getProfile,
+    searchUsers,
+    createSchedule,
+    getSchedules,
+    getSchedulesByDate,
+    updateSchedule,
+    updateScheduleStatus,
+    deleteSchedule,
+    aiScheduleArrangement,
+    getNotifications,
+} from './helpers.js';
+
+export class MolipSession {
+    /**
+     * @param {object} auth - login()/signup() 결과 { accessToken, cookies, userId? }
+     */
+    constructor(auth) {
+        this.accessToken = auth.accessToken;
+        this.cookies = auth.cookies || {};
+        this.userId = auth.userId || null;
+        this.dayPlanIds = {};
+        this.loggedOut = false;
+    }
+
+    // ========================================================================
+    // 세션 생성
+    // ========================================================================
+
+    /**
+     * 신규 회원가입으로 세션 생성
+     *
+     * @returns {MolipSession} - 세션 또는 null (실패 시)
+     */
+    static signup() {
+        const result = signup();
+        return result ? new MolipSession(result) : null;
+    }
+
+    /**
+     * 기존 계정 로그인으로 세션 생성
+     *
+     * @param {string} email - 이메일
+     * @param {string} password - 비밀번호
+     * @returns {MolipSession} - 세션 또는 null (실패 시)
+     */
+    static login(email, password) {
+        const result = login(email, password);
+        return result ? new MolipSession(result) : null;
+    }
+
+    // ========================================================================
+    // 토큰 관리
+    // ========================================================================
+
+    /**
+     * 액세스 토큰 만료 시각 (epoch 초, 해석 불가 시 null)
+     *
+     * 401 자동 갱신으로 토큰이 바뀌어도 항상 현재 토큰 기준
+     */
+    get expiresAt() {
+        return getTokenExpiry(this.accessToken);
+    }
+
+    /**
+     * Refresh Token으로 액세스 토큰 갱신
+     *
+     * @returns {boolean} - 갱신 성공 여부
+     */
+    refresh() {
+        const renewed = refreshToken(this.cookies);
+        if (!renewed) {
+            return false;
+        }
+        this.accessToken = renewed.accessToken;
+        this.cookies = { ...this.cookies, ...renewed.cookies };
+        return true;
+    }
+
+    /**
+     * 만료가 임박한 경우에만 갱신
+     *
+     * @param {number} marginSeconds - 만료 몇 초 전부터 갱신할지
+     * @returns {boolean} - 토큰이 유효한 상태인지 (갱신 불필요 또는 갱신 성공)
+     */
+    refreshIfExpiring(marginSeconds = 60) {
+        const expiresAt = this.expiresAt;
+        if (!expiresAt || expiresAt - Date.now() / 1000 > marginSeconds) {
+            return true;
+        }
+        return this.refresh();
+    }
+
+    logout() {
+        logout(this);
+        this.loggedOut = true;
+    }
+
+    // ========================================================================
+    // 프로필 / 사용자
+    // ========================================================================
+
+    getProfile() {
+        return getProfile(this);
+    }
+
+    searchUsers(nickname, page = 1, size = 10) {
+        return searchUsers(this, nickname, page, size);
+    }
+
+    getNotifications(page = 1, size = 10) {
+        return getNotifications(this, page, size);
+    }
+
+    // ========================================================================
+    // 스케줄
+    // ========================================================================
+
+    /**
+     * 날짜별 스케줄 화면 조회 (항상 요청 전송)
+     *
+     * 응답의 dayPlanId를 캐시에 저장
+     *
+     * @param {string} date - YYYY-MM-DD (기본: 오늘)
+     * @returns {object} - { dayPlanId, schedules, response } 또는 null
+     */
+    viewSchedules(date = getTodayDate()) {
+        const result = getSchedulesByDate(this, date);
+        if (result && result.dayPlanId) {
+            this.dayPlanIds[date] = result.dayPlanId;
+        }
+        return result;
+    }
+
+    /**
+     * 날짜의 dayPlanId 조회 (캐시 우선)
+     *
+     * 캐시에 없으면 viewSchedules()로 조회하며, 실패 시 경고 로그를 남김
+     *
+     * @param {string} date - YYYY-MM-DD (기본: 오늘)
+     * @returns {number} - dayPlanId 또는 null
+     */
+    getDayPlanId(date = getTodayDate()) {
+        if (!this.dayPlanIds[date]) {
+            this.viewSchedules(date);
+        }
+        if (!this.dayPlanIds[date]) {
+            console.warn(`VU ${__VU}: Failed to get dayPlanId for ${date}`);
+            return null;
+        }
+        return this.dayPlanIds[date];
+    }
+
+    /**
+     * dayPlanId가 캐시되어 있는지 (요청 없음)
+     */
+    hasDayPlan(date = getTodayDate()) {
+        return Boolean(this.dayPlanIds[date]);
+    }
+
+    /**
+     * 스케줄 목록 조회
+     */
+    listSchedules(page = 1, size = 10, date = getTodayDate()) {
+        return getSchedules(this, this.dayPlanIds[date], page, size);
+    }
+
+    /**
+     * 스케줄 생성 (dayPlanId는 세션이 조회)
+     *
+     * @param {object} scheduleData - 스케줄 데이터 (null이면 기본값)
+     * @param {string} date - YYYY-MM-DD (기본: 오늘)
+     * @returns {object} - 생성된 스케줄 또는 null
+     */
+    createSchedule(scheduleData = null, date = getTodayDate()) {
+        const dayPlanId = this.getDayPlanId(date);
+        if (!dayPlanId) {
+            return null;
+        }
+        return createSchedule(this, dayPlanId, scheduleData);
+    }
+
+    updateSchedule(scheduleId, updateData) {
+        return updateSchedule(this, scheduleId, updateData);
+    }
+
+    completeSchedule(scheduleId) {
+        return updateScheduleStatus(this, scheduleId, 'DONE');
+    }
+
+    deleteSchedule(scheduleId) {
+        return deleteSchedule(this, scheduleId);
+    }
+
+    /**
+     * 생성한 스케줄 목록 일괄 삭제 (null / scheduleId 없는 항목은 무시)
+     *
+     * @param {array} schedules - createSchedule() 결과 배열
+     * @param {function} between - 삭제 사이에 호출할 함수 (think time 등)
+     */
+    deleteSchedules(schedules, between = null) {
+        schedules
+            .filter(schedule => schedule && schedule.scheduleId)
+            .forEach(schedule => {
+                this.deleteSchedule(schedule.scheduleId);
+                if (between) {
+                    between();
+                }
+            });
+    }
+
+    /**
+     * AI 스케줄 배치
+     */
+    arrangeWithAi(date = getTodayDate()) {
+        const dayPlanId = this.getDayPlanId(date);
+        if (!dayPlanId) {
+            return null;
+        }
+        return aiScheduleArrangement(this, dayPlanId);
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * 엔드포인트별 SLO와 에러 예산
+ *
+ * 왜 필요한가?
+ * - config.js는 http_req_failed rate<0.01을 "99.9% 가용성 SLO"로 설명하지만
+ *   어떤 보고서도 가용성이나 예산 소진을 계산하지 않았음
+ * - 임계값은 통과/실패만 알려주므로 "목표 대비 얼마나 여유가 있는지"를 운영 모니터링과 같은 언어로 말할 수 없음
+ *
+ * SLI (요청마다 기록, name 태그):
+ * - slo_availability: 서버가 처리한 요청 (5xx·전송 실패가 아니면 good)
+ *   → 4xx는 클라이언트 요청 문제이므로 가용성 예산을 소모하지 않음
+ * - slo_latency: 응답 시간이 카탈로그 slo.p95 미만이면 good (응답을 받은 요청만)
+ *   → "로그인 요청의 95%가 500ms 이내" 같은 지연 목표
+ *
+ * 계산 (실행 구간 기준):
+ * - 달성률: good / 전체
+ * - 소진 속도(burn rate): 실제 bad 비율 / 허용 bad 비율 (1 = 예산을 정확히 기간에 맞춰 소모)
+ * - 예산 소모: 이 속도로 실행 시간만큼 소모한 30일 에러 예산의 비율
+ *
+ * 목표값은 endpoints.js 카탈로그의 slo.availability / slo.p95에서 읽음
+ */
+
+import { Rate } from 'k6/metrics';
+import { ENDPOINTS, metricLabel, hasSamples } from './endpoints.js';
+
+// ============================================================================
+// SLO 정의
+// ============================================================================
+
+/**
+ * 에러 예산 기간 (운영 모니터링의 SLO 기간과 동일)
+ */
+export const SLO_PERIOD_DAYS = 30;
+
+/**
+ * 지연 목표의 달성 비율 (카탈로그 slo.p95 = 95%의 요청이 이 시간 이내)
+ */
+export const LATENCY_TARGET = 0.95;
+
+/**
+ * 빠른 소진 기준 (1시간에 30일 예산의 2%를 소모하는 속도, 운영 알림의 페이지 기준)
+ */
+export const FAST_BURN_RATE = 14.4;
+
+/**
+ * 엔드포인트의 SLO 목표
+ *
+ * @param {object} endpoint - ENDPOINTS 항목
+ * @returns {object} - { availability, latency: { target, thresholdMs } } (SLO가 없으면 null)
+ */
+export function sloObjectives(endpoint) {
+    if (!endpoint.slo) {
+        return null;
+    }
+    return {
+        availability: endpoint.slo.availability,
+        latency: { target: LATENCY_TARGET, thresholdMs: endpoint.slo.p95 },
+    };
+}
+
+// ============================================================================
+// SLI 메트릭
+// ============================================================================
+
+export const sloAvailability = new Rate('slo_availability');
+export const sloLatency = new Rate('slo_latency');
+
+/**
+ * 요청 하나의 SLI 기록
+ *
+ * errors.js의 recordResponse()가 최종 응답마다 호출
+ *
+ * @param {object} endpoint - ENDPOINTS 항목
+ * @param {object} response - k6 Response
+ * @param {object} result - parseResponse() 결과
+ */
+export function recordSloEvents(endpoint, response, result) {
+    const objectives = sloObjectives(endpoint);
+    if (!objectives) {
+        return;
+    }
+
+    const tags = { name: endpoint.tag };
+    sloAvailability.add(result.kind !== 'transport' && result.kind !== 'server', tags);
+    if (result.kind !== 'transport') {
+        sloLatency.add(response.timings.duration < objectives.latency.thresholdMs, tags);
+    }
+}
+
+/**
+ * 엔드포인트별 SLI 서브메트릭을 요약(handleSummary)에 포함시키기 위한 임계값 (항상 통과)
+ *
+ * @returns {object} - { 'slo_availability{name:login}': ['rate>=0'], ... }
+ */
+export function sloThresholds() {
+    const thresholds = {};
+    Object.values(ENDPOINTS)
+        .filter(endpoint => sloObjectives(endpoint))
+        .forEach(endpoint => {
+            thresholds[`slo_availability{name:${endpoint.tag}}`] = ['rate>=0'];
+            thresholds[`slo_latency{name:${endpoint.tag}}`] = ['rate>=0'];
+        });
+    return thresholds;
+}
+
+// ============================================================================
+// 달성률과 에러 예산
+// ============================================================================
+
+/**
+ * 실행 구간의 엔드포인트별 SLO 평가
+ *
+ * @param {object} data - handleSummary data
+ * @returns {array} - [{ endpoint, sli, target, objective, good, total, attainment, burnRate, budgetConsumed, met }]
+ */
+export function evaluateSlos(data) {
+    const metrics = data.metrics || {};
+    const runMs = (data.state && data.state.testRunDurationMs) || 0;
+    const periodShare = runMs / (SLO_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    const rows = [];
+
+    Object.values(ENDPOINTS).forEach(endpoint => {
+        const objectives = sloObjectives(endpoint);
+        if (!objectives) {
+            return;
+        }
+
+        const slis = [
+            { sli: 'availability', metric: 'slo_availability', target: objectives.availability, objective: '5xx·전송 실패 제외' },
+            { sli: 'latency', metric: 'slo_latency', target: objectives.latency.target, objective: `< ${objectives.latency.thresholdMs}ms` },
+        ];
+
+        slis.forEach(item => {
+            const metric = metrics[`${item.metric}{name:${endpoint.tag}}`];
+            if (!metric || !hasSamples(metric)) {
+                return;
+            }
+            const good = metric.values.passes || 0;
+            const total = good + (metric.values.fails || 0);
+            const attainment = total > 0 ? good / total : 1;
+            const burnRate = (1 - attainment) / (1 - item.target);
+
+            rows.push({
+                endpoint: endpoint.tag,
+                sli: item.sli,
+                target: item.target,
+                objective: item.objective,
+                good: good,
+                total: total,
+                attainment: attainment,
+                burnRate: burnRate,
+                budgetConsumed: burnRate * periodShare,
+                met: attainment >= item.target,
+            });
+        });
+    });
+
+    return rows;
+}
+
+// ============================================================================
+// 보고서 섹션
+// ============================================================================
+
+/**
+ * Markdown 요약에 나열할 미달 SLO 최대 개수
+ */
+const MARKDOWN_MAX_MISSED = 8;
+
+const SLI_LABELS = {
+    availability: '가용성',
+    latency: '지연',
+};
+
+/**
+ * SLO 섹션 생성 ({ title, html, text, markdown })
+ *
+ * createReportOutput이 모든 테스트에 자동으로 추가 (SLI가 기록되지 않았으면 null)
+ *
+ * @param {object} data - handleSummary data
+ * @returns {object|null} - 섹션
+ */
+export function renderSloSection(data) {
+    const rows = evaluateSlos(data);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const missed = rows.filter(row => !row.met);
+    const verdict = missed.length === 0
+        ? `✅ 모든 SLO 달성 (${rows.length}개)`
+        : `❌ SLO 미달 ${missed.length}/${rows.length}개`;
+
+    const html = `
+            <p style="margin-bottom: 15px;"><strong>${verdict}</strong>
+                <span style="color: #888;"> — 예산 소모는 이 소진 속도로 실행 시간만큼 쓴 ${SLO_PERIOD_DAYS}일 에러 예산의 비율</span></p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>엔드포인트</th>
+                        <th>SLI</th>
+                        <th>목표</th>
+                        <th>달성률</th>
+                        <th>bad / 전체</th>
+                        <th>소진 속도</th>
+                        <th>예산 소모 (${SLO_PERIOD_DAYS}일)</th>
+                        <th>판정</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                    <tr>
+                        <td>${metricLabel(row.endpoint)}</td>
+                        <td>${SLI_LABELS[row.sli]}</td>
+                        <td>${formatTarget(row)}</td>
+                        <td class="${row.met ? '' : 'danger-text'}">${formatPercent(row.attainment, 3)}</td>
+                        <td>${row.total - row.good} / ${row.total}</td>
+                        <td class="${row.burnRate > 1 ? 'danger-text' : ''}">${formatBurnRate(row.burnRate)}</td>
+                        <td>${formatPercent(row.budgetConsumed, 3)}</td>
+                        <td>${burnVerdict(row)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+
+    const text = [
+        `    ${verdict}`,
+        ...rows.map(row => `    ${row.met ? '✓' : '✗'} ${row.endpoint} ${row.sli}: ${formatPercent(row.attainment, 3)} ` +
+            `(target ${formatTarget(row)}) burn=${formatBurnRate(row.burnRate)} budget=${formatPercent(row.budgetConsumed, 3)}`),
+    ].join('\n');
+
+    // Markdown: PR 본문에 붙이므로 미달 SLO만 표시 (전체 목록은 HTML 보고서)
+    const markdownLines = [verdict];
+    if (missed.length > 0) {
+        markdownLines.push(
+            '',
+            '| 엔드포인트 | SLI | 목표 | 달성률 | 소진 속도 | 예산 소모 |',
+            '|------------|-----|------|--------|-----------|-----------|',
+            ...missed.slice(0, MARKDOWN_MAX_MISSED).map(row => `| ❌ ${metricLabel(row.endpoint)} | ${SLI_LABELS[row.sli]} | ${formatTarget(row)} | ` +
+                `${formatPercent(row.attainment, 3)} | ${formatBurnRate(row.burnRate)} | ${formatPercent(row.budgetConsumed, 3)} |`)
+        );
+        if (missed.length > MARKDOWN_MAX_MISSED) {
+            markdownLines.push('', `… 외 ${missed.length - MARKDOWN_MAX_MISSED}건 (HTML 보고서 참고)`);
+        }
+    }
+    const markdown = markdownLines.join('\n');
+
+    return { title: '🎯 SLO 및 에러 예산', html, text, markdown };
+}
+
+function burnVerdict(row) {
+    if (row.burnRate >= FAST_BURN_RATE) return '🔥 빠른 소진';
+    if (row.burnRate > 1) return '⚠️ 예산 초과 속도';
+    return '✅';
+}
+
+function formatTarget(row) {
+    return `${formatPercent(row.target, 1)} ${row.objective}`;
+}
+
+function formatPercent(rate, digits) {
+    return `${(rate * 100).toFixed(digits)}%`;
+}
+
+function formatBurnRate(burnRate) {
+    return `${burnRate.toFixed(2)}x`;
+}
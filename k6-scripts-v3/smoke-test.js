@@ -32,23 +32,30 @@
 
 import { sleep } from 'k6';
 import {
-    SMOKE_TEST_STAGES,
-    COMMON_THRESHOLDS,
+    PROFILE,
+    mergeThresholds,
+    SUMMARY_TREND_STATS,
 } from './config.js';
 import {
-    signup,
-    logout,
-    getProfile,
-    getSchedulesByDate,
     healthCheck,
     thinkTime,
 } from './helpers.js';
+import { USER_MODE, prepareAccountPool, accountPoolSize, accountGuardLoad, startSession, accountEndpoints } from './account-pool.js';
+import { errorBreakdownThresholds } from './errors.js';
+import { baselineThresholds } from './baseline.js';
+import { sloThresholds } from './slo.js';
+import { enforceSafetyGuard } from './safety-guard.js';
 import { createReportOutput } from './report-generator.js';
 
 // ============================================================================
 // 테스트 설정
 // ============================================================================
 
+/**
+ * 이 테스트가 호출하는 엔드포인트 (에러 분석·기준 실행 비교 대상)
+ */
+const TEST_ENDPOINTS = [...accountEndpoints(), 'get_profile', 'get_schedules_by_date', 'logout'];
+
 export const options = {
     /**
      * 스모크 테스트 단계 설정
@@ -60,7 +67,7 @@ export const options = {
      * - 1명으로 시작하여 기본 동작 확인
      * - 5명으로 증가하여 동시성 기본 테스트
      */
-    stages: SMOKE_TEST_STAGES,
+    stages: PROFILE.stages.smoke,
 
     /**
      * Graceful 종료 설정
@@ -68,6 +75,9 @@ export const options = {
     gracefulStop: '10s',
     gracefulRampDown: '10s',
 
+    // 보고서용 통계 (p(99)와 count는 기준 실행 비교에 사용)
+    summaryTrendStats: SUMMARY_TREND_STATS,
+
     /**
      * 스모크 테스트용 임계값
      *
@@ -75,11 +85,17 @@ export const options = {
      * - 기본 기능이므로 빠른 응답 필수
      * - 실패율 0% 목표 (0.1% 허용)
      */
-    thresholds: {
+    thresholds: mergeThresholds({
         http_req_duration: ['p(95)<1000', 'p(99)<2000'],
         http_req_failed: ['rate<0.001'], // 0.1% 미만
         checks: ['rate>0.99'], // 99% 이상의 체크 통과
-    },
+
+        // 보고서 에러 분석용 서브메트릭 (항상 통과, 이 테스트가 호출하는 엔드포인트만)
+        ...errorBreakdownThresholds(TEST_ENDPOINTS),
+
+        // 보고서 SLO·에러 예산 섹션용 서브메트릭 (항상 통과)
+        ...sloThresholds(),
+    }, baselineThresholds('smoke-test', TEST_ENDPOINTS)), // 기준 실행 대비 회귀 감지 (K6_BASELINE 설정 시)
 };
 
 // ============================================================================
@@ -101,7 +117,7 @@ export const options = {
  * - 이메일은 타임스탬프 + 랜덤 문자열로 중복 방지
  * - 실제 신규 사용자 플로우 테스트
  */
-export default function () {
+export default function (data) {
     // Step 1: 헬스체크
     const isHealthy = healthCheck();
     if (!isHealthy) {
@@ -111,20 +127,18 @@ export default function () {
 
     thinkTime(0.5, 1);
 
-    // Step 2: 회원가입 (고유 이메일 자동 생성)
-    const signupResult = signup();
+    // Step 2: 회원가입 (고유 이메일 자동 생성, K6_USER_MODE=returning이면 풀 계정 로그인)
+    const session = startSession(data.accounts);
 
-    if (!signupResult) {
+    if (!session) {
         console.error(`VU ${__VU}: Signup failed - aborting iteration`);
         return;
     }
 
-    const { accessToken } = signupResult;
-
     thinkTime(0.5, 1);
 
     // Step 3: 프로필 조회
-    const profile = getProfile(accessToken);
+    const profile = session.getProfile();
     if (!profile) {
         console.warn(`VU ${__VU}: Get profile failed`);
     }
@@ -132,12 +146,12 @@ export default function () {
     thinkTime(0.5, 1);
 
     // Step 4: 오늘 스케줄 조회
-    getSchedulesByDate(accessToken);
+    session.viewSchedules();
 
     thinkTime(0.5, 1);
 
     // Step 5: 로그아웃
-    logout(accessToken);
+    session.logout();
 
     // 다음 반복 전 짧은 대기
     sleep(1);
@@ -155,16 +169,25 @@ export function setup() {
     console.log('========================================');
     console.log('🔥 Smoke Test Started');
     console.log('========================================');
-    console.log('Mode: 회원가입 기반 테스트 (고유 이메일 자동 생성)');
+    console.log(`Target: ${PROFILE.apiUrl} (profile: ${PROFILE.name})`);
+    console.log(USER_MODE === 'signup'
+        ? 'Mode: 회원가입 기반 테스트 (고유 이메일 자동 생성)'
+        : 'Mode: 재방문 사용자 테스트 (계정 풀 로그인)');
     console.log('');
 
+    // 운영 환경 보호 가드 (정책 위반 시 테스트 중단)
+    enforceSafetyGuard('smoke', options, accountGuardLoad(options, { signupsPerIteration: 1, iterationSeconds: 5 }));
+
     // 서버 가용성 사전 확인
     const isHealthy = healthCheck();
     if (!isHealthy) {
         throw new Error('Server is not responding - cannot proceed with test');
     }
 
-    return { startTime: new Date().toISOString() };
+    // 재방문 사용자 모드의 계정 풀 준비 (K6_USER_MODE=returning)
+    const accounts = prepareAccountPool(accountPoolSize(options));
+
+    return { accounts: accounts, startTime: new Date().toISOString() };
 }
 
 /**
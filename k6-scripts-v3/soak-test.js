@@ -0,0 +1,453 @@
+/**
+ * K6 소크 테스트 (Soak Test / Endurance Test)
+ *
+ * ============================================================================
+ * 소크 테스트란?
+ * ============================================================================
+ *
+ * 일정한 부하를 장시간 유지하여 시간이 지나면서 나타나는 문제를 찾는 테스트입니다.
+ *
+ * 왜 필요한가?
+ * 1. 리소스 누수 발견
+ *    - 메모리 누수로 인한 GC 증가 → 응답 시간 점진적 증가
+ *    - DB 커넥션 풀 / 파일 핸들 고갈 → 에러율 점진적 증가
+ *
+ * 2. 장시간 세션 검증
+ *    - 실제 사용자처럼 로그인 상태를 오래 유지
+ *    - Access Token 만료 → Refresh Token으로 갱신하는 흐름 검증
+ *
+ * 3. 드리프트 측정
+ *    - 유지 구간의 첫 1시간과 마지막 1시간의 p95 응답 시간, 에러율 비교
+ *    - 평균만 보면 묻히는 점진적 성능 저하를 드러냄
+ *
+ * 실행 방법:
+ * k6 run soak-test.js
+ * K6_SOAK_DURATION=4h k6 run soak-test.js
+ */
+
+import { group, sleep } from 'k6';
+import exec from 'k6/execution';
+import { Counter } from 'k6/metrics';
+import {
+    PROFILE,
+    buildSoakStages,
+    parseDuration,
+    randomString,
+    getCurrentTime,
+    getTimeAfterMinutes,
+    mergeThresholds,
+    SUMMARY_TREND_STATS,
+} from './config.js';
+import { createReportOutput, groupThresholds } from './report-generator.js';
+import {
+    healthCheck,
+    thinkTime,
+    fullScenarioDuration,
+    scenarioFailRate,
+} from './helpers.js';
+import { prepareAccountPool, accountPoolSize, accountGuardLoad, startSession, accountEndpoints } from './account-pool.js';
+import { errorBreakdownThresholds } from './errors.js';
+import { hasSamples } from './endpoints.js';
+import { baselineThresholds } from './baseline.js';
+import { sloThresholds } from './slo.js';
+import { enforceSafetyGuard, getPeakVUs } from './safety-guard.js';
+
+// ============================================================================
+// 단계 및 드리프트 측정 구간
+// ============================================================================
+
+/**
+ * K6_SOAK_DURATION이 있으면 유지 구간 길이만 교체, 없으면 프로필 기본값 사용
+ * (VU 수는 프로필의 유지 구간 target 유지)
+ */
+const SOAK_STAGES = __ENV.K6_SOAK_DURATION
+    ? buildSoakStages(__ENV.K6_SOAK_DURATION, PROFILE.stages.soak[1].target)
+    : PROFILE.stages.soak;
+
+const RAMP_UP_SECONDS = parseDuration(SOAK_STAGES[0].duration);
+const STEADY_SECONDS = parseDuration(SOAK_STAGES[1].duration);
+
+/**
+ * 드리프트 비교 구간 길이
+ *
+ * 기본 1시간, 유지 구간이 2시간보다 짧으면 유지 구간의 절반
+ * (첫 구간과 마지막 구간이 겹치지 않도록)
+ */
+const DRIFT_WINDOW_SECONDS = Math.min(3600, STEADY_SECONDS / 2);
+
+/**
+ * 드리프트 판정 기준
+ *
+ * - p95 응답 시간이 20% 이상 증가
+ * - 에러율이 1%p 이상 증가
+ */
+const DRIFT_TOLERANCE = {
+    latencyIncrease: 0.20,
+    errorRateIncrease: 0.01,
+};
+
+/**
+ * 토큰 만료 몇 초 전에 갱신할지
+ */
+const TOKEN_RENEW_MARGIN_SECONDS = 60;
+
+// 세션 갱신 메트릭
+const sessionRenewals = new Counter('soak_session_renewals');
+const sessionResets = new Counter('soak_session_resets');
+
+// ============================================================================
+// 테스트 설정
+// ============================================================================
+
+/**
+ * 이 테스트가 호출하는 엔드포인트 (에러 분석·기준 실행 비교 대상)
+ */
+const TEST_ENDPOINTS = [
+    ...accountEndpoints(),
+    'get_profile',
+    'get_notifications',
+    'get_schedules_by_date',
+    'get_schedules',
+    'create_schedule',
+    'delete_schedule',
+];
+
+export const options = {
+    stages: SOAK_STAGES,
+
+    gracefulStop: '60s',
+    gracefulRampDown: '30s',
+
+    // 보고서용 통계 (p(99)와 count는 기준 실행 비교에 사용)
+    summaryTrendStats: SUMMARY_TREND_STATS,
+
+    /**
+     * 소크 테스트 임계값
+     *
+     * 로드 테스트와 같은 운영 기준을 장시간 유지하는지 확인
+     *
+     * soak_window 태그 임계값은 판정용이 아니라
+     * 구간별 서브메트릭을 summary에 포함시키기 위한 것
+     */
+    thresholds: mergeThresholds({
+        ...PROFILE.thresholds,
+        'scenario_failures': ['rate<0.05'],
+
+        'http_req_duration{soak_window:first}': ['p(95)>=0'],
+        'http_req_duration{soak_window:last}': ['p(95)>=0'],
+        'http_req_failed{soak_window:first}': ['rate>=0'],
+        'http_req_failed{soak_window:last}': ['rate>=0'],
+
+        // 보고서 에러 분석용 서브메트릭 (항상 통과, 이 테스트가 호출하는 엔드포인트만)
+        ...errorBreakdownThresholds(TEST_ENDPOINTS),
+
+        // 보고서 SLO·에러 예산 섹션용 서브메트릭 (항상 통과)
+        ...sloThresholds(),
+
+        // 보고서 그룹 계층용 그룹 소요 시간 (항상 통과)
+        ...groupThresholds([
+            '01_Open_Session',
+            '02_Main_Screen',
+            '03_Schedule_Operations',
+            '04_Notifications',
+        ]),
+    }, baselineThresholds('soak-test', TEST_ENDPOINTS)), // 기준 실행 대비 회귀 감지 (K6_BASELINE 설정 시)
+};
+
+// ============================================================================
+// VU별 장기 세션
+// ============================================================================
+
+/**
+ * VU마다 하나의 세션을 테스트 전체 동안 유지
+ *
+ * k6에서 모듈 스코프 변수는 VU별로 독립적이므로 iteration 간에 유지됨
+ */
+let session = null;
+
+/**
+ * 현재 경과 시간에 맞는 soak_window 태그 설정
+ *
+ * 이후 이 VU가 보내는 모든 요청에 태그가 붙음
+ */
+function tagDriftWindow() {
+    // 단계는 시나리오 시작(setup 이후)부터 흐르므로 setup 시간이 구간 경계를 밀지 않도록 시나리오 경과 시간 사용
+    const elapsedSeconds = (Date.now() - exec.scenario.startTime) / 1000;
+    const steadyElapsed = elapsedSeconds - RAMP_UP_SECONDS;
+
+    let window = 'ramp';
+    if (steadyElapsed >= 0 && steadyElapsed < STEADY_SECONDS) {
+        if (steadyElapsed < DRIFT_WINDOW_SECONDS) {
+            window = 'first';
+        } else if (steadyElapsed >= STEADY_SECONDS - DRIFT_WINDOW_SECONDS) {
+            window = 'last';
+        } else {
+            window = 'middle';
+        }
+    }
+
+    exec.vu.metrics.tags.soak_window = window;
+}
+
+// ============================================================================
+// 메인 테스트 시나리오
+// ============================================================================
+
+/**
+ * 소크 테스트 시나리오
+ *
+ * 로그인 상태를 유지한 사용자가 앱을 계속 사용하는 패턴:
+ * 1. (첫 iteration만) 회원가입으로 세션 생성
+ * 2. 토큰 만료 임박 시 갱신
+ * 3. 메인 화면 조회 → 스케줄 생성 → 목록 확인 → 삭제 → 알림 확인
+ *
+ * 왜 로그아웃하지 않는가?
+ * - 세션을 오래 유지해야 토큰 갱신 경로와 서버의 세션 관련 리소스가 검증됨
+ * - 매 iteration 회원가입은 bcrypt 비용이 지배적이라 장시간 드리프트를 가림
+ */
+export default function (data) {
+    tagDriftWindow();
+
+    const scenarioStart = new Date();
+    let scenarioSuccess = true;
+
+    if (!session) {
+        group('01_Open_Session', function () {
+            session = startSession(data.accounts);
+        });
+
+        if (!session) {
+            scenarioFailRate.add(true);
+            sleep(5);
+            return;
+        }
+    }
+
+    // 만료 직전이면 Refresh Token으로 갱신, 실패 시 세션을 버리고 다음 iteration에서 새로 생성
+    const accessToken = session.accessToken;
+    if (!session.refreshIfExpiring(TOKEN_RENEW_MARGIN_SECONDS)) {
+        sessionResets.add(1);
+        session = null;
+        scenarioFailRate.add(true);
+        return;
+    }
+    if (session.accessToken !== accessToken) { // 실제로 갱신된 경우만 집계
+        sessionRenewals.add(1);
+    }
+
+    thinkTime(1, 2);
+
+    group('02_Main_Screen', function () {
+        session.getProfile();
+
+        // 메인 화면은 매번 조회 (dayPlanId는 날짜별로 세션에 캐시)
+        session.viewSchedules();
+    });
+
+    if (!session.hasDayPlan()) {
+        scenarioFailRate.add(true);
+        sleep(5);
+        return;
+    }
+
+    thinkTime(2, 4);
+
+    group('03_Schedule_Operations', function () {
+        const createdSchedule = session.createSchedule({
+            type: 'FLEX',
+            title: `Soak ${__VU}_${__ITER}_${randomString(4)}`,
+            startAt: getCurrentTime(),
+            endAt: getTimeAfterMinutes(30),
+            estimatedTimeRange: 'MINUTE_30_TO_60',
+            focusLevel: 3,
+            isUrgent: false,
+        });
+
+        if (!createdSchedule) {
+            scenarioSuccess = false;
+            return;
+        }
+
+        thinkTime(1, 2);
+
+        session.listSchedules();
+
+        thinkTime(1, 2);
+
+        session.deleteSchedule(createdSchedule.scheduleId);
+    });
+
+    thinkTime(2, 4);
+
+    group('04_Notifications', function () {
+        session.getNotifications();
+    });
+
+    fullScenarioDuration.add(new Date() - scenarioStart);
+    scenarioFailRate.add(!scenarioSuccess);
+
+    // 실제 사용자처럼 앱 사용 사이 간격
+    sleep(5);
+}
+
+// ============================================================================
+// 라이프사이클 훅
+// ============================================================================
+
+export function setup() {
+    console.log('========================================');
+    console.log('⏳ Soak Test Started');
+    console.log('========================================');
+    console.log(`Target: ${PROFILE.apiUrl} (profile: ${PROFILE.name})`);
+    console.log(`Steady Duration: ${SOAK_STAGES[1].duration} @ ${SOAK_STAGES[1].target} VU`);
+    console.log(`Drift Window: first/last ${Math.round(DRIFT_WINDOW_SECONDS / 60)} minutes of steady state`);
+    console.log('');
+
+    // 운영 환경 보호 가드 (정책 위반 시 테스트 중단)
+    // VU당 세션 하나만 생성하므로 회원가입 수는 최대 VU 수
+    enforceSafetyGuard('soak', options, accountGuardLoad(options, { setupSignups: getPeakVUs(options) }));
+
+    // 서버 헬스체크
+    const isHealthy = healthCheck();
+    if (!isHealthy) {
+        throw new Error('Server health check failed');
+    }
+
+    // 재방문 사용자 모드의 계정 풀 준비 (K6_USER_MODE=returning)
+    const accounts = prepareAccountPool(accountPoolSize(options));
+
+    return {
+        accounts: accounts,
+        startTime: new Date().toISOString(),
+        testType: 'soak',
+    };
+}
+
+export function teardown(data) {
+    console.log('');
+    console.log('========================================');
+    console.log('✅ Soak Test Completed');
+    console.log('========================================');
+    console.log(`Test Type: ${data.testType}`);
+    console.log(`Started: ${data.startTime}`);
+    console.log(`Finished: ${new Date().toISOString()}`);
+    console.log('');
+    console.log('Analysis Points:');
+    console.log('- Did p95 latency drift between the first and last window?');
+    console.log('- Did the error rate creep up over time?');
+    console.log('- Did token renewals (soak_session_renewals) succeed without resets?');
+}
+
+// ============================================================================
+// 드리프트 요약
+// ============================================================================
+
+/**
+ * 첫 구간 대비 마지막 구간의 p95 / 에러율 변화 계산
+ *
+ * 어느 한 구간에 요청이 없으면 (실행 중단, 짧은 K6_SOAK_DURATION 등) 측정 불가로 처리
+ * (0으로 채우면 "드리프트 없음"으로 잘못 판정됨)
+ *
+ * @param {object} metrics - handleSummary data.metrics
+ * @returns {object} - { first, last, latencyChange, errorRateChange, measured, drifted }
+ */
+function summarizeDrift(metrics) {
+    const windowValues = (window) => ({
+        p95: valueOf(metrics[`http_req_duration{soak_window:${window}}`], 'p(95)'),
+        errorRate: valueOf(metrics[`http_req_failed{soak_window:${window}}`], 'rate'),
+    });
+
+    const first = windowValues('first');
+    const last = windowValues('last');
+
+    const latencyChange = first.p95 !== null && last.p95 !== null && first.p95 > 0
+        ? (last.p95 - first.p95) / first.p95
+        : null;
+    const errorRateChange = first.errorRate !== null && last.errorRate !== null
+        ? last.errorRate - first.errorRate
+        : null;
+
+    return {
+        first,
+        last,
+        latencyChange,
+        errorRateChange,
+        measured: latencyChange !== null && errorRateChange !== null,
+        drifted: (latencyChange !== null && latencyChange > DRIFT_TOLERANCE.latencyIncrease)
+            || (errorRateChange !== null && errorRateChange > DRIFT_TOLERANCE.errorRateIncrease),
+    };
+}
+
+function valueOf(metric, stat) {
+    if (!metric || !hasSamples(metric) || metric.values[stat] === undefined) {
+        return null;
+    }
+    return metric.values[stat];
+}
+
+function formatMs(value) {
+    return value === null ? 'N/A' : `${value.toFixed(2)} ms`;
+}
+
+function formatPercent(value) {
+    return value === null ? 'N/A' : `${(value * 100).toFixed(2)}%`;
+}
+
+function formatSigned(value) {
+    return value === null ? 'N/A' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+}
+
+function formatPercentPoint(value) {
+    return value === null ? 'N/A' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%p`;
+}
+
+function renderDriftSection(drift) {
+    let verdict = '✅ 유의미한 드리프트 없음';
+    if (drift.drifted) {
+        verdict = '⚠️ 드리프트 의심 (메모리 누수 / 커넥션 풀 고갈 점검 필요)';
+    } else if (!drift.measured) {
+        verdict = '❔ 측정 불가 (첫 구간 또는 마지막 구간에 요청 없음)';
+    }
+
+    const html = `
+            <p style="margin-bottom: 15px;"><strong>${verdict}</strong></p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>지표</th>
+                        <th>첫 구간</th>
+                        <th>마지막 구간</th>
+                        <th>변화</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>P95 응답시간</td>
+                        <td>${formatMs(drift.first.p95)}</td>
+                        <td>${formatMs(drift.last.p95)}</td>
+                        <td class="${drift.latencyChange > DRIFT_TOLERANCE.latencyIncrease ? 'danger-text' : ''}">${formatSigned(drift.latencyChange)}</td>
+                    </tr>
+                    <tr>
+                        <td>에러율</td>
+                        <td>${formatPercent(drift.first.errorRate)}</td>
+                        <td>${formatPercent(drift.last.errorRate)}</td>
+                        <td class="${drift.errorRateChange > DRIFT_TOLERANCE.errorRateIncrease ? 'danger-text' : ''}">${formatPercentPoint(drift.errorRateChange)}</td>
+                    </tr>
+                </tbody>
+            </table>`;
+
+    const text = [
+        `    ${verdict}`,
+        `    p95:        ${formatMs(drift.first.p95)} → ${formatMs(drift.last.p95)} (${formatSigned(drift.latencyChange)})`,
+        `    error rate: ${formatPercent(drift.first.errorRate)} → ${formatPercent(drift.last.errorRate)}`,
+    ].join('\n');
+
+    return { title: '⏳ 소크 드리프트 (첫 구간 vs 마지막 구간)', html, text };
+}
+
+export function handleSummary(data) {
+    const drift = summarizeDrift(data.metrics);
+    return createReportOutput(data, 'soak-test', {
+        sections: [renderDriftSection(drift)],
+    });
+}
@@ -34,30 +34,42 @@
 
 import { group, sleep } from 'k6';
 import {
-    SPIKE_TEST_STAGES,
+    PROFILE,
     randomString,
     getCurrentTime,
     getTimeAfterMinutes,
+    mergeThresholds,
+    loadModelOptions,
+    SUMMARY_TREND_STATS,
 } from './config.js';
-import { createReportOutput } from './report-generator.js';
+import { createReportOutput, groupThresholds } from './report-generator.js';
 import {
-    signup,
-    logout,
-    getProfile,
-    createSchedule,
-    getSchedulesByDate,
-    getDayPlanId,
-    deleteSchedule,
     healthCheck,
-    thinkTime,
     fullScenarioDuration,
     scenarioFailRate,
 } from './helpers.js';
+import { prepareAccountPool, accountPoolSize, accountGuardLoad, startSession, accountEndpoints } from './account-pool.js';
+import { errorBreakdownThresholds } from './errors.js';
+import { baselineThresholds } from './baseline.js';
+import { sloThresholds } from './slo.js';
+import { enforceSafetyGuard, getPeakVUs, estimateDurationSeconds } from './safety-guard.js';
 
 // ============================================================================
 // 테스트 설정
 // ============================================================================
 
+/**
+ * 반복(iteration) 1회 소요 시간 (초, Think Time 최소화)
+ *
+ * 안전 가드의 회원가입 수 추정과 도착률 모델의 VU 사전 할당 산정에 사용
+ */
+const ITERATION_SECONDS = 1;
+
+/**
+ * 이 테스트가 호출하는 엔드포인트 (에러 분석·기준 실행 비교 대상)
+ */
+const TEST_ENDPOINTS = [...accountEndpoints(), 'get_profile', 'get_schedules_by_date', 'create_schedule', 'delete_schedule', 'logout'];
+
 export const options = {
     /**
      * 스파이크 테스트 단계 설정
@@ -78,8 +90,11 @@ export const options = {
      * - 두 번의 스파이크: 연속 스파이크 대응 능력 확인
      * - 2분 유지: 스파이크 동안 안정성 확인
      * - 중간 복구 구간: 복구 후 두 번째 스파이크 대응 능력
+     *
+     * K6_LOAD_MODEL=arrival-rate면 SPIKE_TEST_ARRIVAL_RATE(초당 반복 수) 기반 도착률 시나리오로 대체
+     * (서버가 느려져도 요청률이 유지되어 대기열과 dropped_iterations가 드러남)
      */
-    stages: SPIKE_TEST_STAGES,
+    ...loadModelOptions('spike', ITERATION_SECONDS),
 
     /**
      * Graceful 종료 설정
@@ -89,6 +104,9 @@ export const options = {
     gracefulStop: '30s',
     gracefulRampDown: '30s',
 
+    // 보고서용 통계 (p(99)와 count는 기준 실행 비교에 사용)
+    summaryTrendStats: SUMMARY_TREND_STATS,
+
     /**
      * 스파이크 테스트 임계값
      *
@@ -96,7 +114,7 @@ export const options = {
      * - 응답 시간이 일시적으로 증가하는 것은 허용
      * - 하지만 완전한 장애(타임아웃)는 최소화해야 함
      */
-    thresholds: {
+    thresholds: mergeThresholds({
         // 스파이크 시 응답 시간 여유 있게 설정
         http_req_duration: ['p(90)<10000', 'p(95)<15000'],
         // 실패율 - 스파이크 시 일부 실패 허용 (10%)
@@ -105,7 +123,16 @@ export const options = {
         http_req_receiving: ['p(99)<5000'],
         // 시나리오 성공률
         'scenario_failures': ['rate<0.15'],
-    },
+
+        // 보고서 에러 분석용 서브메트릭 (항상 통과, 이 테스트가 호출하는 엔드포인트만)
+        ...errorBreakdownThresholds(TEST_ENDPOINTS),
+
+        // 보고서 SLO·에러 예산 섹션용 서브메트릭 (항상 통과)
+        ...sloThresholds(),
+
+        // 보고서 그룹 계층용 그룹 소요 시간 (항상 통과)
+        ...groupThresholds(['quick_signup', 'main_screen', 'create_schedule']),
+    }, baselineThresholds('spike-test', TEST_ENDPOINTS)), // 기준 실행 대비 회귀 감지 (K6_BASELINE 설정 시)
 };
 
 // ============================================================================
@@ -125,7 +152,7 @@ export const options = {
  * - 로그인 → 메인 화면 조회가 가장 흔한 패턴
  * - 일부 사용자만 데이터 생성 (쓰기 비율 낮음)
  */
-export default function () {
+export default function (data) {
     const scenarioStart = new Date();
     let scenarioSuccess = true;
 
@@ -133,18 +160,13 @@ export default function () {
     // 1. 빠른 회원가입 (고유 이메일 자동 생성)
     // ========================================================================
 
-    let accessToken = null;
+    let session = null;
 
     group('quick_signup', function () {
-        const signupResult = signup();
-        if (!signupResult) {
-            scenarioSuccess = false;
-            return;
-        }
-        accessToken = signupResult.accessToken;
+        session = startSession(data.accounts);
     });
 
-    if (!accessToken) {
+    if (!session) {
         scenarioFailRate.add(true);
         return;
     }
@@ -165,23 +187,13 @@ export default function () {
      * dayPlanId도 동적으로 조회하여 스케줄 생성에 사용
      */
 
-    let dayPlanId = null;
-
     group('main_screen', function () {
-        getProfile(accessToken);
-        const scheduleInfo = getSchedulesByDate(accessToken);
-        if (scheduleInfo && scheduleInfo.dayPlanId) {
-            dayPlanId = scheduleInfo.dayPlanId;
-        }
+        session.getProfile();
+        session.getDayPlanId();
     });
 
     sleep(0.1);
 
-    // dayPlanId 조회 실패 시 스케줄 생성 건너뛰기
-    if (!dayPlanId) {
-        console.warn(`VU ${__VU}: Failed to get dayPlanId, skipping schedule creation`);
-    }
-
     // ========================================================================
     // 3. 일부 사용자만 데이터 생성 (20% 확률)
     // ========================================================================
@@ -193,12 +205,12 @@ export default function () {
      * - 스파이크 시 쓰기 작업이 병목이 되는지 확인
      */
 
-    const shouldCreateSchedule = dayPlanId && Math.random() < 0.2; // 20% 확률, dayPlanId 있을 때만
+    const shouldCreateSchedule = session.hasDayPlan() && Math.random() < 0.2; // 20% 확률, dayPlanId 있을 때만
     let createdSchedule = null;
 
     if (shouldCreateSchedule) {
         group('create_schedule', function () {
-            const scheduleData = {
+            createdSchedule = session.createSchedule({
                 type: 'FLEX',
                 title: `Spike ${__VU}_${randomString(4)}`,
                 startAt: getCurrentTime(),
@@ -206,17 +218,13 @@ export default function () {
                 estimatedTimeRange: 'MINUTE_30_TO_60',
                 focusLevel: 3,
                 isUrgent: false,
-            };
-
-            createdSchedule = createSchedule(accessToken, dayPlanId, scheduleData);
+            });
         });
 
         sleep(0.1);
 
         // 생성한 스케줄 정리
-        if (createdSchedule && createdSchedule.scheduleId) {
-            deleteSchedule(accessToken, createdSchedule.scheduleId);
-        }
+        session.deleteSchedules([createdSchedule]);
     }
 
     // ========================================================================
@@ -231,7 +239,7 @@ export default function () {
      */
 
     if (Math.random() < 0.5) {
-        logout(accessToken);
+        session.logout();
     }
 
     // 메트릭 기록
@@ -247,27 +255,48 @@ export default function () {
 // 라이프사이클 훅
 // ============================================================================
 
+/**
+ * 실행 배너용 단계 목표 흐름 (예: 10 VU → 100 VU → 10 VU → 100 VU → 0 VU)
+ */
+function trafficPattern() {
+    const stages = options.stages || options.scenarios.spike.stages;
+    const unit = options.stages ? 'VU' : 'iters/s';
+    return stages
+        .map(stage => stage.target)
+        .filter((target, index, targets) => index === 0 || target !== targets[index - 1])
+        .map(target => `${target} ${unit}`)
+        .join(' → ');
+}
+
 export function setup() {
     console.log('========================================');
     console.log('⚡ Spike Test Started');
     console.log('========================================');
-    console.log(`Target: ${__ENV.K6_BASE_URL || 'http://localhost:8080'}`);
-    console.log(`Peak VUs: 500`);
-    console.log(`Duration: ~9 minutes`);
+    console.log(`Target: ${PROFILE.apiUrl} (profile: ${PROFILE.name})`);
+    console.log(`Load model: ${options.scenarios ? 'arrival-rate (iterations/s)' : 'ramping-vus'}`);
+    console.log(`Peak VUs: ${getPeakVUs(options)}`);
+    console.log(`Duration: ~${Math.round(estimateDurationSeconds(options) / 60)} minutes`);
     console.log('');
     console.log('📈 Traffic Pattern:');
-    console.log('   10 VU → 500 VU (10s) → 10 VU → 500 VU → 0 VU');
+    console.log(`   ${trafficPattern()}`);
     console.log('');
     console.log('⚠️  This test simulates sudden traffic spikes!');
     console.log('');
 
+    // 운영 환경 보호 가드 (정책 위반 시 테스트 중단)
+    enforceSafetyGuard('spike', options, accountGuardLoad(options, { signupsPerIteration: 1, iterationSeconds: ITERATION_SECONDS }));
+
     // 서버 헬스체크
     const isHealthy = healthCheck();
     if (!isHealthy) {
         throw new Error('Server health check failed');
     }
 
+    // 재방문 사용자 모드의 계정 풀 준비 (K6_USER_MODE=returning)
+    const accounts = prepareAccountPool(accountPoolSize(options));
+
     return {
+        accounts: accounts,
         startTime: new Date().toISOString(),
         testType: 'spike',
     };
@@ -35,34 +35,51 @@
 
 import { group, sleep } from 'k6';
 import {
-    STRESS_TEST_STAGES,
+    PROFILE,
     randomString,
     getCurrentTime,
     getTimeAfterMinutes,
+    mergeThresholds,
+    loadModelOptions,
+    SUMMARY_TREND_STATS,
 } from './config.js';
-import { createReportOutput } from './report-generator.js';
+import { createReportOutput, groupThresholds } from './report-generator.js';
 import {
-    signup,
-    logout,
-    getProfile,
-    createSchedule,
-    getSchedules,
-    getSchedulesByDate,
-    getDayPlanId,
-    deleteSchedule,
     healthCheck,
     thinkTime,
-    signupDuration,
-    createScheduleDuration,
-    getSchedulesDuration,
     fullScenarioDuration,
     scenarioFailRate,
 } from './helpers.js';
+import { prepareAccountPool, accountPoolSize, accountGuardLoad, startSession, accountEndpoints } from './account-pool.js';
+import { errorBreakdownThresholds } from './errors.js';
+import { baselineThresholds } from './baseline.js';
+import { sloThresholds } from './slo.js';
+import { enforceSafetyGuard, getPeakVUs, estimateDurationSeconds } from './safety-guard.js';
 
 // ============================================================================
 // 테스트 설정
 // ============================================================================
 
+/**
+ * 반복(iteration) 1회 소요 시간 (초)
+ *
+ * 안전 가드의 회원가입 수 추정과 도착률 모델의 VU 사전 할당 산정에 사용
+ */
+const ITERATION_SECONDS = 4;
+
+/**
+ * 이 테스트가 호출하는 엔드포인트 (에러 분석·기준 실행 비교 대상)
+ */
+const TEST_ENDPOINTS = [
+    ...accountEndpoints(),
+    'get_profile',
+    'get_schedules_by_date',
+    'get_schedules',
+    'create_schedule',
+    'delete_schedule',
+    'logout',
+];
+
 export const options = {
     /**
      * 스트레스 테스트 단계 설정
@@ -85,8 +102,11 @@ export const options = {
      * - 2배씩 증가: 각 단계에서 성능 변화를 명확히 관찰
      * - 3분 유지: 해당 부하에서 안정 상태 도달 확인
      * - 최종 300 VU: 일반적인 서비스의 피크 트래픽 시뮬레이션
+     *
+     * K6_LOAD_MODEL=arrival-rate면 STRESS_TEST_ARRIVAL_RATE(초당 반복 수) 기반 도착률 시나리오로 대체
+     * (서버가 느려져도 요청률이 유지되어 대기열과 dropped_iterations가 드러남)
      */
-    stages: STRESS_TEST_STAGES,
+    ...loadModelOptions('stress', ITERATION_SECONDS),
 
     /**
      * Graceful 종료 설정
@@ -97,6 +117,9 @@ export const options = {
     gracefulStop: '60s',
     gracefulRampDown: '30s',
 
+    // 보고서용 통계 (p(99)와 count는 기준 실행 비교에 사용)
+    summaryTrendStats: SUMMARY_TREND_STATS,
+
     /**
      * 스트레스 테스트 임계값
      *
@@ -104,7 +127,7 @@ export const options = {
      * - 시스템 한계를 찾는 것이 목적이므로 일부 실패 허용
      * - 응답 시간 기준도 여유 있게 설정
      */
-    thresholds: {
+    thresholds: mergeThresholds({
         // 응답 시간 - 스트레스 상황에서는 더 긴 시간 허용
         http_req_duration: ['p(95)<5000', 'p(99)<10000'],
         // 실패율 - 5%까지 허용 (한계점 도달 예상)
@@ -113,7 +136,22 @@ export const options = {
         'signup_duration': ['p(95)<2000', 'p(99)<5000'],
         'create_schedule_duration': ['p(95)<3000', 'p(99)<5000'],
         'scenario_failures': ['rate<0.10'], // 시나리오 실패율 10% 미만
-    },
+
+        // 보고서 에러 분석용 서브메트릭 (항상 통과, 이 테스트가 호출하는 엔드포인트만)
+        ...errorBreakdownThresholds(TEST_ENDPOINTS),
+
+        // 보고서 SLO·에러 예산 섹션용 서브메트릭 (항상 통과)
+        ...sloThresholds(),
+
+        // 보고서 그룹 계층용 그룹 소요 시간 (항상 통과)
+        ...groupThresholds([
+            'signup',
+            'read_operations',
+            'write_operations',
+            'verify_operations',
+            'cleanup',
+        ]),
+    }, baselineThresholds('stress-test', TEST_ENDPOINTS)), // 기준 실행 대비 회귀 감지 (K6_BASELINE 설정 시)
 };
 
 // ============================================================================
@@ -132,7 +170,7 @@ export const options = {
  * - 불필요한 API 호출 제거하여 핵심 성능에 집중
  * - 빠른 반복으로 최대 부하 생성
  */
-export default function () {
+export default function (data) {
     const scenarioStart = new Date();
     let scenarioSuccess = true;
 
@@ -140,18 +178,13 @@ export default function () {
     // 1. 회원가입 (고유 이메일 자동 생성)
     // ========================================================================
 
-    let accessToken = null;
+    let session = null;
 
     group('signup', function () {
-        const signupResult = signup();
-        if (!signupResult) {
-            scenarioSuccess = false;
-            return;
-        }
-        accessToken = signupResult.accessToken;
+        session = startSession(data.accounts);
     });
 
-    if (!accessToken) {
+    if (!session) {
         scenarioFailRate.add(true);
         return;
     }
@@ -171,18 +204,12 @@ export default function () {
      * - dayPlanId를 동적으로 조회하여 스케줄 생성에 사용
      */
 
-    let dayPlanId = null;
-
     group('read_operations', function () {
-        getProfile(accessToken);
-        const scheduleInfo = getSchedulesByDate(accessToken);
-        if (scheduleInfo && scheduleInfo.dayPlanId) {
-            dayPlanId = scheduleInfo.dayPlanId;
-        }
+        session.getProfile();
+        session.getDayPlanId();
     });
 
-    if (!dayPlanId) {
-        console.warn(`VU ${__VU}: Failed to get dayPlanId`);
+    if (!session.hasDayPlan()) {
         scenarioFailRate.add(true);
         return;
     }
@@ -212,7 +239,7 @@ export default function () {
     let createdSchedule = null;
 
     group('write_operations', function () {
-        const scheduleData = {
+        createdSchedule = session.createSchedule({
             type: 'FLEX',
             title: `Stress ${__VU}_${__ITER}_${randomString(4)}`,
             startAt: getCurrentTime(),
@@ -220,9 +247,7 @@ export default function () {
             estimatedTimeRange: 'MINUTE_30_TO_60',
             focusLevel: Math.floor(Math.random() * 5) + 1,
             isUrgent: false,
-        };
-
-        createdSchedule = createSchedule(accessToken, dayPlanId, scheduleData);
+        });
 
         if (!createdSchedule) {
             scenarioSuccess = false;
@@ -236,7 +261,7 @@ export default function () {
     // ========================================================================
 
     group('verify_operations', function () {
-        getSchedules(accessToken, dayPlanId);
+        session.listSchedules();
     });
 
     thinkTime(0.5, 1);
@@ -246,10 +271,8 @@ export default function () {
     // ========================================================================
 
     group('cleanup', function () {
-        if (createdSchedule && createdSchedule.scheduleId) {
-            deleteSchedule(accessToken, createdSchedule.scheduleId);
-        }
-        logout(accessToken);
+        session.deleteSchedules([createdSchedule]);
+        session.logout();
     });
 
     // 메트릭 기록
@@ -269,20 +292,28 @@ export function setup() {
     console.log('========================================');
     console.log('💪 Stress Test Started');
     console.log('========================================');
-    console.log(`Target: ${__ENV.K6_BASE_URL || 'http://localhost:8080'}`);
-    console.log(`Max VUs: 300`);
-    console.log(`Duration: ~22 minutes`);
+    console.log(`Target: ${PROFILE.apiUrl} (profile: ${PROFILE.name})`);
+    console.log(`Load model: ${options.scenarios ? 'arrival-rate (iterations/s)' : 'ramping-vus'}`);
+    console.log(`Max VUs: ${getPeakVUs(options)}`);
+    console.log(`Duration: ~${Math.round(estimateDurationSeconds(options) / 60)} minutes`);
     console.log('');
     console.log('⚠️  WARNING: This test will push the system to its limits!');
     console.log('');
 
+    // 운영 환경 보호 가드 (정책 위반 시 테스트 중단)
+    enforceSafetyGuard('stress', options, accountGuardLoad(options, { signupsPerIteration: 1, iterationSeconds: ITERATION_SECONDS }));
+
     // 서버 헬스체크
     const isHealthy = healthCheck();
     if (!isHealthy) {
         throw new Error('Server health check failed');
     }
 
+    // 재방문 사용자 모드의 계정 풀 준비 (K6_USER_MODE=returning)
+    const accounts = prepareAccountPool(accountPoolSize(options));
+
     return {
+        accounts: accounts,
         startTime: new Date().toISOString(),
         testType: 'stress',
     };
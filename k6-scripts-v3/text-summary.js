@@ -0,0 +1,241 @@
+/**
+ * 터미널 요약 출력 (오프라인)
+ *
+ * 왜 필요한가?
+ * - 기존에는 https://jslib.k6.io/k6-summary 에서 textSummary를 원격 import 했음
+ *   → 외부 통신이 막힌 러너나 egress가 차단된 Kubernetes 네임스페이스에서 handleSummary가 실패
+ * - 스위트 안에 구현을 두면 모든 테스트가 네트워크 없이 실행됨
+ * - 항상 통과하는 보고서용 임계값(>=0)과 샘플이 없는 서브메트릭은 터미널에서 생략하여 가독성 유지
+ *
+ * 출력 구성:
+ * 1. 그룹과 체크 (그룹 계층 순서)
+ * 2. 임계값 (메트릭별 표현식과 통과 여부)
+ * 3. 메트릭 (이름순, 서브메트릭은 상위 메트릭 아래에 들여쓰기)
+ *
+ * 사용 방법 (jslib와 동일한 시그니처):
+ *   textSummary(data, { indent: '  ', enableColors: true })
+ */
+
+import { hasSamples } from './endpoints.js';
+
+// ============================================================================
+// 출력 형식
+// ============================================================================
+
+const COLORS = {
+    green: '\u001b[32m',
+    red: '\u001b[31m',
+    cyan: '\u001b[36m',
+    grey: '\u001b[90m',
+    bold: '\u001b[1m',
+    reset: '\u001b[0m',
+};
+
+const PASS_MARK = '✓';
+const FAIL_MARK = '✗';
+
+const DEFAULT_TREND_STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)'];
+
+/**
+ * 메트릭 이름 열 너비 (점으로 채움)
+ */
+const NAME_WIDTH = 44;
+
+/**
+ * 보고서용 서브메트릭을 위해 등록한 항상 통과하는 임계값 (예: count>=0, p(95)>=0)
+ */
+export function isPlaceholderThreshold(expression) {
+    return />=\s*0$/.test(expression);
+}
+
+// ============================================================================
+// 요약 생성
+// ============================================================================
+
+/**
+ * 터미널 요약 문자열 생성
+ *
+ * @param {object} data - handleSummary의 data
+ * @param {object} options - { indent, enableColors }
+ * @returns {string} - 터미널 출력 문자열
+ */
+export function textSummary(data, options = {}) {
+    const indent = options.indent === undefined ? '  ' : options.indent;
+    const paint = (color, text) => (options.enableColors ? `${COLORS[color]}${text}${COLORS.reset}` : text);
+    const trendStats = (data.options && data.options.summaryTrendStats) || DEFAULT_TREND_STATS;
+
+    const lines = [];
+
+    const groupLines = renderGroup(data.root_group, indent, paint);
+    if (groupLines.length > 0) {
+        lines.push(...groupLines, '');
+    }
+
+    const thresholdLines = renderThresholds(data.metrics || {}, indent, paint);
+    if (thresholdLines.length > 0) {
+        lines.push(`${indent}${paint('bold', 'THRESHOLDS')}`, ...thresholdLines, '');
+    }
+
+    lines.push(`${indent}${paint('bold', 'METRICS')}`);
+    lines.push(...renderMetrics(data.metrics || {}, trendStats, indent, paint));
+
+    return `\n${lines.join('\n')}\n`;
+}
+
+/**
+ * 그룹과 체크 (재귀)
+ */
+function renderGroup(group, indent, paint, depth = 0) {
+    if (!group) {
+        return [];
+    }
+
+    const lines = [];
+    const pad = indent.repeat(depth + 1);
+
+    if (group.name) {
+        lines.push(`${pad}${paint('bold', `█ ${group.name}`)}`);
+    }
+    const childPad = group.name ? pad + indent : pad;
+
+    (group.checks || []).forEach(check => {
+        const passes = check.passes || 0;
+        const fails = check.fails || 0;
+        if (fails === 0) {
+            lines.push(`${childPad}${paint('green', `${PASS_MARK} ${check.name}`)}`);
+            return;
+        }
+        const rate = passes + fails > 0 ? Math.floor((passes / (passes + fails)) * 100) : 0;
+        lines.push(`${childPad}${paint('red', `${FAIL_MARK} ${check.name}`)}`);
+        lines.push(`${childPad}${indent}${paint('red', `↳  ${rate}% — ${PASS_MARK} ${passes} / ${FAIL_MARK} ${fails}`)}`);
+    });
+
+    (group.groups || []).forEach(subGroup => {
+        if (lines.length > 0) {
+            lines.push('');
+        }
+        lines.push(...renderGroup(subGroup, indent, paint, group.name ? depth + 1 : depth));
+    });
+
+    return lines;
+}
+
+/**
+ * 임계값 목록 (보고서용 placeholder 임계값 제외)
+ */
+function renderThresholds(metrics, indent, paint) {
+    const lines = [];
+
+    Object.keys(metrics).sort().forEach(name => {
+        const thresholds = metrics[name].thresholds || {};
+        Object.entries(thresholds)
+            .filter(([expression]) => !isPlaceholderThreshold(expression))
+            .forEach(([expression, result]) => {
+                const mark = result.ok ? paint('green', PASS_MARK) : paint('red', FAIL_MARK);
+                lines.push(`${indent}${mark} ${name} ${paint('grey', expression)}`);
+            });
+    });
+
+    return lines;
+}
+
+/**
+ * 메트릭 목록
+ *
+ * 서브메트릭은 상위 메트릭 아래에 { 태그 } 형태로 표시
+ * 샘플이 없는 서브메트릭(보고서용으로 등록했지만 기록되지 않은 것)은 생략
+ */
+function renderMetrics(metrics, trendStats, indent, paint) {
+    const names = Object.keys(metrics);
+    // 상위 메트릭이 요약에 없는 서브메트릭(group_duration{group:...} 등)도 같은 방식으로 묶음
+    const parents = names
+        .map(name => name.split('{')[0])
+        .filter((parent, index, all) => all.indexOf(parent) === index)
+        .sort();
+    const lines = [];
+
+    parents.forEach(parent => {
+        if (metrics[parent]) {
+            lines.push(renderMetricLine(parent, metrics[parent], trendStats, indent, paint));
+        } else {
+            lines.push(`${indent}  ${parent}`);
+        }
+
+        names
+            .filter(name => name.startsWith(`${parent}{`))
+            .filter(name => hasSamples(metrics[name]))
+            .sort()
+            .forEach(name => {
+                const label = `${indent}{ ${name.slice(parent.length + 1, -1)} }`;
+                lines.push(renderMetricLine(label, metrics[name], trendStats, indent, paint));
+            });
+    });
+
+    return lines;
+}
+
+function renderMetricLine(label, metric, trendStats, indent, paint) {
+    const thresholds = Object.entries(metric.thresholds || {})
+        .filter(([expression]) => !isPlaceholderThreshold(expression));
+
+    let mark = ' ';
+    if (thresholds.length > 0) {
+        mark = thresholds.every(([, result]) => result.ok) ? paint('green', PASS_MARK) : paint('red', FAIL_MARK);
+    }
+
+    const dots = '.'.repeat(Math.max(NAME_WIDTH - label.length, 3));
+    return `${indent}${mark} ${label}${paint('grey', dots)}: ${formatValues(metric, trendStats, paint)}`;
+}
+
+// ============================================================================
+// 값 형식
+// ============================================================================
+
+function formatValues(metric, trendStats, paint) {
+    const values = metric.values || {};
+    const format = metric.contains === 'time' ? formatDuration : formatNumber;
+
+    switch (metric.type) {
+        case 'trend':
+            return trendStats
+                .filter(stat => values[stat] !== undefined)
+                // count는 샘플 수이므로 time 메트릭이어도 시간 단위로 표시하지 않음
+                .map(stat => `${stat}=${paint('cyan', (stat === 'count' ? formatNumber : format)(values[stat]))}`)
+                .join(' ');
+        case 'rate':
+            return `${paint('cyan', `${formatNumber((values.rate || 0) * 100)}%`)} ` +
+                `${PASS_MARK} ${values.passes || 0} ${FAIL_MARK} ${values.fails || 0}`;
+        case 'counter':
+            return `${paint('cyan', format(values.count || 0))} ${paint('grey', `${formatNumber(values.rate || 0)}/s`)}`;
+        case 'gauge':
+            return `${paint('cyan', format(values.value || 0))} ` +
+                `${paint('grey', `min=${format(values.min || 0)} max=${format(values.max || 0)}`)}`;
+        default:
+            return JSON.stringify(values);
+    }
+}
+
+function formatNumber(value) {
+    if (Number.isInteger(value)) {
+        return String(value);
+    }
+    return value.toFixed(2);
+}
+
+/**
+ * ms 값을 µs / ms / s / m 단위로 표시
+ */
+function formatDuration(ms) {
+    if (ms < 1) {
+        return `${(ms * 1000).toFixed(2)}µs`;
+    }
+    if (ms < 1000) {
+        return `${ms.toFixed(2)}ms`;
+    }
+    if (ms < 60000) {
+        return `${(ms / 1000).toFixed(2)}s`;
+    }
+    const minutes = Math.floor(ms / 60000);
+    const seconds = ((ms % 60000) / 1000).toFixed(1);
+    return `${minutes}m${seconds}s`;
+}
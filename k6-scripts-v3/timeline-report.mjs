@@ -0,0 +1,578 @@
+#!/usr/bin/env node
+/**
+ * k6 JSON 출력(--out json) 시계열 보고서 생성기 (Node)
+ *
+ * 왜 필요한가?
+ * - handleSummary의 요약에는 시간 축이 없어서 VU가 STRESS_TEST_STAGES를 따라 늘어날 때
+ *   응답 시간이 언제부터 오르는지 보고서에서 볼 수 없었음
+ * - Grafana/InfluxDB 없이도 실행 한 번의 타임라인을 파일 하나로 공유할 수 있어야 함
+ *
+ * 동작 방식:
+ * 1. --out json의 줄 단위(NDJSON) 출력을 스트리밍으로 읽어 초 단위로 집계
+ * 2. 구간(기본: 실행 길이에 맞춰 자동, --interval로 지정) 단위로 묶어
+ *    VU, RPS, 에러율, 전체/엔드포인트별 P95 계산
+ * 3. 인라인 SVG 차트로 정적 HTML 생성 (외부 CDN 없음)
+ * 4. 테스트의 단계(stages) 경계를 차트에 세로선으로 표시
+ *
+ * 사용 방법:
+ *   k6 run --out json=k6-tests/reports/stress.json stress-test.js
+ *   node timeline-report.mjs k6-tests/reports/stress.json --summary k6-tests/reports/stress-test-<시각>.json
+ *
+ * 옵션:
+ *   --interval <기간>   집계 구간 (예: 1s, 10s, 1m)
+ *   --summary <파일>    createReportOutput이 저장한 JSON 요약 (run.scenarios에서 단계 경계를 읽음)
+ *   --stages <목록>     단계 직접 지정 (예: 2m:10,3m:10,2m:50)
+ *   --out <파일>        출력 HTML (기본: <입력>-timeline.html)
+ *
+ * 주의:
+ * - setup/teardown 중의 요청은 제외 (부하 단계와 무관)
+ * - 시작 시각은 시나리오에서 기록된 첫 샘플 기준
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+
+// ============================================================================
+// 설정
+// ============================================================================
+
+/**
+ * 자동 구간 선택 시 목표 구간 수 (차트 하나에 찍히는 점 수)
+ */
+const TARGET_BUCKETS = 300;
+
+const POINT_LINE = /"type":\s*"Point"/;
+
+const NICE_INTERVALS_SEC = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+
+const CHART = { width: 1100, height: 220, left: 60, right: 20, top: 20, bottom: 30 };
+const SMALL_CHART = { width: 540, height: 180, left: 56, right: 12, top: 16, bottom: 28 };
+
+const COLORS = {
+    vus: '#667eea',
+    target: '#9ca3af',
+    rps: '#10b981',
+    error: '#ef4444',
+    p95: '#f59e0b',
+    stage: '#d1d5db',
+};
+
+// ============================================================================
+// NDJSON 읽기
+// ============================================================================
+
+/**
+ * NDJSON 스트림을 초 단위 버킷으로 집계
+ *
+ * 한 줄씩 읽으므로 수 GB 출력도 메모리에 전부 올리지 않음
+ * (P95 계산을 위해 응답 시간 값만 초 단위로 보관)
+ *
+ * @param {string} file - --out json 파일
+ * @returns {Promise<object>} - { startMs, seconds: Map<초, 버킷>, endpoints: Set }
+ */
+export async function readSamples(file) {
+    const seconds = new Map();
+    const endpoints = new Set();
+    let startMs = null;
+
+    const bucketAt = (second) => {
+        if (!seconds.has(second)) {
+            seconds.set(second, { vus: null, requests: 0, failed: 0, failedSamples: 0, durations: {} });
+        }
+        return seconds.get(second);
+    };
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        // Metric 정의 줄은 건너뜀 (JSON.parse 비용을 Point 줄에만 씀)
+        if (!POINT_LINE.test(line)) {
+            continue;
+        }
+
+        let sample;
+        try {
+            sample = JSON.parse(line);
+        } catch (e) {
+            continue;
+        }
+
+        const tags = sample.data.tags || {};
+        if (isLifecycleSample(tags)) {
+            continue;
+        }
+
+        const timeMs = Date.parse(sample.data.time);
+        if (tags.scenario && (startMs === null || timeMs < startMs)) {
+            startMs = timeMs;
+        }
+
+        const bucket = bucketAt(Math.floor(timeMs / 1000));
+        const value = sample.data.value;
+
+        switch (sample.metric) {
+            case 'vus':
+                bucket.vus = value;
+                break;
+            case 'http_reqs':
+                bucket.requests += value;
+                break;
+            case 'http_req_failed':
+                bucket.failed += value;
+                bucket.failedSamples += 1;
+                break;
+            case 'http_req_duration': {
+                const name = tags.name || '(no name)';
+                endpoints.add(name);
+                (bucket.durations[name] = bucket.durations[name] || []).push(value);
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    return { startMs: startMs, seconds: seconds, endpoints: endpoints };
+}
+
+/**
+ * setup()/teardown() 중의 샘플인지 (group 태그 ::setup / ::teardown)
+ */
+function isLifecycleSample(tags) {
+    return typeof tags.group === 'string' && /^::(setup|teardown)(::|$)/.test(tags.group);
+}
+
+// ============================================================================
+// 구간 집계
+// ============================================================================
+
+/**
+ * 초 단위 버킷을 구간 단위 시계열로 변환
+ *
+ * @param {object} samples - readSamples() 결과
+ * @param {number} intervalSec - 구간 길이 (초), null이면 자동
+ * @returns {object} - { intervalSec, durationSec, points: [{ t, vus, rps, errorRate, p95: { name: ms } }] }
+ */
+export function buildTimeline(samples, intervalSec = null) {
+    const secondsList = [...samples.seconds.keys()];
+    if (secondsList.length === 0 || samples.startMs === null) {
+        return { intervalSec: intervalSec || 1, durationSec: 0, points: [] };
+    }
+
+    const startSec = Math.floor(samples.startMs / 1000);
+    const endSec = Math.max(...secondsList);
+    const durationSec = endSec - startSec + 1;
+    const interval = intervalSec || NICE_INTERVALS_SEC.find(candidate => durationSec / candidate <= TARGET_BUCKETS)
+        || NICE_INTERVALS_SEC[NICE_INTERVALS_SEC.length - 1];
+
+    const points = [];
+    for (let offset = 0; offset < durationSec; offset += interval) {
+        const buckets = [];
+        for (let second = startSec + offset; second < startSec + offset + interval; second++) {
+            if (samples.seconds.has(second)) {
+                buckets.push(samples.seconds.get(second));
+            }
+        }
+
+        const requests = buckets.reduce((sum, bucket) => sum + bucket.requests, 0);
+        const failedSamples = buckets.reduce((sum, bucket) => sum + bucket.failedSamples, 0);
+        const vusSamples = buckets.map(bucket => bucket.vus).filter(value => value !== null);
+
+        const durations = {};
+        buckets.forEach(bucket => {
+            Object.entries(bucket.durations).forEach(([name, values]) => {
+                (durations[name] = durations[name] || []).push(...values);
+            });
+        });
+        const p95 = {};
+        Object.entries(durations).forEach(([name, values]) => {
+            p95[name] = percentile(values, 95);
+        });
+        p95.__all__ = percentile([].concat(...Object.values(durations)), 95);
+
+        points.push({
+            t: offset,
+            vus: vusSamples.length > 0 ? Math.max(...vusSamples) : null,
+            rps: requests / interval,
+            errorRate: failedSamples > 0 ? buckets.reduce((sum, bucket) => sum + bucket.failed, 0) / failedSamples : null,
+            p95: p95,
+        });
+    }
+
+    return { intervalSec: interval, durationSec: durationSec, points: points };
+}
+
+function percentile(values, p) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(index, 0)];
+}
+
+// ============================================================================
+// 단계 경계
+// ============================================================================
+
+/**
+ * k6 기간 문자열 → 초 (예: '2m', '1m30s', '2m0s', '500ms')
+ */
+export function parseDuration(text) {
+    if (typeof text === 'number') {
+        return text / 1000;
+    }
+    const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+    const units = { h: 3600, m: 60, s: 1, ms: 0.001 };
+    let total = 0;
+    let match;
+    while ((match = pattern.exec(String(text))) !== null) {
+        total += parseFloat(match[1]) * units[match[2]];
+    }
+    return total;
+}
+
+/**
+ * 단계 목록 → 단계 경계 [{ t, label }] 와 계획 VU 곡선 [[t, target]]
+ *
+ * @param {array} stages - [{ duration, target }]
+ * @param {number} startOffset - 시나리오 startTime (초)
+ * @param {number} startTarget - 첫 단계 이전 값 (startVUs / startRate)
+ */
+export function stageMarkers(stages, startOffset = 0, startTarget = 0) {
+    const markers = [];
+    const plan = [[startOffset, startTarget]];
+    let elapsed = startOffset;
+
+    stages.forEach((stage, index) => {
+        elapsed += parseDuration(stage.duration);
+        markers.push({ t: elapsed, label: `${index + 1}: →${stage.target}` });
+        plan.push([elapsed, stage.target]);
+    });
+
+    return { markers: markers, plan: plan };
+}
+
+/**
+ * JSON 요약의 run.scenarios에서 단계 경계 추출
+ *
+ * stages를 가진 실행기(ramping-vus, ramping-arrival-rate)만 대상
+ * 시나리오가 여러 개면 경계 라벨에 시나리오 이름을 붙임
+ */
+function stagesFromSummary(summaryFile) {
+    const summary = JSON.parse(fs.readFileSync(summaryFile, 'utf8'));
+    const scenarios = (summary.run && summary.run.scenarios) || {};
+    const staged = Object.entries(scenarios).filter(([, scenario]) => Array.isArray(scenario.stages));
+
+    const markers = [];
+    const plans = {};
+    staged.forEach(([name, scenario]) => {
+        const result = stageMarkers(
+            scenario.stages,
+            parseDuration(scenario.startTime || 0),
+            scenario.startVUs || scenario.startRate || 0
+        );
+        result.markers.forEach(marker => {
+            markers.push(staged.length > 1 ? { t: marker.t, label: `${name} ${marker.label}` } : marker);
+        });
+        if (scenario.executor === 'ramping-vus') {
+            plans[name] = result.plan;
+        }
+    });
+
+    return { markers: markers, plans: plans };
+}
+
+/**
+ * --stages 2m:10,3m:10,2m:50 형식
+ */
+function stagesFromSpec(spec) {
+    const stages = spec.split(',').map(part => {
+        const [duration, target] = part.split(':');
+        return { duration: duration.trim(), target: parseInt(target, 10) };
+    });
+    const result = stageMarkers(stages);
+    return { markers: result.markers, plans: { planned: result.plan } };
+}
+
+// ============================================================================
+// 차트 (인라인 SVG)
+// ============================================================================
+
+/**
+ * 시간 축 선 차트
+ *
+ * @param {object} chart - { title, series: [{ label, color, points: [[t, value]], dash }], format }
+ * @param {number} durationSec - x축 길이
+ * @param {array} markers - 단계 경계 [{ t, label }]
+ * @param {object} size - CHART 또는 SMALL_CHART
+ */
+function renderTimeChart(chart, durationSec, markers, size = CHART) {
+    const values = chart.series.flatMap(series => series.points.map(point => point[1])).filter(value => value !== null);
+    if (values.length === 0) {
+        return `<div class="chart-box"><h3>${escapeHtml(chart.title)}</h3><p class="empty">데이터 없음</p></div>`;
+    }
+
+    const maxValue = niceCeil(Math.max(...values));
+    const plotWidth = size.width - size.left - size.right;
+    const plotHeight = size.height - size.top - size.bottom;
+    const x = (t) => size.left + (Math.min(t, durationSec) / Math.max(durationSec, 1)) * plotWidth;
+    const y = (value) => size.top + plotHeight - (value / maxValue) * plotHeight;
+
+    const grid = [0, 0.5, 1].map(ratio => {
+        const value = maxValue * ratio;
+        return `<line x1="${size.left}" x2="${size.width - size.right}" y1="${y(value)}" y2="${y(value)}" class="grid"/>` +
+            `<text x="${size.left - 6}" y="${y(value) + 4}" class="axis" text-anchor="end">${chart.format(value)}</text>`;
+    }).join('');
+
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(ratio =>
+        `<text x="${x(durationSec * ratio)}" y="${size.height - 8}" class="axis" text-anchor="middle">${formatClock(durationSec * ratio)}</text>`
+    ).join('');
+
+    const stageLines = markers.filter(marker => marker.t <= durationSec).map(marker =>
+        `<line x1="${x(marker.t)}" x2="${x(marker.t)}" y1="${size.top}" y2="${size.top + plotHeight}" class="stage">` +
+        `<title>${escapeHtml(marker.label)} (${formatClock(marker.t)})</title></line>`
+    ).join('');
+
+    const lines = chart.series.map(series => {
+        // 값이 없는 구간에서 선을 끊음
+        const segments = [[]];
+        series.points.forEach(([t, value]) => {
+            if (value === null) {
+                segments.push([]);
+            } else {
+                segments[segments.length - 1].push(`${x(t).toFixed(1)},${y(value).toFixed(1)}`);
+            }
+        });
+        return segments.filter(segment => segment.length > 0).map(segment =>
+            `<polyline points="${segment.join(' ')}" fill="none" stroke="${series.color}" stroke-width="1.5"` +
+            `${series.dash ? ` stroke-dasharray="${series.dash}"` : ''}><title>${escapeHtml(series.label)}</title></polyline>`
+        ).join('');
+    }).join('');
+
+    const legend = chart.series.length > 1
+        ? `<div class="legend">${chart.series.map(series =>
+            `<span><i style="background:${series.color}"></i>${escapeHtml(series.label)}</span>`).join('')}</div>`
+        : '';
+
+    return `
+        <div class="chart-box">
+            <h3>${escapeHtml(chart.title)}</h3>
+            <svg viewBox="0 0 ${size.width} ${size.height}" class="chart" role="img">${grid}${stageLines}${ticks}${lines}</svg>
+            ${legend}
+        </div>`;
+}
+
+function niceCeil(value) {
+    if (value <= 0) {
+        return 1;
+    }
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    return [1, 2, 5, 10].find(step => step * magnitude >= value) * magnitude;
+}
+
+// ============================================================================
+// HTML 생성
+// ============================================================================
+
+/**
+ * 시계열 보고서 HTML 생성
+ *
+ * @param {object} timeline - buildTimeline() 결과
+ * @param {array} endpoints - 엔드포인트 name 태그 목록
+ * @param {object} stages - { markers, plans }
+ * @param {string} title - 보고서 제목
+ */
+export function renderTimelineReport(timeline, endpoints, stages, title) {
+    const points = timeline.points;
+    const duration = timeline.durationSec;
+    const series = (pick) => points.map(point => [point.t, pick(point)]);
+    const planSeries = Object.entries(stages.plans).map(([name, plan]) => ({
+        label: `계획 (${name})`,
+        color: COLORS.target,
+        dash: '4 3',
+        points: plan,
+    }));
+
+    const mainCharts = [
+        {
+            title: 'VUs',
+            series: [{ label: '실제 VU', color: COLORS.vus, points: series(point => point.vus) }, ...planSeries],
+            format: (value) => value.toFixed(0),
+        },
+        {
+            title: `RPS (${timeline.intervalSec}초 구간 평균)`,
+            series: [{ label: 'RPS', color: COLORS.rps, points: series(point => point.rps) }],
+            format: (value) => value.toFixed(value < 10 ? 1 : 0),
+        },
+        {
+            title: '에러율 (http_req_failed)',
+            series: [{ label: '에러율', color: COLORS.error, points: series(point => (point.errorRate === null ? null : point.errorRate * 100)) }],
+            format: (value) => `${value.toFixed(1)}%`,
+        },
+        {
+            title: 'P95 응답시간 (전체)',
+            series: [{ label: 'P95', color: COLORS.p95, points: series(point => (point.p95.__all__ === undefined ? null : point.p95.__all__)) }],
+            format: formatMs,
+        },
+    ].map(chart => renderTimeChart(chart, duration, stages.markers)).join('');
+
+    const endpointCharts = endpoints.slice().sort().map(name => renderTimeChart({
+        title: `P95 · ${name}`,
+        series: [{ label: name, color: COLORS.p95, points: series(point => (point.p95[name] === undefined ? null : point.p95[name])) }],
+        format: formatMs,
+    }, duration, stages.markers, SMALL_CHART)).join('');
+
+    const stageList = stages.markers.length === 0
+        ? '<p class="empty">단계 정보 없음 (--summary 또는 --stages로 지정)</p>'
+        : `<p>${stages.markers.map(marker => `${escapeHtml(marker.label)} @ ${formatClock(marker.t)}`).join(' · ')}</p>`;
+
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>K6 시계열 보고서 - ${escapeHtml(title)}</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: #f5f5f5;
+            color: #333;
+            line-height: 1.6;
+        }
+        .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+        header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 40px 20px;
+            text-align: center;
+            margin-bottom: 30px;
+            border-radius: 10px;
+        }
+        header h1 { font-size: 2.2em; margin-bottom: 10px; }
+        .section {
+            background: white;
+            border-radius: 10px;
+            padding: 30px;
+            margin-bottom: 20px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .section h2 { font-size: 1.5em; margin-bottom: 20px; padding-bottom: 10px; border-bottom: 2px solid #eee; }
+        .chart-box { margin-bottom: 20px; }
+        .chart-box h3 { font-size: 1em; color: #555; margin-bottom: 5px; }
+        .chart { width: 100%; height: auto; }
+        .chart .grid { stroke: #eee; }
+        .chart .axis { font-size: 10px; fill: #888; }
+        .chart .stage { stroke: ${COLORS.stage}; stroke-dasharray: 3 3; }
+        .charts-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(480px, 1fr)); gap: 10px 20px; }
+        .legend span { display: inline-flex; align-items: center; gap: 6px; margin-right: 14px; font-size: 0.85em; color: #555; }
+        .legend i { display: inline-block; width: 14px; height: 3px; }
+        .empty { color: #888; }
+        footer { text-align: center; padding: 20px; color: #888; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>⏱️ ${escapeHtml(title)} 시계열</h1>
+            <p>실행 ${formatClock(duration)} · 구간 ${timeline.intervalSec}초 · 생성: ${new Date().toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' })}</p>
+        </header>
+
+        <div class="section">
+            <h2>📈 부하와 응답</h2>
+            ${stageList}
+            ${mainCharts}
+        </div>
+
+        <div class="section">
+            <h2>🔌 엔드포인트별 P95</h2>
+            <div class="charts-grid">${endpointCharts || '<p class="empty">http_req_duration 샘플 없음</p>'}</div>
+        </div>
+
+        <footer>
+            <p>Generated by timeline-report.mjs</p>
+        </footer>
+    </div>
+</body>
+</html>`;
+}
+
+// ============================================================================
+// 형식 헬퍼
+// ============================================================================
+
+function formatMs(value) {
+    return value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${value.toFixed(0)}ms`;
+}
+
+function formatClock(seconds) {
+    const total = Math.round(seconds);
+    const minutes = Math.floor(total / 60);
+    const rest = String(total % 60).padStart(2, '0');
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m` : `${minutes}:${rest}`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ============================================================================
+// 실행
+// ============================================================================
+
+function parseArgs(args) {
+    const parsed = { input: null, interval: null, summary: null, stages: null, out: null };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg.startsWith('--')) {
+            parsed[arg.slice(2)] = args[i + 1];
+            i++;
+        } else if (!parsed.input) {
+            parsed.input = arg;
+        }
+    }
+    return parsed;
+}
+
+async function main(args) {
+    const parsed = parseArgs(args);
+    if (!parsed.input) {
+        console.error('사용법: node timeline-report.mjs <k6 --out json 파일> [--interval 10s] [--summary 요약.json] [--stages 2m:10,3m:50] [--out 출력.html]');
+        process.exit(1);
+    }
+    [parsed.input, parsed.summary].filter(Boolean).forEach(file => {
+        if (!fs.existsSync(file)) {
+            console.error(`❌ 파일이 없습니다: ${file}`);
+            process.exit(1);
+        }
+    });
+
+    let stages = { markers: [], plans: {} };
+    if (parsed.stages) {
+        stages = stagesFromSpec(parsed.stages);
+    } else if (parsed.summary) {
+        stages = stagesFromSummary(parsed.summary);
+    }
+
+    const samples = await readSamples(parsed.input);
+    const timeline = buildTimeline(samples, parsed.interval ? Math.max(1, Math.round(parseDuration(parsed.interval))) : null);
+
+    const baseName = path.basename(parsed.input).replace(/\.(nd)?json$/, '');
+    const output = parsed.out || path.join(path.dirname(parsed.input), `${baseName}-timeline.html`);
+    fs.writeFileSync(output, renderTimelineReport(timeline, [...samples.endpoints], stages, baseName));
+
+    console.log(`✅ ${timeline.points.length}개 구간 (${timeline.intervalSec}초) → ${output}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(new URL(import.meta.url).pathname)) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`❌ 타임라인 생성 실패: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,553 @@
+#!/usr/bin/env node
+/**
+ * 실행 이력 추이 대시보드 생성기 (Node)
+ *
+ * 왜 필요한가?
+ * - 매 실행마다 reports 폴더에 <test>-<timestamp>.json이 쌓이지만 실행 간 추이를 볼 방법이 없었음
+ * - v1(빅뱅) → v2(멀티클라우드) → v3(쿠버네티스) 마이그레이션이 응답 시간을 개선했는지
+ *   보고서 HTML을 하나씩 열어 비교하고 있었음
+ *
+ * 동작 방식:
+ * 1. reports 디렉터리(하위 폴더 포함)의 k6 요약 JSON을 모두 읽음
+ * 2. 각 요약을 고정된 형식의 레코드로 정규화
+ *    (테스트 종류, 대상, 아키텍처 버전, 날짜, 주요 백분위, 에러율, 임계값 통과 여부)
+ * 3. 테스트 종류별로 전체/엔드포인트별 추이 차트(인라인 SVG)를 담은 정적 HTML 하나를 생성
+ *    → 외부 CDN 없이 브라우저에서 바로 열림
+ *
+ * 사용 방법:
+ *   node trend-dashboard.mjs [reports 디렉터리] [출력 HTML]
+ *   node trend-dashboard.mjs k6-tests/reports k6-tests/reports/trend-dashboard.html
+ *
+ * 레코드 목록은 출력 HTML 옆에 trend-records.json으로도 저장됨
+ *
+ * 주의:
+ * - k6 스크립트(.js)는 k6 모듈을 import하므로 여기서 가져다 쓰지 않음 (Node 단독 실행)
+ * - 실행 정보(run)가 없는 이전 버전 보고서는 파일명(테스트 종류, 날짜)과
+ *   경로의 -v1/-v2/-v3 폴더명(아키텍처)으로 추론
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// ============================================================================
+// 설정
+// ============================================================================
+
+const DEFAULT_REPORTS_DIR = 'k6-tests/reports';
+const DASHBOARD_FILE = 'trend-dashboard.html';
+const RECORDS_FILE = 'trend-records.json';
+
+/**
+ * 엔드포인트 메트릭으로 취급하지 않는 k6 기본/공통 Trend
+ */
+const NON_ENDPOINT_TRENDS = [
+    'http_req_duration',
+    'http_req_blocked',
+    'http_req_connecting',
+    'http_req_tls_handshaking',
+    'http_req_sending',
+    'http_req_waiting',
+    'http_req_receiving',
+    'iteration_duration',
+    'group_duration',
+    'full_scenario_duration',
+];
+
+/**
+ * 보고서 파일명: <test>-<YYYY-MM-DDTHH-MM-SS>.json
+ */
+const REPORT_FILE_PATTERN = /^(.+)-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})\.json$/;
+
+/**
+ * 차트 색상 (아키텍처별)
+ */
+const ARCHITECTURE_COLORS = {
+    v1: '#ef4444',
+    v2: '#f59e0b',
+    v3: '#10b981',
+    unknown: '#6b7280',
+};
+
+const SERIES_STYLES = [
+    { key: 'p50', label: 'P50', dash: '4 3' },
+    { key: 'p95', label: 'P95', dash: '' },
+    { key: 'p99', label: 'P99', dash: '1 3' },
+];
+
+// ============================================================================
+// 보고서 수집 및 정규화
+// ============================================================================
+
+/**
+ * 디렉터리의 k6 요약 JSON 파일 목록 (재귀)
+ */
+function findReportFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return findReportFiles(fullPath);
+        }
+        return REPORT_FILE_PATTERN.test(entry.name) ? [fullPath] : [];
+    });
+}
+
+/**
+ * k6 요약 하나를 레코드로 정규화
+ *
+ * @param {object} summary - createReportOutput이 저장한 JSON 요약
+ * @param {string} file - 파일 경로 (실행 정보가 없을 때 추론에 사용)
+ * @returns {object|null} - 레코드 (k6 요약이 아니면 null)
+ *   { file, test, profile, architecture, target, date, overall, endpoints, thresholds }
+ */
+export function normalizeReport(summary, file) {
+    if (!summary || !summary.metrics) {
+        return null;
+    }
+
+    const run = summary.run || {};
+    const match = path.basename(file).match(REPORT_FILE_PATTERN);
+    const fileDate = match ? `${match[2]}T${match[3]}:${match[4]}:${match[5]}.000Z` : null;
+    const metrics = summary.metrics;
+
+    return {
+        file: file,
+        test: run.test || (match ? match[1] : 'unknown'),
+        profile: run.profile || null,
+        architecture: run.architecture || inferArchitecture(file) || 'unknown',
+        target: run.target || null,
+        date: run.finishedAt || fileDate,
+        overall: {
+            ...latencyOf(metrics.http_req_duration),
+            errorRate: valueOf(metrics.http_req_failed, 'rate'),
+            rps: valueOf(metrics.http_reqs, 'rate'),
+            checks: valueOf(metrics.checks, 'rate'),
+        },
+        endpoints: collectEndpoints(metrics),
+        thresholds: summarizeThresholds(metrics),
+    };
+}
+
+/**
+ * 경로의 폴더명에서 아키텍처 버전 추론 (예: big-bang/k6-secrips-v2/reports → v2)
+ */
+function inferArchitecture(file) {
+    const versions = path.resolve(file)
+        .split(path.sep)
+        .map(segment => segment.match(/(?:^|-)(v\d+)$/))
+        .filter(Boolean);
+    return versions.length > 0 ? versions[versions.length - 1][1] : null;
+}
+
+/**
+ * 엔드포인트별 통계
+ *
+ * http_req_duration{name:...} 서브메트릭을 우선 사용하고,
+ * 없으면 커스텀 Trend(<tag>_duration)를 사용 (이전 버전 보고서 호환)
+ */
+function collectEndpoints(metrics) {
+    const endpoints = {};
+
+    Object.keys(metrics).forEach(name => {
+        const match = name.match(/^http_req_duration\{name:([^}]+)\}$/);
+        if (match && hasSamples(metrics[name])) {
+            endpoints[match[1]] = {
+                ...latencyOf(metrics[name]),
+                errorRate: valueOf(metrics[`http_req_failed{name:${match[1]}}`], 'rate'),
+            };
+        }
+    });
+
+    Object.keys(metrics)
+        .filter(name => metrics[name].type === 'trend' && !name.includes('{'))
+        .filter(name => name.endsWith('_duration') && !NON_ENDPOINT_TRENDS.includes(name))
+        .forEach(name => {
+            const tag = name.slice(0, -'_duration'.length);
+            if (!endpoints[tag] && hasSamples(metrics[name])) {
+                endpoints[tag] = { ...latencyOf(metrics[name]), errorRate: null };
+            }
+        });
+
+    return endpoints;
+}
+
+/**
+ * 임계값 통과 여부 (보고서용 항상 통과 임계값 >=0 제외)
+ */
+function summarizeThresholds(metrics) {
+    const results = Object.values(metrics).flatMap(metric =>
+        Object.entries(metric.thresholds || {})
+            .filter(([expression]) => !/>=\s*0$/.test(expression))
+            .map(([, result]) => result.ok)
+    );
+    const passed = results.filter(Boolean).length;
+
+    return { passed: passed, total: results.length, ok: passed === results.length };
+}
+
+function latencyOf(metric) {
+    return {
+        p50: valueOf(metric, 'med'),
+        p95: valueOf(metric, 'p(95)'),
+        p99: valueOf(metric, 'p(99)'),
+    };
+}
+
+function valueOf(metric, key) {
+    if (!metric || !metric.values || typeof metric.values[key] !== 'number') {
+        return null;
+    }
+    return metric.values[key];
+}
+
+function hasSamples(metric) {
+    const values = metric.values || {};
+    if (values.count !== undefined) {
+        return values.count > 0;
+    }
+    return ['max', 'min', 'avg'].some(key => values[key]);
+}
+
+/**
+ * 보고서 디렉터리 전체를 레코드 목록으로 (날짜순)
+ */
+export function collectRecords(reportsDir) {
+    return findReportFiles(reportsDir)
+        .map(file => {
+            try {
+                return normalizeReport(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+            } catch (e) {
+                console.warn(`⚠️  ${file}: ${e.message} (건너뜀)`);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+// ============================================================================
+// 차트 (인라인 SVG)
+// ============================================================================
+
+const CHART = { width: 560, height: 220, left: 56, right: 16, top: 16, bottom: 40 };
+
+/**
+ * 실행 순서별 P50/P95/P99 추이 차트
+ *
+ * x축: 실행 (날짜순), y축: 응답 시간(ms)
+ * 점 색상으로 아키텍처 버전을 구분
+ */
+function renderLatencyChart(points) {
+    const values = points.flatMap(point => SERIES_STYLES.map(style => point.stats[style.key]))
+        .filter(value => value !== null);
+    if (values.length === 0) {
+        return '<p class="empty">데이터 없음</p>';
+    }
+
+    const maxValue = niceCeil(Math.max(...values));
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const plotHeight = CHART.height - CHART.top - CHART.bottom;
+    const x = (index) => CHART.left + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth);
+    const y = (value) => CHART.top + plotHeight - (value / maxValue) * plotHeight;
+
+    const grid = [0, 0.25, 0.5, 0.75, 1].map(ratio => {
+        const value = maxValue * ratio;
+        return `<line x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(value)}" y2="${y(value)}" class="grid"/>` +
+            `<text x="${CHART.left - 6}" y="${y(value) + 4}" class="axis" text-anchor="end">${formatMs(value)}</text>`;
+    }).join('');
+
+    const labelEvery = Math.ceil(points.length / 8);
+    const labels = points.map((point, index) => (index % labelEvery === 0
+        ? `<text x="${x(index)}" y="${CHART.height - CHART.bottom + 16}" class="axis" text-anchor="middle">${escapeHtml(shortDate(point.record.date))}</text>`
+        : '')).join('');
+
+    const series = SERIES_STYLES.map(style => {
+        const segments = points
+            .map((point, index) => (point.stats[style.key] === null ? null : `${x(index)},${y(point.stats[style.key])}`))
+            .filter(Boolean);
+        const line = segments.length > 1
+            ? `<polyline points="${segments.join(' ')}" class="series" stroke-dasharray="${style.dash}"/>`
+            : '';
+        const dots = points.map((point, index) => {
+            const value = point.stats[style.key];
+            if (value === null) {
+                return '';
+            }
+            const color = ARCHITECTURE_COLORS[point.record.architecture] || ARCHITECTURE_COLORS.unknown;
+            return `<circle cx="${x(index)}" cy="${y(value)}" r="${style.key === 'p95' ? 4 : 3}" fill="${color}">` +
+                `<title>${escapeHtml(`${style.label} ${formatMs(value)} · ${point.record.architecture} · ${point.record.date}`)}</title></circle>`;
+        }).join('');
+        return line + dots;
+    }).join('');
+
+    return `<svg viewBox="0 0 ${CHART.width} ${CHART.height}" class="chart" role="img">${grid}${labels}${series}</svg>`;
+}
+
+/**
+ * y축 최댓값을 보기 좋은 값으로 올림 (1, 2, 5 × 10^n)
+ */
+function niceCeil(value) {
+    if (value <= 0) {
+        return 1;
+    }
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(candidate => candidate * magnitude >= value);
+    return step * magnitude;
+}
+
+// ============================================================================
+// HTML 생성
+// ============================================================================
+
+/**
+ * 대시보드 HTML 생성
+ *
+ * @param {array} records - collectRecords() 결과
+ * @returns {string} - 정적 HTML
+ */
+export function renderDashboard(records) {
+    const tests = [...new Set(records.map(record => record.test))].sort();
+    const architectures = [...new Set(records.map(record => record.architecture))].sort();
+
+    const legend = architectures.map(architecture =>
+        `<span class="legend-item"><span class="dot" style="background:${ARCHITECTURE_COLORS[architecture] || ARCHITECTURE_COLORS.unknown}"></span>${escapeHtml(architecture)}</span>`
+    ).join('') + SERIES_STYLES.map(style =>
+        `<span class="legend-item"><svg width="28" height="8"><line x1="0" x2="28" y1="4" y2="4" class="series" stroke-dasharray="${style.dash}"/></svg>${style.label}</span>`
+    ).join('');
+
+    const sections = tests.map(test => renderTestSection(test, records.filter(record => record.test === test))).join('');
+
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>K6 실행 이력 추이</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: #f5f5f5;
+            color: #333;
+            line-height: 1.6;
+        }
+        .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+        header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 40px 20px;
+            text-align: center;
+            margin-bottom: 30px;
+            border-radius: 10px;
+        }
+        header h1 { font-size: 2.5em; margin-bottom: 10px; }
+        .section {
+            background: white;
+            border-radius: 10px;
+            padding: 30px;
+            margin-bottom: 20px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .section h2 { font-size: 1.5em; margin-bottom: 20px; padding-bottom: 10px; border-bottom: 2px solid #eee; }
+        .section h3 { font-size: 1.1em; margin: 20px 0 10px; color: #555; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 10px; }
+        th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #eee; font-size: 0.9em; }
+        th { background: #f8f9fa; font-weight: 600; color: #555; }
+        .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(480px, 1fr)); gap: 20px; }
+        .chart { width: 100%; height: auto; }
+        .chart .grid { stroke: #eee; }
+        .chart .axis { font-size: 10px; fill: #888; }
+        .series { fill: none; stroke: #667eea; stroke-width: 1.5; }
+        .legend { margin-top: 10px; }
+        .legend-item { display: inline-flex; align-items: center; gap: 6px; margin-right: 16px; font-size: 0.9em; }
+        .dot { display: inline-block; width: 10px; height: 10px; border-radius: 50%; }
+        .status-badge { display: inline-block; padding: 2px 10px; border-radius: 20px; font-size: 0.85em; }
+        .status-pass { background: #d1fae5; color: #065f46; }
+        .status-fail { background: #fee2e2; color: #991b1b; }
+        .better { color: #10b981; }
+        .worse { color: #ef4444; }
+        .empty { color: #888; }
+        footer { text-align: center; padding: 20px; color: #888; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>📈 K6 실행 이력 추이</h1>
+            <p>실행 ${records.length}건 · 생성: ${new Date().toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' })}</p>
+            <div class="legend">${legend}</div>
+        </header>
+        ${sections || '<div class="section"><p class="empty">보고서가 없습니다.</p></div>'}
+        <footer>
+            <p>Generated by trend-dashboard.mjs</p>
+        </footer>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * 테스트 종류 하나의 섹션 (아키텍처 비교 + 전체/엔드포인트별 차트 + 실행 목록)
+ *
+ * 부하 패턴이 다른 테스트끼리는 응답 시간을 비교할 수 없으므로 테스트 종류별로 나눔
+ */
+function renderTestSection(test, records) {
+    const endpointTags = [...new Set(records.flatMap(record => Object.keys(record.endpoints)))].sort();
+
+    const overallChart = renderLatencyChart(records.map(record => ({ record: record, stats: record.overall })));
+    const endpointCharts = endpointTags.map(tag => {
+        const points = records
+            .filter(record => record.endpoints[tag])
+            .map(record => ({ record: record, stats: record.endpoints[tag] }));
+        return `<div><h3>${escapeHtml(tag)}</h3>${renderLatencyChart(points)}</div>`;
+    }).join('');
+
+    return `
+        <div class="section">
+            <h2>🧪 ${escapeHtml(test)} (${records.length}회)</h2>
+            ${renderArchitectureComparison(records, endpointTags)}
+            <div class="charts">
+                <div><h3>전체 (http_req_duration)</h3>${overallChart}</div>
+                ${endpointCharts}
+            </div>
+            <h3>실행 목록</h3>
+            ${renderRunTable(records)}
+        </div>`;
+}
+
+/**
+ * 아키텍처별 P95 중앙값 비교표
+ *
+ * 같은 아키텍처의 실행이 여러 번이면 중앙값을 사용하여 이상치 실행의 영향을 줄임
+ * 변화율은 바로 이전 아키텍처 대비 (음수 = 개선)
+ */
+function renderArchitectureComparison(records, endpointTags) {
+    const architectures = [...new Set(records.map(record => record.architecture))].sort();
+    if (architectures.length < 2) {
+        return '';
+    }
+
+    const medianP95 = (architecture, pick) => median(records
+        .filter(record => record.architecture === architecture)
+        .map(record => pick(record))
+        .filter(value => value !== null && value !== undefined));
+
+    const rows = [['전체', record => record.overall.p95]]
+        .concat(endpointTags.map(tag => [tag, record => (record.endpoints[tag] ? record.endpoints[tag].p95 : null)]))
+        .map(([label, pick]) => {
+            const cells = architectures.map((architecture, index) => {
+                const value = medianP95(architecture, pick);
+                const previous = index > 0 ? medianP95(architectures[index - 1], pick) : null;
+                if (value === null) {
+                    return '<td>-</td>';
+                }
+                if (previous === null || previous === 0) {
+                    return `<td>${formatMs(value)}</td>`;
+                }
+                const change = (value - previous) / previous;
+                const cls = change <= 0 ? 'better' : 'worse';
+                return `<td>${formatMs(value)} <span class="${cls}">(${change > 0 ? '+' : ''}${(change * 100).toFixed(1)}%)</span></td>`;
+            }).join('');
+            return `<tr><td>${escapeHtml(label)}</td>${cells}</tr>`;
+        }).join('');
+
+    return `
+            <h3>아키텍처별 P95 (중앙값)</h3>
+            <table>
+                <thead><tr><th>엔드포인트</th>${architectures.map(a => `<th>${escapeHtml(a)}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+}
+
+function renderRunTable(records) {
+    const rows = records.slice().reverse().map(record => {
+        const thresholds = record.thresholds.total === 0
+            ? '-'
+            : `<span class="status-badge ${record.thresholds.ok ? 'status-pass' : 'status-fail'}">${record.thresholds.passed}/${record.thresholds.total}</span>`;
+        return `
+                    <tr>
+                        <td>${escapeHtml(record.date || '-')}</td>
+                        <td>${escapeHtml(record.architecture)}</td>
+                        <td>${escapeHtml(record.target || record.profile || '-')}</td>
+                        <td>${formatMs(record.overall.p50)}</td>
+                        <td>${formatMs(record.overall.p95)}</td>
+                        <td>${formatMs(record.overall.p99)}</td>
+                        <td>${formatPercent(record.overall.errorRate)}</td>
+                        <td>${record.overall.rps === null ? '-' : record.overall.rps.toFixed(1)}</td>
+                        <td>${thresholds}</td>
+                        <td>${escapeHtml(path.basename(record.file))}</td>
+                    </tr>`;
+    }).join('');
+
+    return `
+            <table>
+                <thead>
+                    <tr>
+                        <th>날짜</th><th>아키텍처</th><th>대상</th><th>P50</th><th>P95</th><th>P99</th>
+                        <th>에러율</th><th>RPS</th><th>임계값</th><th>파일</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>`;
+}
+
+// ============================================================================
+// 형식 헬퍼
+// ============================================================================
+
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatMs(value) {
+    if (value === null || value === undefined) {
+        return '-';
+    }
+    return value >= 1000 ? `${(value / 1000).toFixed(2)}s` : `${value.toFixed(value < 10 ? 1 : 0)}ms`;
+}
+
+function formatPercent(rate) {
+    return rate === null ? '-' : `${(rate * 100).toFixed(2)}%`;
+}
+
+function shortDate(date) {
+    return date ? date.slice(5, 10) : '-';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ============================================================================
+// 실행
+// ============================================================================
+
+function main(args) {
+    const reportsDir = args[0] || DEFAULT_REPORTS_DIR;
+    const output = args[1] || path.join(reportsDir, DASHBOARD_FILE);
+
+    if (!fs.existsSync(reportsDir)) {
+        console.error(`❌ 보고서 디렉터리가 없습니다: ${reportsDir}`);
+        process.exit(1);
+    }
+
+    const records = collectRecords(reportsDir);
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, renderDashboard(records));
+    fs.writeFileSync(path.join(path.dirname(output), RECORDS_FILE), JSON.stringify(records, null, 2));
+
+    console.log(`✅ 실행 ${records.length}건 → ${output}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(new URL(import.meta.url).pathname)) {
+    main(process.argv.slice(2));
+}